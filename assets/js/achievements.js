@@ -0,0 +1,173 @@
+/*
+  Snake achievements and player profile
+  - A small event bus the game publishes to: start, difficulty, apple, obstacle, pause and gameover
+  - A tracker that listens to the bus, keeps the current run's progress and unlocks badges
+  - Lifetime stats (games played, apples, longest snake, time played) kept in a versioned profile
+  - DOM-free; app.js saves the profile to localStorage and shows the unlocks
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SnakeAchievements = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+  'use strict';
+
+  const VERSION = 1;
+  const EVENTS = ['start', 'difficulty', 'apple', 'obstacle', 'pause', 'gameover'];
+  const FRENZY_APPLES = 5;
+  const FRENZY_SECONDS = 10;
+
+  // `check(run, stats)` is asked after every event until the badge is unlocked.
+  // Times are seconds of play, so pauses don't count toward them.
+  const ACHIEVEMENTS = [
+    { id: 'first-bite', name: 'First Bite', description: 'Eat your first apple',
+      check: (run, stats)=> stats.apples > 0 },
+    { id: 'hard-200', name: 'Hard Boiled', description: 'Score 200 on Hard',
+      check: (run)=> run.difficulty === 'hard' && run.score >= 200 },
+    { id: 'marathon', name: 'Marathon', description: 'Survive 2 minutes without pausing',
+      check: (run)=> !run.paused && run.seconds - run.resumedAt >= 120 },
+    { id: 'space-filler', name: 'Space Filler', description: 'Fill 25% of the board',
+      check: (run)=> run.cells > 0 && run.length / run.cells >= 0.25 },
+    { id: 'frenzy', name: 'Feeding Frenzy', description: `Eat ${FRENZY_APPLES} apples in ${FRENZY_SECONDS} seconds`,
+      check: (run)=> run.eatTimes.length >= FRENZY_APPLES && run.eatTimes[run.eatTimes.length - 1] - run.eatTimes[run.eatTimes.length - FRENZY_APPLES] <= FRENZY_SECONDS },
+    { id: 'obstacle-course', name: 'Obstacle Course', description: 'Stay alive while 10 obstacles appear in one game',
+      check: (run)=> run.alive && run.obstacles >= 10 },
+    { id: 'centurion', name: 'Centurion', description: 'Eat 500 apples in total',
+      check: (run, stats)=> stats.apples >= 500 },
+    { id: 'all-rounder', name: 'All-Rounder', description: 'Finish a game on every difficulty',
+      check: (run, stats)=> ['easy', 'medium', 'hard'].every(d=> stats.difficulties.includes(d)) }
+  ];
+
+  function emptyStats(){
+    return { games: 0, apples: 0, longest: 0, seconds: 0, difficulties: [] };
+  }
+  function emptyProfile(){
+    return { version: VERSION, unlocked: {}, stats: emptyStats() };
+  }
+
+  function count(v){
+    const n = Number(v);
+    return Number.isFinite(n) && n > 0 ? n : 0;
+  }
+
+  // Saved profile of any shape -> a complete one; unknown badges and bad numbers are dropped
+  function loadProfile(raw){
+    const profile = emptyProfile();
+    if(!raw || typeof raw !== 'object') return profile;
+    Object.keys(raw.unlocked || {}).forEach(id=>{
+      if(ACHIEVEMENTS.some(a=>a.id === id)) profile.unlocked[id] = String(raw.unlocked[id]);
+    });
+    const stats = raw.stats || {};
+    profile.stats = {
+      games: Math.round(count(stats.games)),
+      apples: Math.round(count(stats.apples)),
+      longest: Math.round(count(stats.longest)),
+      seconds: count(stats.seconds),
+      difficulties: Array.isArray(stats.difficulties) ? stats.difficulties.filter(d=> typeof d === 'string') : []
+    };
+    return profile;
+  }
+
+  function createEventBus(){
+    const handlers = {};
+    return {
+      on(type, fn){
+        (handlers[type] = handlers[type] || []).push(fn);
+      },
+      off(type, fn){
+        handlers[type] = (handlers[type] || []).filter(h=> h !== fn);
+      },
+      emit(type, data){
+        (handlers[type] || []).slice().forEach(fn=> fn(data || {}));
+      }
+    };
+  }
+
+  function newRun(difficulty){
+    return {
+      difficulty: difficulty || null,
+      score: 0, length: 0, cells: 0,
+      seconds: 0, // of play so far
+      resumedAt: 0, // when the current unpaused stretch began
+      paused: false,
+      eatTimes: [], // play time of the last few apples
+      obstacles: 0,
+      alive: true
+    };
+  }
+
+  // Follows the events of one game at a time. onUnlock(achievement, date) fires for each new
+  // badge and onChange(profile) whenever the profile should be saved.
+  function createTracker(profile, callbacks){
+    const cb = callbacks || {};
+    let current = loadProfile(profile);
+    let run = newRun(null);
+
+    function progress(data){
+      if(data.score !== undefined) run.score = data.score;
+      if(data.length !== undefined) run.length = data.length;
+      if(data.cells !== undefined) run.cells = data.cells;
+      if(data.seconds !== undefined) run.seconds = data.seconds;
+    }
+
+    const handlers = {
+      start(data){
+        run = newRun(data.difficulty || run.difficulty);
+        progress(data);
+      },
+      difficulty(data){
+        run.difficulty = data.difficulty;
+      },
+      apple(data){
+        progress(data);
+        run.eatTimes = run.eatTimes.concat(run.seconds).slice(-FRENZY_APPLES);
+        current = Object.assign({}, current, { stats: Object.assign({}, current.stats, { apples: current.stats.apples + 1 }) });
+        return true;
+      },
+      obstacle(data){
+        progress(data);
+        run.obstacles++;
+      },
+      pause(data){
+        progress(data);
+        run.paused = !!data.paused;
+        if(!run.paused) run.resumedAt = run.seconds;
+      },
+      gameover(data){
+        progress(data);
+        run.alive = false;
+        const stats = current.stats;
+        const difficulties = run.difficulty && !stats.difficulties.includes(run.difficulty) ? stats.difficulties.concat(run.difficulty) : stats.difficulties;
+        current = Object.assign({}, current, { stats: {
+          games: stats.games + 1,
+          apples: stats.apples,
+          longest: Math.max(stats.longest, run.length),
+          seconds: Math.round((stats.seconds + run.seconds) * 10) / 10,
+          difficulties
+        } });
+        return true;
+      }
+    };
+
+    function handle(type, data){
+      if(!handlers[type]) throw new Error(`Unknown game event: ${type}`);
+      let changed = handlers[type](data || {});
+      const date = new Date().toISOString();
+      ACHIEVEMENTS.forEach(a=>{
+        if(current.unlocked[a.id] || !a.check(run, current.stats)) return;
+        current = Object.assign({}, current, { unlocked: Object.assign({}, current.unlocked, { [a.id]: date }) });
+        changed = true;
+        if(cb.onUnlock) cb.onUnlock(a, date);
+      });
+      if(changed && cb.onChange) cb.onChange(current);
+    }
+
+    // Subscribe to every game event on a bus made by createEventBus()
+    function listen(bus){
+      EVENTS.forEach(type=> bus.on(type, data=> handle(type, data)));
+    }
+
+    return { handle, listen, get profile(){ return current; }, get run(){ return run; } };
+  }
+
+  return { VERSION, EVENTS, ACHIEVEMENTS, emptyProfile, loadProfile, createEventBus, createTracker };
+});
@@ -1,14 +1,35 @@
 /*
   Enhanced Snake Game
   - Difficulty levels (easy/medium/hard)
+  - Rule set presets (Classic / Enhanced)
+  - Replay recording, playback, export and import
+  - Level editor for custom obstacle maps
+  - Campaign of handcrafted levels with goals and star ratings
+  - Local two-player versus (arrows vs. WASD, split-screen swipes)
+  - Power-ups with timed effects and countdown rings around the snake's head
+  - Scoring rules with floating combo popups and a breakdown on game over (scoring.js)
+  - Optional hazards: patrolling blocks, blinking walls, expanding hazards and portals
+  - Computer rivals (arena mode), autopilot and an idle-screen demo (bots.js)
+  - Online rooms against a local server with client-side prediction (netplay.js, server/)
   - Pause/Resume
   - Countdown before start
   - Mobile touch controls (buttons + swipe)
+  - High-DPI canvas that fits the available space, with a fullscreen mode
+  - Rebindable keys and gamepad support through one input layer (input.js)
   - Random obstacles
-  - Leaderboard (top 5) saved in localStorage
-  - Dark/Light mode toggle
-  - Background music (WebAudio) toggle and volume
+  - Leaderboards per mode, rules and difficulty with run stats, export and import (leaderboard.js)
+  - Scores are only accepted when their replay reproduces them (verify.js), locally and on the score server
+  - Achievements unlocked from game events, with toasts and a profile of lifetime stats (achievements.js)
+  - Themes: built-in and custom palettes for the board, snakes and page, with a live-preview
+    editor, shared as JSON (themes.js)
+  - Procedural soundtrack that follows the game's speed and builds with the score, plus sound
+    effects, each with its own volume (music.js), played through one audio manager (audio.js)
+  - Snake skins with eyes, tapered tails and patterns or sprite sheets, unlocked by high scores (skins.js)
+  - Particle bursts, screen shake, obstacle pop-ins and a dissolving death, with a reduce-motion
+    switch that follows the system setting (effects.js)
   - Improved visuals & animations
+  - Cached background layer with dirty-area repaints, and an FPS overlay for debugging
+  Game rules live in engine.js (SnakeEngine); this file renders the state and handles input.
 */
 
 // Configuration and constants
@@ -18,81 +39,527 @@ const startBtn = document.getElementById('startBtn');
 const pauseBtn = document.getElementById('pauseBtn');
 const resetBtn = document.getElementById('resetBtn');
 const difficultyEl = document.getElementById('difficulty');
+const rulesetEl = document.getElementById('ruleset');
+const powerupsEl = document.getElementById('powerups');
+const hazardsEl = document.getElementById('hazards');
+const levelEl = document.getElementById('level');
+const modeEl = document.getElementById('mode');
+const goalInfoEl = document.getElementById('goalInfo');
+const campaignListEl = document.getElementById('campaignList');
+const levelModal = new bootstrap.Modal(document.getElementById('levelModal'), { backdrop: 'static', keyboard: false });
+const levelResultTitle = document.getElementById('levelResultTitle');
+const levelStarsEl = document.getElementById('levelStars');
+const levelResultText = document.getElementById('levelResultText');
+const levelRetryBtn = document.getElementById('levelRetry');
+const levelNextBtn = document.getElementById('levelNext');
+const levelCloseBtn = document.getElementById('levelClose');
 const countdownEl = document.getElementById('countdown');
 const scoreEl = document.getElementById('score');
+const scoreLabelEl = document.getElementById('scoreLabel');
+const score2Wrap = document.getElementById('score2Wrap');
+const score2El = document.getElementById('score2');
 const highScoreEl = document.getElementById('highScore');
+const profileStatsEl = document.getElementById('profileStats');
+const achievementListEl = document.getElementById('achievementList');
+const achievementCountEl = document.getElementById('achievementCount');
+const toastsEl = document.getElementById('toasts');
+const controlsListEl = document.getElementById('controlsList');
+const controlsErrorEl = document.getElementById('controlsError');
+const resetControlsBtn = document.getElementById('resetControls');
+const deadzoneEl = document.getElementById('deadzone');
+const deadzoneValueEl = document.getElementById('deadzoneValue');
+const queueDepthEl = document.getElementById('queueDepth');
+const gamepadStatusEl = document.getElementById('gamepadStatus');
 const leaderboardEl = document.getElementById('leaderboard');
 const clearBoardBtn = document.getElementById('clearBoard');
+const boardSelectEl = document.getElementById('boardSelect');
+const topNEl = document.getElementById('topN');
+const yourRankEl = document.getElementById('yourRank');
+const exportBoardJsonBtn = document.getElementById('exportBoardJson');
+const exportBoardCsvBtn = document.getElementById('exportBoardCsv');
+const importBoardInput = document.getElementById('importBoard');
+const entryModal = new bootstrap.Modal(document.getElementById('entryModal'));
+const entryNameEl = document.getElementById('entryName');
+const entryDetailsEl = document.getElementById('entryDetails');
+const rankPreviewEl = document.getElementById('rankPreview');
+const saveErrorEl = document.getElementById('saveError');
+const submitServerEl = document.getElementById('submitServer');
+const boardRejectedEl = document.getElementById('boardRejected');
+const serverStatusEl = document.getElementById('serverStatus');
 const nameModal = new bootstrap.Modal(document.getElementById('nameModal'), { backdrop: 'static', keyboard: false });
 const finalScoreEl = document.getElementById('finalScore');
 const nameForm = document.getElementById('nameForm');
 const playerNameInput = document.getElementById('playerName');
 const cancelNameBtn = document.getElementById('cancelName');
-const modeToggle = document.getElementById('modeToggle');
+const themeSelect = document.getElementById('themeSelect');
 const musicToggleBtn = document.getElementById('musicToggle');
 const musicVolume = document.getElementById('musicVolume');
-const snakeColorInput = document.getElementById('snakeColor');
+const sfxVolume = document.getElementById('sfxVolume');
+const themeNameEl = document.getElementById('themeName');
+const themeDarkEl = document.getElementById('themeDark');
+const themeColorsEl = document.getElementById('themeColors');
+const themeSaveBtn = document.getElementById('themeSave');
+const themeRevertBtn = document.getElementById('themeRevert');
+const themeDeleteBtn = document.getElementById('themeDelete');
+const themeExportBtn = document.getElementById('themeExport');
+const importThemeInput = document.getElementById('importTheme');
+const versusResultEl = document.getElementById('versusResult');
+const finalScoreLabel = document.getElementById('finalScoreLabel');
+const playerNameLabel = document.getElementById('playerNameLabel');
+const player2Fields = document.getElementById('player2Fields');
+const finalScore2El = document.getElementById('finalScore2');
+const scoreBreakdownEl = document.getElementById('scoreBreakdown');
+const scoreBreakdown2El = document.getElementById('scoreBreakdown2');
+const gameWrapper = document.querySelector('.game-wrapper');
+const fullscreenBtn = document.getElementById('fullscreenBtn');
+const fpsOverlayEl = document.getElementById('fpsOverlay');
+const showFpsEl = document.getElementById('showFps');
+const reduceMotionEl = document.getElementById('reduceMotion');
+const playerName2Input = document.getElementById('playerName2');
+const botTypeEl = document.getElementById('botType');
+const rivalsEl = document.getElementById('rivals');
+const autopilotEl = document.getElementById('autopilot');
+const onlineIdleEl = document.getElementById('onlineIdle');
+const onlineRoomEl = document.getElementById('onlineRoom');
+const onlineNameInput = document.getElementById('onlineName');
+const onlineServerInput = document.getElementById('onlineServer');
+const roomCodeInput = document.getElementById('roomCode');
+const createRoomBtn = document.getElementById('createRoomBtn');
+const joinRoomBtn = document.getElementById('joinRoomBtn');
+const watchRoomBtn = document.getElementById('watchRoomBtn');
+const roomCodeLabel = document.getElementById('roomCodeLabel');
+const roomInfoEl = document.getElementById('roomInfo');
+const roomPlayersEl = document.getElementById('roomPlayers');
+const readyBtn = document.getElementById('readyBtn');
+const leaveRoomBtn = document.getElementById('leaveRoomBtn');
+const onlineStatusEl = document.getElementById('onlineStatus');
+const replayInfoEl = document.getElementById('replayInfo');
+const watchReplayBtn = document.getElementById('watchReplayBtn');
+const exportReplayBtn = document.getElementById('exportReplayBtn');
+const importReplayInput = document.getElementById('importReplay');
+const replayControls = document.getElementById('replayControls');
+const replayPlayBtn = document.getElementById('replayPlay');
+const replayStepBtn = document.getElementById('replayStep');
+const replaySpeedEl = document.getElementById('replaySpeed');
+const replayScrub = document.getElementById('replayScrub');
+const replayTickEl = document.getElementById('replayTick');
+const replayExitBtn = document.getElementById('replayExit');
+const editorIdleEl = document.getElementById('editorIdle');
+const editorPanel = document.getElementById('editorPanel');
+const newLevelBtn = document.getElementById('newLevelBtn');
+const editLevelBtn = document.getElementById('editLevelBtn');
+const importLevelInput = document.getElementById('importLevel');
+const levelNameInput = document.getElementById('levelName');
+const levelStartDirEl = document.getElementById('levelStartDir');
+const levelWallModeEl = document.getElementById('levelWallMode');
+const levelErrorsEl = document.getElementById('levelErrors');
+const saveLevelBtn = document.getElementById('saveLevelBtn');
+const exportLevelBtn = document.getElementById('exportLevelBtn');
+const clearLevelBtn = document.getElementById('clearLevelBtn');
+const deleteLevelBtn = document.getElementById('deleteLevelBtn');
+const closeEditorBtn = document.getElementById('closeEditorBtn');
 
-let width = 28; // grid width (cells)
+let width = 28; // grid width (cells) for the random board; levels bring their own size
 let rows = 28;  // grid height
-let cellSize = Math.floor(canvas.width / width);
+let cellSize = Math.floor(canvas.width / width); // CSS pixels per cell
 
-window.addEventListener('resize', () => {
-  // keep canvas pixel-perfect for gameplay but responsive width with CSS
-  cellSize = Math.floor(canvas.width / width);
+// The board fills the space it has (the whole screen in fullscreen) in whole CSS pixels per cell,
+// with the backing store scaled by devicePixelRatio so it stays sharp on high-DPI screens.
+// Only the drawing changes size: every screen plays the same grid, so runs stay comparable.
+const MIN_CELL = 8;
+let pixelRatio = 1; // backing store pixels per CSS pixel
+function resizeCanvas(){
+  const fullscreen = document.fullscreenElement === gameWrapper;
+  const room = fullscreen
+    ? Math.min(window.innerWidth / game.width, window.innerHeight / game.rows)
+    : Math.min(gameWrapper.clientWidth / game.width, window.innerHeight * 0.8 / game.rows);
+  cellSize = Math.max(MIN_CELL, Math.floor(room) || cellSize); // no room while hidden: keep the last size
+  const w = cellSize * game.width, h = cellSize * game.rows;
+  pixelRatio = window.devicePixelRatio || 1;
+  canvas.style.width = `${w}px`;
+  canvas.style.height = `${h}px`;
+  // resizing the backing store clears it, so only do it when the size really changes
+  if(canvas.width !== Math.round(w * pixelRatio) || canvas.height !== Math.round(h * pixelRatio)){
+    canvas.width = Math.round(w * pixelRatio);
+    canvas.height = Math.round(h * pixelRatio);
+  }
+  ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+}
+// Window resizes, zooming (which changes devicePixelRatio) and fullscreen only touch the drawing,
+// never the game state, so they are safe mid-game
+function redrawResized(){
+  if(!game) return;
+  resizeCanvas();
+  draw();
+}
+window.addEventListener('resize', redrawResized);
+document.addEventListener('fullscreenchange', ()=>{
+  fullscreenBtn.textContent = document.fullscreenElement ? 'Exit fullscreen' : 'Fullscreen';
+  redrawResized();
 });
+function toggleFullscreen(){
+  if(!document.fullscreenEnabled) return;
+  if(document.fullscreenElement) document.exitFullscreen();
+  else gameWrapper.requestFullscreen().catch(()=>{}); // refused, e.g. not from a user gesture
+}
+fullscreenBtn.addEventListener('click', toggleFullscreen);
+fullscreenBtn.classList.toggle('d-none', !document.fullscreenEnabled);
 
 // Game state
-let snake = [];
-let dir = { x: 1, y: 0 }; // moving right initially
-let nextDir = { x: 1, y: 0 }; // buffer to avoid reversing instantly
-let apple = null;
-let obstacles = [];
-let score = 0;
-let highScore = parseInt(localStorage.getItem('snake_high') || '0', 10);
-highScoreEl.textContent = highScore;
-let gameInterval = null;
-let tickRate = 10; // ticks per second (depends on difficulty)
+let game = null; // current SnakeEngine state
+let turnQueues = [[]]; // per snake: turns waiting for their tick, see SnakeInput.queueTurn
+let highScore = 0; // best verified score, restored at init
+let prevGame = null; // state before the last tick, which snakes are drawn sliding away from
 let running = false;
 let paused = false;
 let countdownTimer = null;
 let countdownValue = 0;
-let allowInput = true; // prevent immediate reversing
 let musicOn = true;
-let audioCtx = null;
-let masterGain = null;
-let musicNode = null;
+let recorder = null; // records the current run for replays
+let lastReplay = null;
+let replayPlayer = null; // set while watching a replay
+let bots = []; // per-snake bot, or null for a human-controlled snake
+let autopilotUsed = false; // the bot steered the player at some point this run
+let demoTimer = null; // pending start of the idle-screen demo
+let pendingScores = null; // { board, entries } waiting for names in the game over dialog
+let net = null; // online session: { socket, code, id, spectator, room, names, slot, predictor, timer }
+let playSeconds = 0; // time played this run, not counting pauses
+let deathTimer = null; // set while a dead snake dissolves, before the game-over dialogs
 
-// Leaderboard storage (top 5)
+// Achievements: the game publishes what happens on this bus and the tracker unlocks badges
+const PROFILE_KEY = 'snake_profile';
+const gameEvents = SnakeAchievements.createEventBus();
+const achievements = SnakeAchievements.createTracker(loadProfile(), {
+  onUnlock: showUnlock,
+  onChange: (profile)=>{
+    localStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
+    renderProfile(profile);
+  }
+});
+achievements.listen(gameEvents);
+function loadProfile(){
+  try {
+    return SnakeAchievements.loadProfile(JSON.parse(localStorage.getItem(PROFILE_KEY)));
+  } catch(e){
+    return SnakeAchievements.emptyProfile();
+  }
+}
+function renderProfile(profile){
+  const stats = profile.stats;
+  const rows = [
+    ['Games played', stats.games],
+    ['Apples eaten', stats.apples],
+    ['Longest snake', stats.longest],
+    ['Time played', formatDuration(stats.seconds)]
+  ];
+  profileStatsEl.innerHTML = rows.map(([label, value])=> `<dt class="col-7 fw-normal">${label}</dt><dd class="col-5 mb-0 text-end">${value}</dd>`).join('');
+  const unlocked = SnakeAchievements.ACHIEVEMENTS.filter(a=> profile.unlocked[a.id]).length;
+  achievementCountEl.textContent = `${unlocked} / ${SnakeAchievements.ACHIEVEMENTS.length}`;
+  achievementListEl.innerHTML = SnakeAchievements.ACHIEVEMENTS.map(a=>{
+    const date = profile.unlocked[a.id];
+    const title = date ? `Unlocked ${new Date(date).toLocaleDateString()}` : 'Locked';
+    return `<li class="${date ? 'unlocked' : 'locked'}" title="${title}"><span class="badge-icon" aria-hidden="true">${date ? '🏆' : '🔒'}</span><strong>${escapeHtml(a.name)}</strong> <span class="text-muted">${escapeHtml(a.description)}</span></li>`;
+  }).join('');
+}
+function showUnlock(achievement){
+  showToast(`🏆 Achievement unlocked: ${achievement.name}`, achievement.description);
+}
+function showToast(title, detail){
+  const el = document.createElement('div');
+  el.className = 'toast';
+  el.setAttribute('role', 'status');
+  el.innerHTML = `<div class="toast-body"><strong>${escapeHtml(title)}</strong><div class="small text-muted">${escapeHtml(detail)}</div></div>`;
+  el.addEventListener('hidden.bs.toast', ()=> el.remove());
+  toastsEl.appendChild(el);
+  bootstrap.Toast.getOrCreateInstance(el, { delay: 4000 }).show();
+}
+
+// Skins (skins.js): each local player wears one of the skins their best scores have unlocked
+const SKINS_KEY = 'snake_skins';
+const skinSelects = [document.getElementById('skin1'), document.getElementById('skin2')];
+const skinPreviews = [document.getElementById('skinPreview1'), document.getElementById('skinPreview2')];
+const skinSheets = {}; // skin id -> sprite sheet image, loaded the first time the skin is drawn
+let skinSettings = loadSkins();
+function loadSkins(){
+  try {
+    return SnakeSkins.loadSettings(JSON.parse(localStorage.getItem(SKINS_KEY)));
+  } catch(e){
+    return SnakeSkins.emptySettings();
+  }
+}
+function saveSkins(settings){
+  skinSettings = settings;
+  localStorage.setItem(SKINS_KEY, JSON.stringify(settings));
+  renderSkins();
+  if(game) draw();
+}
+// The loaded sheet of a sprite skin, or null while it loads (the skin is drawn as classic until then)
+function skinSheet(id){
+  const skin = SnakeSkins.skinInfo(id);
+  if(!skin || !skin.sheet) return null;
+  if(!skinSheets[id]){
+    const img = new Image();
+    img.onload = ()=>{
+      drawSkinPreviews();
+      if(game) draw();
+    };
+    img.src = skin.sheet;
+    skinSheets[id] = img;
+  }
+  return skinSheets[id].complete && skinSheets[id].naturalWidth ? skinSheets[id] : null;
+}
+// Local players wear their own skins; rivals and other online players stay classic
+function skinFor(idx){
+  if(isOnline()) return net && idx === net.slot ? skinSettings.players[0].skin : SnakeSkins.DEFAULT_SKIN;
+  if(idx === 0 || (idx === 1 && isVersus())) return skinSettings.players[idx].skin;
+  return SnakeSkins.DEFAULT_SKIN;
+}
+function unlockSkins(player, score){
+  const result = SnakeSkins.unlock(skinSettings, player, score);
+  if(!result.unlocked.length) return;
+  saveSkins(result.settings);
+  result.unlocked.forEach(s=> showToast(`🎨 Skin unlocked: ${s.name}`, `Player ${player + 1} reached a score of ${s.score}`));
+}
+function renderSkins(){
+  skinSelects.forEach((select, player)=>{
+    const open = SnakeSkins.available(skinSettings, player);
+    select.innerHTML = SnakeSkins.SKINS.map(s=>{
+      const locked = !open.includes(s);
+      return `<option value="${s.id}"${locked ? ' disabled' : ''}>${escapeHtml(s.name)}${locked ? ` (score ${s.score})` : ''}</option>`;
+    }).join('');
+    select.value = skinSettings.players[player].skin;
+  });
+  drawSkinPreviews();
+}
+// A short snake in each player's skin and theme colors
+function drawSkinPreviews(){
+  skinPreviews.forEach((preview, player)=>{
+    const g = preview.getContext('2d');
+    const size = preview.height, length = Math.floor(preview.width / size);
+    const skin = skinSettings.players[player].skin;
+    const [head, tail] = themePalette().snakes[player];
+    const points = [];
+    for(let i=0;i<length;i++) points.push({ x: length - 1 - i, y: 0 });
+    g.clearRect(0, 0, preview.width, preview.height);
+    SnakeSkins.drawSnake(g, points, { skin, size, head, tail, dir: { x: 1, y: 0 }, time: 0, cells: points, width: length + 2, rows: 1, sheet: skinSheet(skin) });
+  });
+}
+skinSelects.forEach((select, player)=>{
+  select.addEventListener('change', ()=> saveSkins(SnakeSkins.select(skinSettings, player, select.value)));
+});
+
+// Apple and obstacle events of one tick, from the point of view of snake `idx`
+function publishEvents(events, idx){
+  const progress = runProgress(idx);
+  events.forEach(e=>{
+    if(e.type === 'eat' && e.snake === idx) gameEvents.emit('apple', progress);
+    else if(e.type === 'obstacle') gameEvents.emit('obstacle', progress);
+  });
+}
+function runProgress(idx){
+  const sn = game.snakes[idx];
+  return { score: sn.score, length: sn.body.length, cells: game.width * game.rows, seconds: playSeconds };
+}
+
+// Leaderboards: one per mode, rule set and difficulty (leaderboard.js)
 const LB_KEY = 'snake_leaderboard';
+const LB_LAST_KEY = 'snake_last_entry'; // { board, id } of the newest saved score, for "your rank"
+const HIGH_KEY = 'snake_high'; // { player, score, replay } of the best run
+const verifyCache = new Map(); // entry JSON -> verifyEntry() result; replays are slow to re-run
+let hiddenEntries = []; // { board, entry, reason } for stored entries that failed verification
+// Legacy entries predate replays and can't be checked; everything else must reproduce its score
+function checkEntry(key, entry){
+  if(key === SnakeLeaderboard.LEGACY_BOARD) return { ok: true, reason: null };
+  const id = `${key}|${JSON.stringify(entry)}`;
+  if(!verifyCache.has(id)) verifyCache.set(id, SnakeVerify.verifyEntry(entry, key));
+  return verifyCache.get(id);
+}
+// Drop entries that fail verification; returns the kept data and what was rejected, with reasons
+function verifiedOnly(data){
+  const rejected = [];
+  const kept = SnakeLeaderboard.filter(data, (key, entry)=>{
+    const result = checkEntry(key, entry);
+    if(!result.ok) rejected.push({ board: key, entry, reason: result.reason });
+    return result.ok;
+  });
+  return { data: kept, rejected };
+}
 function loadLeaderboard(){
+  let data;
   try {
-    const raw = localStorage.getItem(LB_KEY) || '[]';
-    return JSON.parse(raw);
+    // older versions stored a bare top-5 array here; migrate() upgrades it in place
+    data = SnakeLeaderboard.migrate(JSON.parse(localStorage.getItem(LB_KEY) || 'null'));
   } catch(e){
     console.error('Failed to parse leaderboard', e);
-    return [];
+    return SnakeLeaderboard.empty();
+  }
+  // entries edited or added by hand are hidden, and dropped the next time the board is saved
+  const checked = verifiedOnly(data);
+  hiddenEntries = checked.rejected;
+  return checked.data;
+}
+// Best verified score: the stored best run or the top of any verified board
+function loadHighScore(){
+  let best = 0;
+  try {
+    const run = JSON.parse(localStorage.getItem(HIGH_KEY) || 'null');
+    // plain numbers from older versions can't be verified and are ignored
+    if(run && typeof run === 'object' && SnakeVerify.verifyEntry(run).ok) best = run.score;
+  } catch(e){
+    console.error('Failed to parse high score', e);
   }
+  const data = loadLeaderboard();
+  Object.keys(data.boards).forEach(key=>{
+    if(key !== SnakeLeaderboard.LEGACY_BOARD) best = Math.max(best, data.boards[key][0].score);
+  });
+  return best;
 }
-function saveLeaderboard(list){
-  localStorage.setItem(LB_KEY, JSON.stringify(list.slice(0,5)));
+function saveLeaderboard(data){
+  localStorage.setItem(LB_KEY, SnakeLeaderboard.serialize(data));
 }
-function renderLeaderboard(){
-  const list = loadLeaderboard();
+function loadLastEntry(){
+  try {
+    return JSON.parse(localStorage.getItem(LB_LAST_KEY) || 'null');
+  } catch(e){
+    return null;
+  }
+}
+// Board for the current settings; campaign, online and custom level games aren't ranked here
+function currentBoardKey(){
+  if(['campaign','online'].includes(modeEl.value)) return null;
+  if(modeEl.value === 'endless' && selectedLevel()) return null;
+  return SnakeLeaderboard.boardKey(modeEl.value, rulesetEl.value, difficultyEl.value, powerupsEl.checked, hazardsEl.checked);
+}
+function renderBoardOptions(data, want){
+  const keys = Object.keys(data.boards);
+  const current = currentBoardKey();
+  if(current && !keys.includes(current)) keys.unshift(current);
+  if(!keys.length) keys.push(SnakeLeaderboard.boardKey('endless', rulesetEl.value, difficultyEl.value));
+  const selected = keys.includes(want) ? want : keys[0];
+  boardSelectEl.innerHTML = '';
+  keys.forEach(key=>{
+    const opt = document.createElement('option');
+    opt.value = key;
+    opt.textContent = SnakeLeaderboard.describeBoard(key);
+    boardSelectEl.appendChild(opt);
+  });
+  boardSelectEl.value = selected;
+}
+// Pass `follow` to switch the board to the one matching the current settings
+function renderLeaderboard(follow){
+  const data = loadLeaderboard();
+  renderBoardOptions(data, follow && currentBoardKey() ? currentBoardKey() : boardSelectEl.value);
+  topNEl.value = String(data.topN);
+  const key = boardSelectEl.value;
+  const list = data.boards[key] || [];
+  const last = loadLastEntry();
   leaderboardEl.innerHTML = '';
   if(list.length === 0){
     const li = document.createElement('li');
     li.className = 'list-group-item';
     li.textContent = 'No scores yet';
     leaderboardEl.appendChild(li);
-    return;
   }
   list.forEach(item=>{
     const li = document.createElement('li');
-    li.className = 'list-group-item';
-    li.innerHTML = `<span>${escapeHtml(item.name)}</span><strong>${item.score}</strong>`;
+    li.className = 'list-group-item list-group-item-action';
+    li.tabIndex = 0;
+    li.title = 'Show details';
+    const mine = last && last.board === key && last.id === item.id;
+    li.classList.toggle('mine', !!mine);
+    li.innerHTML = `<span>${escapeHtml(item.name)}${mine ? ' <span class="badge text-bg-primary">You</span>' : ''}</span><strong>${item.score}</strong>`;
+    li.addEventListener('click', ()=> showEntry(key, item));
+    li.addEventListener('keydown', (e)=>{
+      if(e.key === 'Enter') showEntry(key, item);
+    });
     leaderboardEl.appendChild(li);
   });
+  yourRankEl.textContent = rankText(data, key, last);
+  const hidden = hiddenEntries.filter(h=>h.board === key);
+  boardRejectedEl.classList.toggle('d-none', !hidden.length);
+  boardRejectedEl.textContent = hidden.length ? `Hidden (failed verification): ${hidden.map(rejectionText).join('; ')}` : '';
+}
+function rejectionText(r){
+  return `${r.entry.name} (${r.entry.score}) — ${r.reason}`;
+}
+function rankText(data, key, last){
+  if(!last || last.board !== key) return '';
+  const list = data.boards[key] || [];
+  const idx = list.findIndex(e=>e.id === last.id);
+  if(idx >= 0) return `Your last score ranks #${idx+1} of ${list.length}.`;
+  return `Your last score (${last.score}) is outside the top ${data.topN}.`;
+}
+function formatDuration(seconds){
+  if(seconds === null) return '—';
+  const s = Math.round(seconds);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+function showEntry(key, entry){
+  const rows = [
+    ['Board', SnakeLeaderboard.describeBoard(key)],
+    ['Score', entry.score],
+    ['Date', entry.date ? new Date(entry.date).toLocaleString() : '—'],
+    ['Duration', formatDuration(entry.duration)],
+    ['Apples eaten', entry.apples === null ? '—' : entry.apples],
+    ['Max length', entry.maxLength === null ? '—' : entry.maxLength],
+    ['Cause of death', entry.cause || '—'],
+    ['Level', entry.level || 'Random']
+  ];
+  entryNameEl.textContent = entry.name;
+  entryDetailsEl.innerHTML = rows.map(([label, value])=> `<dt class="col-6">${label}</dt><dd class="col-6 mb-1">${escapeHtml(String(value))}</dd>`).join('');
+  entryModal.show();
+}
+function exportLeaderboard(format){
+  const data = loadLeaderboard();
+  const csv = format === 'csv';
+  const blob = new Blob([csv ? SnakeLeaderboard.toCsv(data) : SnakeLeaderboard.serialize(data)], { type: csv ? 'text/csv' : 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `snake-leaderboard-${new Date().toISOString().slice(0,10)}.${csv ? 'csv' : 'json'}`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+// Imported entries are merged into the boards already saved here
+function importLeaderboard(file){
+  const reader = new FileReader();
+  reader.onload = ()=>{
+    try {
+      const checked = verifiedOnly(SnakeLeaderboard.parse(reader.result));
+      saveLeaderboard(SnakeLeaderboard.merge(loadLeaderboard(), checked.data));
+      renderLeaderboard();
+      if(checked.rejected.length){
+        alert(`${checked.rejected.length} score${checked.rejected.length > 1 ? 's were' : ' was'} rejected:\n${checked.rejected.map(rejectionText).join('\n')}`);
+      }
+    } catch(e){
+      alert(`Could not import leaderboard: ${e.message}`);
+    }
+  };
+  reader.readAsText(file);
+}
+
+// Score server (server/scores.js), on the same host as the online rooms
+const SUBMIT_KEY = 'snake_submit_server';
+function scoreServerUrl(){
+  const ws = onlineServerInput.value.trim() || defaultServerUrl();
+  return `${ws.replace(/^ws/, 'http').replace(/\/ws\/?$/, '')}/api/scores`;
+}
+function submitToServer(board, entries){
+  const url = scoreServerUrl();
+  serverStatusEl.textContent = 'Sending to the score server…';
+  Promise.all(entries.map(entry=>
+    fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ board, entry }) })
+      .then(res=> res.json().then(body=>{
+        if(res.ok) return body.rank ? `${entry.name} ranked #${body.rank}` : `${entry.name} is outside the server's top ${body.topN}`;
+        return `${entry.name}'s score was rejected: ${body.error || `HTTP ${res.status}`}`;
+      }))
+  )).then(lines=>{
+    serverStatusEl.textContent = `Score server: ${lines.join('; ')}`;
+  }).catch(()=>{
+    serverStatusEl.textContent = `Could not reach the score server at ${url}`;
+  });
 }
 
 // Utility
@@ -100,241 +567,522 @@ function escapeHtml(s){
   if(!s) return 'Anonymous';
   return s.replaceAll('<','&lt;').replaceAll('>','&gt;').trim();
 }
-function randInt(min,max){
-  return Math.floor(Math.random()*(max-min+1))+min;
+function newSeed(){
+  return Math.floor(Math.random() * 4294967296);
+}
+function player(){ return game.snakes[0]; }
+function isVersus(){ return modeEl.value === 'versus'; }
+function isArena(){ return modeEl.value === 'arena'; }
+function isOnline(){ return modeEl.value === 'online'; }
+function renderScores(){
+  const versus = (isVersus() || isOnline()) && game.snakes.length > 1;
+  scoreLabelEl.textContent = versus ? 'P1' : 'Score';
+  scoreEl.textContent = player().score;
+  score2Wrap.classList.toggle('d-none', !versus);
+  if(versus) score2El.textContent = game.snakes[1].score;
+}
+function setSettingsDisabled(disabled){
+  // campaign levels fix their own speed, rules and map
+  const campaign = modeEl.value === 'campaign';
+  modeEl.disabled = disabled;
+  difficultyEl.disabled = disabled || campaign;
+  rulesetEl.disabled = disabled || campaign;
+  powerupsEl.disabled = disabled || campaign;
+  hazardsEl.disabled = disabled || campaign;
+  levelEl.disabled = disabled || campaign || isVersus() || isArena() || isOnline();
+  botTypeEl.disabled = disabled;
+  rivalsEl.disabled = disabled || !isArena();
 }
-function posEq(a,b){ return a.x===b.x && a.y===b.y; }
 
 // Initialize game
 function resetGame(){
+  clearTimeout(deathTimer);
+  deathTimer = null;
+  clearInterval(countdownTimer);
+  countdownTimer = null;
+  effects.clear();
   stopMusicIfNeeded();
-  snake = [{x: Math.floor(width/2), y: Math.floor(rows/2)}];
-  dir = {x:1,y:0}; nextDir = {x:1,y:0};
-  apple = null;
-  obstacles = [];
-  score = 0;
-  scoreEl.textContent = score;
-  allowInput = true;
+  stopReplay();
+  closeEditor();
+  stopDemo();
+  stopOnlineGame();
+  if(!isOnline()) leaveOnline();
+  const def = campaignLevel();
+  if(def){
+    game = SnakeEngine.createGame(Object.assign({ difficulty: difficultyEl.value, seed: newSeed() }, SnakeCampaign.gameOptions(def)));
+  } else if(isVersus() || isOnline()){
+    game = SnakeEngine.createGame({ width, rows, difficulty: difficultyEl.value, rules: rulesetEl.value, players: 2, powerups: powerupsEl.checked, hazards: hazardsEl.checked, scoring: true, seed: newSeed() });
+  } else if(isArena()){
+    // rivals don't end the run when they crash; it lasts as long as the player does
+    game = SnakeEngine.createGame({ width, rows, difficulty: difficultyEl.value, rules: rulesetEl.value, players: 1 + parseInt(rivalsEl.value, 10), until: 'player', powerups: powerupsEl.checked, hazards: hazardsEl.checked, scoring: true, seed: newSeed() });
+  } else {
+    game = SnakeEngine.createGame({ width, rows, difficulty: difficultyEl.value, rules: rulesetEl.value, level: selectedLevel(), powerups: powerupsEl.checked, hazards: hazardsEl.checked, scoring: true, seed: newSeed() });
+  }
+  recorder = SnakeReplay.createRecorder(game);
+  bots = game.snakes.map((sn, idx)=> (idx === 0 ? autopilotEl.checked : isArena()) ? createBot() : null);
+  autopilotUsed = autopilotEl.checked;
+  turnQueues = game.snakes.map(()=>[]);
+  renderScores();
   running = false;
   paused = false;
-  clearInterval(gameInterval);
+  gameLoop.stop();
+  prevGame = null;
   countdownEl.textContent = '';
-  spawnApple();
-  spawnObstaclesInitial();
+  // settings are locked for the length of a run
+  setSettingsDisabled(false);
+  renderLeaderboard(true);
+  startBtn.disabled = isOnline(); // online games start when everyone in the room is ready
+  renderGoal();
+  resizeCanvas();
   draw(); // show initial frame
+  scheduleDemo();
 }
 
-// Difficulty affects tickRate
-function getTickRateForDifficulty(){
-  const d = difficultyEl.value;
-  if(d === 'easy') return 6;
-  if(d === 'medium') return 10;
-  if(d === 'hard') return 16;
-  return 10;
-}
-
-// Spawn apple in empty spot
-function spawnApple(){
-  let attempts = 0;
-  while(attempts < 500){
-    attempts++;
-    const p = { x: randInt(1,width-2), y: randInt(1,rows-2) };
-    if(snake.some(s=>posEq(s,p))) continue;
-    if(obstacles.some(o=>posEq(o,p))) continue;
-    apple = p;
-    return;
-  }
-  apple = null;
+// Game loop tick
+function tick(){
+  // players take one queued turn per tick; bots steer like players do, so their turns are
+  // recorded and replay without them
+  const turns = game.snakes.map((sn, idx)=>{
+    if(bots[idx]) return sn.alive ? SnakeEngine.toDir(bots[idx].decide(game, idx)) : null;
+    return turnQueues[idx].length ? turnQueues[idx].shift() : null;
+  });
+  game.snakes.forEach((sn, idx)=>{
+    const turn = turns[idx];
+    if(turn && sn.alive && !SnakeEngine.posEq(turn, sn.dir) && !SnakeEngine.isReverse(turn, sn.dir)) recorder.record(game.tick, turn, idx);
+  });
+  playSeconds += 1 / SnakeEngine.getTickRate(game);
+  prevGame = game;
+  game = SnakeEngine.step(game, turns);
+  playTickSounds(prevGame, game, game.snakes.map((sn, idx)=> idx).filter(idx=> !bots[idx]));
+  playTickEffects(game.events, prevGame.apples);
+  updateMusic();
+  // autopilot runs don't count toward achievements
+  if(!autopilotUsed) publishEvents(game.events, 0);
+  if(game.goal) renderGoal();
+  if(game.events.some(e=>e.type === 'eat' || e.type === 'powerup')) renderScores();
+  showScorePopups(game.events);
+  if(game.over) gameOver();
 }
 
-// Spawn some obstacles at game start based on difficulty
-function spawnObstaclesInitial(){
-  obstacles = [];
-  const d = difficultyEl.value;
-  let count = 3;
-  if(d === 'easy') count = 2;
-  if(d === 'medium') count = 4;
-  if(d === 'hard') count = 6;
-  let tries = 0;
-  while(obstacles.length < count && tries < 1000){
-    tries++;
-    const o = { x: randInt(2,width-3), y: randInt(2,rows-3) };
-    if(snake.some(s=>posEq(s,o))) continue;
-    if(apple && posEq(apple,o)) continue;
-    if(obstacles.some(ob=>posEq(ob,o))) continue;
-    obstacles.push(o);
-  }
+// Floating "+30 x3" over each apple a human player eats, so combos are visible as they happen
+function showScorePopups(events){
+  events.forEach(e=>{
+    if(e.type !== 'eat' || (bots[e.snake] && !isOnline())) return;
+    const popup = document.createElement('span');
+    popup.className = 'score-popup' + (e.quick ? ' quick' : '');
+    popup.textContent = `+${e.points}${e.combo > 1 ? ` x${e.combo}` : ''}`;
+    popup.style.left = `${canvas.offsetLeft + (e.x + 0.5) * cellSize}px`;
+    popup.style.top = `${canvas.offsetTop + e.y * cellSize}px`;
+    popup.style.color = e.snake === 1 ? themePalette().snake2Head : '';
+    popup.addEventListener('animationend', ()=> popup.remove());
+    gameWrapper.appendChild(popup);
+  });
 }
 
-// Add an obstacle occasionally during game
-function maybeAddObstacle(){
-  if(Math.random() < 0.08){ // 8% chance each tick
-    const o = { x: randInt(1,width-2), y: randInt(1,rows-2) };
-    if(snake.some(s=>posEq(s,o))) return;
-    if(apple && posEq(apple,o)) return;
-    if(obstacles.some(ob=>posEq(ob,o))) return;
-    obstacles.push(o);
-  }
+// Where a snake's segment `i` is drawn, `alpha` (0..1) of the way from its cell before the last
+// tick to its cell now. Segments that jumped (wrapping, portals) or just grew stay in their cell.
+function segmentAt(idx, i, alpha){
+  const s = game.snakes[idx].body[i];
+  const before = prevGame && prevGame.tick === game.tick - 1 && prevGame.snakes[idx] ? prevGame.snakes[idx].body[i] : null;
+  if(!before || alpha >= 1 || Math.abs(s.x - before.x) + Math.abs(s.y - before.y) !== 1) return s;
+  return { x: before.x + (s.x - before.x) * alpha, y: before.y + (s.y - before.y) * alpha };
 }
 
-// Game loop tick
-function tick(){
-  // Move snake
-  dir = nextDir;
-  const head = { x: (snake[0].x + dir.x + width) % width, y: (snake[0].y + dir.y + rows) % rows };
+// Board colors from the theme on show, kept until it changes. Players use the theme's snake
+// colors; computer rivals in arena keep their own.
+const RIVAL_COLORS = [['#fd7e14', '#e96a00'], ['#6f42c1', '#5b2ead']];
+let palette = null;
+function themePalette(){
+  if(palette) return palette;
+  const c = shownTheme().colors;
+  palette = Object.assign({ snakes: [[c.snakeHead, c.snakeTail], [c.snake2Head, c.snake2Tail]].concat(RIVAL_COLORS) }, c);
+  return palette;
+}
+function refreshPalette(){
+  palette = null;
+  background.key = ''; // the board color comes from the theme too
+  drawSkinPreviews();
+  if(game) draw();
+}
 
-  // Collision with self
-  if(snake.some((seg,idx)=> idx>0 && posEq(seg,head))){
-    return gameOver();
-  }
-  // Collision with obstacles
-  if(obstacles.some(o=>posEq(o,head))){
-    return gameOver();
+// The background, checkerboard and obstacles are painted once into a canvas of their own and
+// only repainted when the canvas size, the theme or the obstacles change
+const background = { canvas: document.createElement('canvas'), key: '', obstacles: null, walls: '' };
+function backgroundKey(){
+  // obstacles come as a new array every tick, but rarely with new cells in it
+  if(game.obstacles !== background.obstacles){
+    background.obstacles = game.obstacles;
+    background.walls = game.obstacles.map(o=>`${o.x},${o.y}`).join(' ');
   }
+  return `${canvas.width}x${canvas.height}:${game.width}x${game.rows}:${background.walls}`;
+}
+function paintBackground(){
+  const bg = background.canvas;
+  bg.width = canvas.width;
+  bg.height = canvas.height;
+  const g = bg.getContext('2d', { alpha: false });
+  g.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+  const colors = themePalette();
+  g.fillStyle = colors.background;
+  g.fillRect(0,0,game.width*cellSize,game.rows*cellSize);
 
-  snake.unshift(head);
-
-  // Eat apple
-  if(apple && posEq(head,apple)){
-    score += 10;
-    scoreEl.textContent = score;
-    spawnApple();
-    // occasionally add obstacle on eating to increase difficulty
-    if(Math.random() < 0.25) maybeAddObstacle();
-  } else {
-    snake.pop();
+  // Draw grid subtle
+  g.save();
+  g.globalAlpha = 0.04;
+  g.fillStyle = colors.grid;
+  for(let x=0;x<game.width;x++){
+    for(let y=0;y<game.rows;y++){
+      if((x+y) % 2 === 0){
+        g.fillRect(x*cellSize, y*cellSize, cellSize, cellSize);
+      }
+    }
   }
+  g.restore();
 
-  // Boundaries - wrap-around is allowed in this version; if you'd prefer walls cause game over,
-  // change behavior here.
-  draw();
-  allowInput = true; // re-enable buffered input
+  // Draw obstacles
+  game.obstacles.forEach(o=>{
+    drawRoundedRect(o.x*cellSize, o.y*cellSize, cellSize, cellSize, cellSize*0.15, colors.obstacle, g);
+    g.save();
+    g.globalAlpha = 0.06;
+    g.fillStyle = colors.shine;
+    g.fillRect(o.x*cellSize + cellSize*0.12, o.y*cellSize + cellSize*0.12, cellSize*0.76, cellSize*0.76);
+    g.restore();
+  });
 }
 
-// Draw everything
-function draw(){
-  // Clear
-  ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--card').trim() || '#fff';
-  ctx.fillRect(0,0,canvas.width,canvas.height);
+// Everything else is drawn over the background each frame. Whatever a frame draws is marked
+// dirty, and the next frame copies the background back over just those areas before drawing,
+// instead of repainting the whole board.
+let dirty = []; // areas drawn over since the background was last copied in
+let dirtyCount = 0; // areas restored by the last frame, for the FPS overlay
+let shaken = false; // the last frame was drawn shaken, so the next one repaints in full
+function markDirty(x, y, w, h){
+  dirty.push({ x, y, w, h });
+}
+function markCell(x, y){
+  markDirty(x*cellSize, y*cellSize, cellSize, cellSize);
+}
+function restoreDirty(){
+  const boardW = game.width*cellSize, boardH = game.rows*cellSize;
+  dirty.forEach(r=>{
+    // a pixel of margin for antialiased edges
+    const x = Math.max(0, Math.floor(r.x) - 1), y = Math.max(0, Math.floor(r.y) - 1);
+    const w = Math.min(boardW, Math.ceil(r.x + r.w) + 1) - x, h = Math.min(boardH, Math.ceil(r.y + r.h) + 1) - y;
+    if(w <= 0 || h <= 0) return;
+    ctx.drawImage(background.canvas, x*pixelRatio, y*pixelRatio, w*pixelRatio, h*pixelRatio, x, y, w, h);
+  });
+  dirtyCount = dirty.length;
+}
 
-  // Draw grid subtle
-  ctx.save();
-  ctx.globalAlpha = 0.04;
-  ctx.fillStyle = '#000';
-  for(let x=0;x<width;x++){
-    for(let y=0;y<rows;y++){
-      if((x+y) % 2 === 0){
-        ctx.fillRect(x*cellSize, y*cellSize, cellSize, cellSize);
-      }
+// Debug overlay with the frame rate, frame and draw times and how much of the board each frame
+// repaints; refreshed a few times a second so reading it doesn't cost much itself
+const FPS_KEY = 'snake_fps';
+const frameStats = SnakeLoop.createFrameStats(60);
+let showFps = localStorage.getItem(FPS_KEY) === '1';
+let fpsShownAt = 0;
+function recordFrame(started){
+  const now = performance.now();
+  frameStats.frame(started, now - started);
+  if(now - fpsShownAt < 250) return;
+  fpsShownAt = now;
+  const st = frameStats.summary();
+  fpsOverlayEl.textContent = `${Math.round(st.fps)} fps · ${st.frameMs.toFixed(1)} ms (worst ${st.worstMs.toFixed(1)}) · draw ${st.drawMs.toFixed(2)} ms · `
+    + `${game.width}×${game.rows} · ${dirtyCount < 0 ? 'full repaint' : `${dirtyCount} dirty`}`;
+}
+function setShowFps(on){
+  showFps = on;
+  localStorage.setItem(FPS_KEY, on ? '1' : '0');
+  showFpsEl.checked = on;
+  fpsOverlayEl.classList.toggle('d-none', !on);
+  fpsOverlayEl.textContent = '';
+  frameStats.reset();
+}
+
+// Draw everything; `alpha` is how far the loop is into the next tick (1, the current state, by default)
+function draw(alpha){
+  const started = performance.now();
+  const progress = alpha === undefined ? 1 : alpha;
+  const colors = themePalette();
+  const key = backgroundKey();
+  // a shaking board moves as a whole, so it is repainted in full until it settles
+  const shake = effects.shakeOffset(started);
+  if(key !== background.key || shake || shaken){
+    if(key !== background.key){
+      paintBackground();
+      background.key = key;
+    }
+    if(shake){
+      ctx.fillStyle = colors.background;
+      ctx.fillRect(0, 0, game.width*cellSize, game.rows*cellSize);
     }
+    ctx.drawImage(background.canvas, shake ? shake.x : 0, shake ? shake.y : 0, game.width*cellSize, game.rows*cellSize);
+    dirtyCount = -1; // full repaint
+  } else {
+    restoreDirty();
   }
-  ctx.restore();
+  shaken = !!shake;
+  dirty = [];
+  ctx.save();
+  if(shake) ctx.translate(shake.x, shake.y);
+  effects.drawBoard(ctx, { size: cellSize, background: colors.background, obstacle: colors.obstacle }, started, markDirty);
 
-  // Draw apple
-  if(apple){
-    drawRoundedRect(apple.x*cellSize, apple.y*cellSize, cellSize, cellSize, cellSize*0.2, getComputedStyle(document.documentElement).getPropertyValue('--apple') || '#dc3545');
+  // Draw apples
+  game.apples.forEach(apple=>{
+    const appleColor = apple.color || colors.apple;
+    drawRoundedRect(apple.x*cellSize, apple.y*cellSize, cellSize, cellSize, cellSize*0.2, appleColor);
     // little shine
-    ctx.fillStyle = 'rgba(255,255,255,0.5)';
+    ctx.save();
+    ctx.globalAlpha = 0.5;
+    ctx.fillStyle = colors.shine;
     ctx.beginPath();
     ctx.arc(apple.x*cellSize + cellSize*0.35, apple.y*cellSize + cellSize*0.35, cellSize*0.15, 0, Math.PI*2);
     ctx.fill();
-  }
+    ctx.restore();
+    markCell(apple.x, apple.y);
+  });
 
-  // Draw obstacles
-  ctx.fillStyle = '#7a7f86';
-  obstacles.forEach(o=>{
-    drawRoundedRect(o.x*cellSize, o.y*cellSize, cellSize, cellSize, cellSize*0.15, '#7a7f86');
-    ctx.fillStyle = 'rgba(255,255,255,0.06)';
-    ctx.fillRect(o.x*cellSize + cellSize*0.12, o.y*cellSize + cellSize*0.12, cellSize*0.76, cellSize*0.76);
-    ctx.fillStyle = '#7a7f86';
+  if(game.hazards) drawHazards();
+
+  // Draw power-ups; they blink during their last two seconds on the board
+  game.pickups.forEach(u=>{
+    const info = SnakeEngine.POWERUPS[u.kind];
+    if(u.expires - game.tick < 20 && game.tick % 4 < 2) return;
+    ctx.fillStyle = info.color;
+    ctx.beginPath();
+    ctx.arc(u.x*cellSize + cellSize/2, u.y*cellSize + cellSize/2, cellSize*0.42, 0, Math.PI*2);
+    ctx.fill();
+    ctx.fillStyle = '#fff';
+    ctx.font = `bold ${Math.floor(cellSize*0.55)}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(POWERUP_GLYPHS[u.kind], u.x*cellSize + cellSize/2, u.y*cellSize + cellSize/2 + 1);
+    markCell(u.x, u.y);
   });
 
-  // Draw snake with gradient
-  const baseColor = document.getElementById('snakeColor').value || getComputedStyle(document.documentElement).getPropertyValue('--snake').trim();
-  for(let i=0;i<snake.length;i++){
-    const s = snake[i];
-    const t = i / Math.max(1, snake.length-1);
-    const color = shadeColor(baseColor, -20 * t);
-    drawRoundedRect(s.x*cellSize, s.y*cellSize, cellSize, cellSize, cellSize*0.25, color);
-  }
+  // Draw snakes in their skins, in the theme's colors; dead ones fade out, and dissolve once
+  // the game is over
+  game.snakes.forEach((sn, idx)=>{
+    const [head, tail] = colors.snakes[idx % colors.snakes.length];
+    const cells = sn.body.slice(0, sn.body.length - effects.dissolved(idx, started));
+    if(!cells.length) return;
+    const points = cells.map((s, i)=> sn.alive ? segmentAt(idx, i, progress) : s);
+    const skin = skinFor(idx);
+    ctx.save();
+    if(!sn.alive) ctx.globalAlpha = 0.35;
+    else if(sn.effects.ghost) ctx.globalAlpha = 0.55;
+    SnakeSkins.drawSnake(ctx, points, {
+      skin, size: cellSize, head, tail, dir: sn.dir, time: game.tick + progress,
+      cells, width: game.width, rows: game.rows, sheet: skinSheet(skin)
+    });
+    ctx.restore();
+    points.forEach(s=> markCell(s.x, s.y));
+    if(sn.alive) drawEffectRings(sn, segmentAt(idx, 0, progress));
+  });
+  effects.drawParticles(ctx, { size: cellSize }, started, markDirty);
+  ctx.restore();
+  if(showFps) recordFrame(started);
 }
 
-// Utility to draw rect with rounded corners
-function drawRoundedRect(x,y,w,h,r, fillStyle){
-  ctx.fillStyle = fillStyle;
-  ctx.beginPath();
-  const rad = r || 4;
-  ctx.moveTo(x+rad,y);
-  ctx.arcTo(x+w,y,x+w,y+h,rad);
-  ctx.arcTo(x+w,y+h,x,y+h,rad);
-  ctx.arcTo(x,y+h,x,y,rad);
-  ctx.arcTo(x,y,x+w,y,rad);
-  ctx.closePath();
-  ctx.fill();
+// Particles, shaking and pop-ins (effects.js), drawn with the board by draw()
+const effects = SnakeEffects.createEffects();
+let effectsFrame = null;
+// Bursts where apples were eaten and pop-ins for new obstacles; `apples` are the ones on the
+// board before the tick, for the colors of special apples
+function playTickEffects(events, apples){
+  const now = performance.now();
+  events.forEach(e=>{
+    if(e.type === 'eat'){
+      const apple = apples.find(a=> SnakeEngine.posEq(a, e));
+      effects.burst(e.x, e.y, (apple && apple.color) || themePalette().apple, now);
+    } else if(e.type === 'obstacle'){
+      effects.spawn(e.x, e.y, now);
+    }
+  });
+  animateEffects();
+}
+// Dead players' snakes dissolve tail first as the board shakes. Returns how long that takes
+// in ms, for the game-over dialogs to wait.
+function playDeath(){
+  const now = performance.now();
+  let wait = 0;
+  game.snakes.forEach((sn, idx)=>{
+    if(sn.alive || bots[idx]) return;
+    wait = Math.max(wait, effects.dissolve(idx, sn.body, themePalette().snakes[idx % 4][0], now));
+  });
+  if(wait) effects.shake(Math.max(3, cellSize*0.3), now);
+  animateEffects();
+  return wait;
+}
+// Effects keep moving while no game loop is drawing frames: after the game, while paused and
+// for spectators, who only draw when the server sends a state
+function loopRunning(){
+  return [gameLoop, onlineLoop, demoLoop, replayLoop].some(loop=> loop.running);
+}
+function animateEffects(){
+  if(effectsFrame !== null || loopRunning()) return;
+  const frame = ()=>{
+    effectsFrame = null;
+    if(!game || loopRunning()) return;
+    draw();
+    if(effects.active(performance.now())) effectsFrame = requestAnimationFrame(frame);
+  };
+  effectsFrame = requestAnimationFrame(frame);
 }
 
-// Color utility: lighten/darken hex color
-function shadeColor(hex, percent) {
-  try{
-    const c = hex.replace('#','');
-    const num = parseInt(c,16);
-    let r = (num >> 16) + percent;
-    let g = ((num >> 8) & 0x00FF) + percent;
-    let b = (num & 0x0000FF) + percent;
-    r = Math.max(Math.min(255,r),0);
-    g = Math.max(Math.min(255,g),0);
-    b = Math.max(Math.min(255,b),0);
-    return `rgb(${r},${g},${b})`;
-  }catch(e){
-    return hex;
-  }
+// Each hazard type has its own look: patrols are dark blocks with their track dotted in,
+// blinking walls are striped when solid and flicker before they close, expanding hazards
+// glow orange over their full reach and portals are matching colored rings
+const PORTAL_COLORS = ['#0dcaf0', '#d63384', '#ffc107', '#20c997'];
+function drawHazards(){
+  let portals = 0;
+  game.hazards.forEach(h=>{
+    if(h.type === 'patrol'){
+      ctx.fillStyle = 'rgba(52,58,64,0.25)';
+      h.path.forEach(c=>{
+        ctx.beginPath();
+        ctx.arc(c.x*cellSize + cellSize/2, c.y*cellSize + cellSize/2, cellSize*0.1, 0, Math.PI*2);
+        ctx.fill();
+        markCell(c.x, c.y);
+      });
+      const at = SnakeEngine.patrolAt(h, game.tick);
+      drawRoundedRect(at.x*cellSize, at.y*cellSize, cellSize, cellSize, cellSize*0.15, '#343a40');
+      ctx.fillStyle = '#ffc107';
+      ctx.fillRect(at.x*cellSize + cellSize*0.3, at.y*cellSize + cellSize*0.3, cellSize*0.4, cellSize*0.4);
+    } else if(h.type === 'blink'){
+      const phase = SnakeEngine.blinkPhase(h, game.tick);
+      h.cells.forEach(c=>{
+        const x = c.x*cellSize, y = c.y*cellSize;
+        markCell(c.x, c.y);
+        if(phase === 'on'){
+          drawRoundedRect(x, y, cellSize, cellSize, cellSize*0.1, '#b02a37');
+          ctx.fillStyle = 'rgba(255,255,255,0.25)';
+          ctx.fillRect(x, y + cellSize*0.4, cellSize, cellSize*0.2);
+        } else if(phase === 'warn' && game.tick % 2 === 0){
+          drawRoundedRect(x, y, cellSize, cellSize, cellSize*0.1, 'rgba(176,42,55,0.55)');
+        } else {
+          ctx.strokeStyle = 'rgba(176,42,55,0.35)';
+          ctx.lineWidth = 1;
+          ctx.strokeRect(x + 1.5, y + 1.5, cellSize - 3, cellSize - 3);
+        }
+      });
+    } else if(h.type === 'grow'){
+      const r = SnakeEngine.growRadius(h, game.tick);
+      markDirty((h.x - h.max)*cellSize, (h.y - h.max)*cellSize, (h.max*2 + 1)*cellSize, (h.max*2 + 1)*cellSize);
+      for(let dy=-h.max;dy<=h.max;dy++){
+        for(let dx=-h.max;dx<=h.max;dx++){
+          const d = Math.abs(dx) + Math.abs(dy);
+          if(d > h.max) continue;
+          const x = (h.x + dx)*cellSize, y = (h.y + dy)*cellSize;
+          if(d <= r) drawRoundedRect(x, y, cellSize, cellSize, cellSize*0.3, d === 0 ? '#dc3545' : '#fd7e14');
+          else {
+            ctx.fillStyle = 'rgba(253,126,20,0.15)';
+            ctx.fillRect(x, y, cellSize, cellSize);
+          }
+        }
+      }
+    } else if(h.type === 'portal'){
+      ctx.strokeStyle = PORTAL_COLORS[portals++ % PORTAL_COLORS.length];
+      ctx.lineWidth = Math.max(2, cellSize*0.15);
+      [h.a, h.b].forEach(c=>{
+        ctx.beginPath();
+        ctx.arc(c.x*cellSize + cellSize/2, c.y*cellSize + cellSize/2, cellSize*0.38, 0, Math.PI*2);
+        ctx.stroke();
+        markCell(c.x, c.y);
+      });
+    }
+  });
+}
+
+// Letters drawn on power-ups
+const POWERUP_GLYPHS = { golden: '$', slow: 'S', ghost: 'G', shrink: '-', magnet: 'M' };
+// One ring per active effect around the head, emptying as the effect runs out
+function drawEffectRings(sn, head){
+  const cx = head.x*cellSize + cellSize/2, cy = head.y*cellSize + cellSize/2;
+  Object.keys(sn.effects).forEach((kind, i)=>{
+    const effect = sn.effects[kind];
+    const radius = cellSize*(0.75 + i*0.25);
+    ctx.strokeStyle = SnakeEngine.POWERUPS[kind].color;
+    ctx.lineWidth = Math.max(2, cellSize*0.12);
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, -Math.PI/2, -Math.PI/2 + Math.PI*2*effect.left/effect.total);
+    ctx.stroke();
+    const reach = radius + ctx.lineWidth;
+    markDirty(cx - reach, cy - reach, reach*2, reach*2);
+  });
+}
+
+// Utility to draw rect with rounded corners, on the game canvas unless `target` is given
+function drawRoundedRect(x,y,w,h,r, fillStyle, target){
+  const c = target || ctx;
+  c.fillStyle = fillStyle;
+  c.beginPath();
+  const rad = r || 4;
+  c.moveTo(x+rad,y);
+  c.arcTo(x+w,y,x+w,y+h,rad);
+  c.arcTo(x+w,y+h,x,y+h,rad);
+  c.arcTo(x,y+h,x,y,rad);
+  c.arcTo(x,y,x+w,y,rad);
+  c.closePath();
+  c.fill();
 }
 
 // Start sequence with countdown
 function startWithCountdown(){
-  if(running) return;
+  // a second Start or Space during the countdown would run a second one, and the game twice
+  if(running || countdownTimer || deathTimer || isOnline()) return;
+  cancelDemo();
   countdownValue = 3;
   countdownEl.style.opacity = 1;
   countdownEl.textContent = countdownValue;
+  pulseCountdown();
   startBtn.disabled = true;
-  difficultyEl.disabled = true;
+  setSettingsDisabled(true);
+  audio.sfx('countdown');
   countdownTimer = setInterval(()=>{
     countdownValue--;
     if(countdownValue > 0){
       countdownEl.textContent = countdownValue;
-      pulseCanvas();
+      pulseCountdown();
+      audio.sfx('countdown');
     } else {
       clearInterval(countdownTimer);
+      countdownTimer = null;
       countdownEl.textContent = '';
+      audio.sfx('go');
       beginGameLoop();
       startBtn.disabled = false;
-      difficultyEl.disabled = false;
     }
   }, 1000);
 }
 
-// Minimal pulse animation to canvas to show countdown
-function pulseCanvas(){
-  canvas.style.transform = 'scale(1.02)';
-  setTimeout(()=>canvas.style.transform = '', 220);
+// Each countdown number pops in (a plain fade with reduced motion, see styles.css)
+function pulseCountdown(){
+  countdownEl.classList.remove('pulse');
+  void countdownEl.offsetWidth; // restart the animation
+  countdownEl.classList.add('pulse');
 }
 
+// Speed curves raise the tick rate as the score grows and slow motion lowers it for a while;
+// the loop picks up the new rate on its next tick
+const gameLoop = SnakeLoop.createLoop({
+  rate: ()=> SnakeEngine.getTickRate(game),
+  tick,
+  draw
+});
+
 function beginGameLoop(){
   running = true;
   paused = false;
-  tickRate = getTickRateForDifficulty();
-  clearInterval(gameInterval);
-  gameInterval = setInterval(()=> {
-    if(!paused) tick();
-  }, 1000 / tickRate);
-  // Start periodic obstacle spawning
+  playSeconds = 0;
+  gameEvents.emit('start', Object.assign({ difficulty: game.difficulty }, runProgress(0)));
+  gameLoop.start();
   // Also start music if enabled
   startMusicIfNeeded();
 }
 
 // Pause toggle
 function togglePause(){
-  if(!running) return;
+  if(!running || isOnline()) return; // the server keeps ticking
   paused = !paused;
   pauseBtn.textContent = paused ? 'Resume' : 'Pause';
   pauseBtn.classList.toggle('btn-warning', !paused);
@@ -342,35 +1090,583 @@ function togglePause(){
   // visual feedback
   countdownEl.style.opacity = paused ? 0.9 : 0;
   countdownEl.textContent = paused ? 'Paused' : '';
+  audio.sfx('pause');
+  if(paused) audio.suspend(0.3); // after the pause sound
+  else audio.resume();
+  if(paused) gameLoop.stop(); else gameLoop.start();
+  if(paused){
+    draw();
+    animateEffects(); // let bursts already under way finish
+  }
+  gameEvents.emit('pause', { paused, seconds: playSeconds });
 }
 
+// A hidden tab gets no frames, so pause rather than leave the run half-stopped
+document.addEventListener('visibilitychange', ()=>{
+  if(document.hidden && running && !paused) togglePause();
+});
+
 // Game over flow
 function gameOver(){
   running = false;
   paused = false;
-  clearInterval(gameInterval);
-  finalScoreEl.textContent = score;
-  // Update high score
+  gameLoop.stop();
+  cancelDemo();
+  const replay = recorder.finish(game);
+  saveLastReplay(replay);
+  stopMusicIfNeeded();
+  if(!autopilotUsed) gameEvents.emit('gameover', Object.assign({ cause: player().cause }, runProgress(0)));
+  const wait = playDeath();
+  if(campaignLevel()) return afterDeath(wait, campaignOver);
+  // autopilot runs aren't the player's own, so they skip the high score and leaderboard
+  if(autopilotUsed) return afterDeath(wait, resetGame);
+  // nor are custom levels, whose scores no board could verify
+  const board = currentBoardKey();
+  if(!board) return afterDeath(wait, resetGame);
+  const versus = isVersus();
+  // arena rivals are bots, so only the human players' scores count
+  const humans = game.snakes.slice(0, versus ? 2 : 1);
+  const score = Math.max.apply(null, humans.map(sn=>sn.score));
+  finalScoreEl.textContent = player().score;
+  renderBreakdown(scoreBreakdownEl, player());
+  finalScoreLabel.textContent = versus ? 'Player 1 score' : 'Your score';
+  playerNameLabel.textContent = versus ? 'Player 1 name' : 'Enter your name';
+  player2Fields.classList.toggle('d-none', !versus);
+  versusResultEl.classList.toggle('d-none', game.snakes.length === 1);
+  if(versus){
+    finalScore2El.textContent = game.snakes[1].score;
+    renderBreakdown(scoreBreakdown2El, game.snakes[1]);
+    versusResultEl.textContent = versusResult();
+    playerName2Input.value = '';
+  } else if(game.snakes.length > 1){
+    versusResultEl.textContent = arenaResult();
+  }
+  // Update high score; the run's replay is kept with it so it can be verified on load
   if(score > highScore){
     highScore = score;
-    localStorage.setItem('snake_high', highScore);
+    const best = humans.findIndex(sn=>sn.score === score);
+    localStorage.setItem(HIGH_KEY, JSON.stringify({ player: best, score, replay }));
     highScoreEl.textContent = highScore;
   }
+  humans.forEach((sn, idx)=> unlockSkins(idx, sn.score));
+  // stats come from the replay, so they are exactly what the verifier will recompute
+  pendingScores = {
+    board,
+    entries: humans.map((sn, idx)=>{
+      const stats = SnakeVerify.replayStats(replay, idx);
+      return {
+        score: sn.score,
+        duration: stats.duration,
+        apples: stats.apples,
+        maxLength: stats.maxLength,
+        cause: sn.alive ? null : deathText(idx),
+        rules: rulesetEl.value,
+        level: null,
+        player: idx,
+        replay
+      };
+    })
+  };
+  saveErrorEl.textContent = '';
+  const data = loadLeaderboard();
+  const rank = SnakeLeaderboard.rankFor(data, board, player().score);
+  rankPreviewEl.textContent = rank <= data.topN
+    ? `Rank #${rank} on ${SnakeLeaderboard.describeBoard(board)}`
+    : `Outside the top ${data.topN} on ${SnakeLeaderboard.describeBoard(board)}`;
   // Prompt for name and save score
-  nameModal.show();
-  playerNameInput.value = '';
-  stopMusicIfNeeded();
+  afterDeath(wait, ()=>{
+    nameModal.show();
+    playerNameInput.value = '';
+  });
+}
+// Runs `next` once the death animation of `wait` ms is over; input waits with it
+function afterDeath(wait, next){
+  if(!wait) return next();
+  deathTimer = setTimeout(()=>{
+    deathTimer = null;
+    next();
+  }, wait);
 }
 
+// Where a snake's points came from; hidden for games without scoring rules
+const BREAKDOWN_LABELS = { base: 'Apples', difficulty: 'Difficulty bonus', length: 'Length bonus', combo: 'Combo bonus', quick: 'Quick routes', powerups: 'Power-ups' };
+function renderBreakdown(el, sn){
+  el.classList.toggle('d-none', !sn.breakdown);
+  if(!sn.breakdown) return;
+  el.innerHTML = SnakeScoring.PARTS.filter(p=> sn.breakdown[p]).map(p=>
+    `<dt class="col-7 fw-normal">${BREAKDOWN_LABELS[p]}</dt><dd class="col-5 mb-0 text-end">${p === 'base' ? '' : '+'}${sn.breakdown[p]}</dd>`
+  ).join('');
+}
+
+// Versus result line, e.g. "Player 2 wins — Player 1 ran into Player 2"
+const DEATH_TEXT = {
+  wall: ()=> 'hit the wall',
+  self: ()=> 'ran into itself',
+  obstacle: ()=> 'hit an obstacle',
+  hazard: (by, hazard)=> `hit ${/^[aeiou]/.test(SnakeEngine.HAZARDS[hazard].name) ? 'an' : 'a'} ${SnakeEngine.HAZARDS[hazard].name}`,
+  'head-on': ()=> 'crashed head-on',
+  snake: (by)=> `ran into ${snakeName(by)}`
+};
+function snakeName(idx){
+  return isArena() && idx > 0 ? `CPU ${idx}` : `Player ${idx+1}`;
+}
+function deathText(idx){
+  const death = [...game.events].reverse().find(e=>e.type === 'death' && e.snake === idx);
+  return DEATH_TEXT[game.snakes[idx].cause](death ? death.by : 0, death && death.hazard);
+}
+function versusResult(){
+  const causes = [];
+  game.snakes.forEach((sn, idx)=>{
+    if(!sn.alive) causes.push(`${snakeName(idx)} ${deathText(idx)}`);
+  });
+  const verdict = game.winner === null ? 'Draw' : `${snakeName(game.winner)} wins`;
+  return causes.length ? `${verdict} — ${causes.join(', ')}` : verdict;
+}
+// Arena result line, e.g. "You ran into CPU 2 — 1 of 3 rivals outlasted"
+function arenaResult(){
+  const rivals = game.snakes.length - 1;
+  const outlasted = game.snakes.filter((sn, idx)=> idx > 0 && !sn.alive).length;
+  return `You ${deathText(0)} — ${outlasted} of ${rivals} rival${rivals > 1 ? 's' : ''} outlasted`;
+}
+
+// Computer players
+function createBot(){
+  return botTypeEl.value === 'auto' ? SnakeBots.forDifficulty(difficultyEl.value) : SnakeBots.create(botTypeEl.value);
+}
+
+// Idle-screen demo: after a while on the start screen the bots play a game by themselves.
+// Any key or tap ends it and puts the real game back.
+const DEMO_DELAY = 15000; // ms
+function scheduleDemo(){
+  clearTimeout(demoTimer);
+  if(isOnline()) return;
+  demoTimer = setTimeout(startDemo, DEMO_DELAY);
+}
+function cancelDemo(){
+  clearTimeout(demoTimer);
+  demoTimer = null;
+}
+// The demo runs on the same frame loop as a real game, so its snakes slide between cells too
+const demoLoop = SnakeLoop.createLoop({
+  rate: ()=> SnakeEngine.getTickRate(game),
+  tick: ()=>{
+    prevGame = game;
+    game = SnakeEngine.step(game, bots.map((bot, idx)=> game.snakes[idx].alive ? bot.decide(game, idx) : null));
+    renderScores();
+    if(game.over) startDemo();
+  },
+  draw
+});
+function startDemo(){
+  demoLoop.stop();
+  game = SnakeEngine.createGame({ width, rows, difficulty: difficultyEl.value, rules: rulesetEl.value, players: isArena() ? 1 + parseInt(rivalsEl.value, 10) : 1, until: 'player', powerups: powerupsEl.checked, hazards: hazardsEl.checked, scoring: true, seed: newSeed() });
+  bots = game.snakes.map(()=> createBot());
+  goalInfoEl.textContent = '';
+  countdownEl.style.opacity = 0.6;
+  countdownEl.textContent = 'Demo';
+  renderScores();
+  resizeCanvas();
+  prevGame = null;
+  draw();
+  demoLoop.start();
+}
+function stopDemo(){
+  cancelDemo();
+  demoLoop.stop();
+}
+
+// Campaign
+const CAMPAIGN_KEY = 'snake_campaign';
+let campaignId = SnakeCampaign.LEVELS[0].id;
+function loadCampaign(){
+  try {
+    const saved = JSON.parse(localStorage.getItem(CAMPAIGN_KEY) || 'null');
+    return saved && saved.levels ? saved : SnakeCampaign.emptyProgress();
+  } catch(e){
+    console.error('Failed to parse campaign progress', e);
+    return SnakeCampaign.emptyProgress();
+  }
+}
+function saveCampaign(saved){
+  localStorage.setItem(CAMPAIGN_KEY, JSON.stringify(saved));
+}
+// The active campaign level, or null outside campaign mode
+function campaignLevel(){
+  return modeEl.value === 'campaign' ? SnakeCampaign.getLevel(campaignId) : null;
+}
+function starString(n){
+  return '★'.repeat(n) + '☆'.repeat(3-n);
+}
+function renderCampaign(){
+  const saved = loadCampaign();
+  campaignListEl.innerHTML = '';
+  SnakeCampaign.LEVELS.forEach((def, idx)=>{
+    const unlocked = SnakeCampaign.isUnlocked(saved, idx);
+    const result = saved.levels[def.id];
+    const li = document.createElement('li');
+    li.className = 'list-group-item';
+    li.classList.toggle('locked', !unlocked);
+    li.classList.toggle('active', modeEl.value === 'campaign' && def.id === campaignId);
+    li.title = unlocked ? SnakeCampaign.describeGoal(def) : 'Beat the previous level to unlock';
+    const name = document.createElement('span');
+    name.textContent = `${idx+1}. ${def.name}`;
+    const info = document.createElement('span');
+    info.className = 'small';
+    info.textContent = unlocked ? `${starString(result ? result.stars : 0)} ${result && result.best ? result.best : ''}` : '🔒';
+    li.append(name, info);
+    if(unlocked) li.addEventListener('click', ()=> selectCampaignLevel(def.id));
+    campaignListEl.appendChild(li);
+  });
+}
+function selectCampaignLevel(id){
+  if(running || replayPlayer) return;
+  campaignId = id;
+  localStorage.setItem('snake_campaign_level', id);
+  modeEl.value = 'campaign';
+  localStorage.setItem('snake_mode', 'campaign');
+  renderCampaign();
+  resetGame();
+}
+function renderGoal(){
+  const def = campaignLevel();
+  if(!def){
+    goalInfoEl.textContent = '';
+    return;
+  }
+  const target = def.goal.target;
+  goalInfoEl.textContent = `${SnakeCampaign.describeGoal(def)}: ${Math.min(target, SnakeCampaign.progress(def, game))} / ${target}`;
+}
+// Level finished (won or lost): save progress and show the transition screen
+function campaignOver(){
+  const def = campaignLevel();
+  const saved = SnakeCampaign.recordResult(loadCampaign(), def, game);
+  saveCampaign(saved);
+  renderCampaign();
+  const idx = SnakeCampaign.LEVELS.indexOf(def);
+  const next = SnakeCampaign.LEVELS[idx+1];
+  const stars = SnakeCampaign.starsFor(def, game);
+  levelResultTitle.textContent = game.won ? `${def.name} complete!` : `${def.name} failed`;
+  levelStarsEl.textContent = game.won ? starString(stars) : '';
+  levelResultText.textContent = game.won
+    ? `Score ${player().score} in ${(game.tick / def.tickRate).toFixed(1)}s. Best: ${saved.levels[def.id].best}.`
+    : `${SnakeCampaign.describeGoal(def)} — you reached ${SnakeCampaign.progress(def, game)}.`;
+  levelNextBtn.classList.toggle('d-none', !(game.won && next));
+  levelNextBtn.dataset.next = next ? next.id : '';
+  levelModal.show();
+}
+
+// Replays
+const REPLAY_KEY = 'snake_last_replay';
+function saveLastReplay(replay){
+  lastReplay = replay;
+  try {
+    localStorage.setItem(REPLAY_KEY, SnakeReplay.serialize(replay));
+  } catch(e){
+    console.warn('Could not persist replay', e);
+  }
+  renderReplayInfo();
+}
+function loadLastReplay(){
+  try {
+    const raw = localStorage.getItem(REPLAY_KEY);
+    return raw ? SnakeReplay.parse(raw) : null;
+  } catch(e){
+    console.error('Failed to parse saved replay', e);
+    return null;
+  }
+}
+function renderReplayInfo(){
+  watchReplayBtn.disabled = !lastReplay;
+  exportReplayBtn.disabled = !lastReplay;
+  if(!lastReplay){
+    replayInfoEl.textContent = 'No replay recorded yet.';
+    return;
+  }
+  const rules = typeof lastReplay.rules === 'string' ? lastReplay.rules : 'custom';
+  replayInfoEl.textContent = `Score ${lastReplay.score} · ${lastReplay.difficulty} · ${rules} · ${lastReplay.ticks} ticks`;
+}
+
+function watchReplay(replay){
+  resetGame();
+  cancelDemo();
+  replayPlayer = SnakeReplay.createPlayer(replay);
+  game = replayPlayer.state;
+  goalInfoEl.textContent = '';
+  resizeCanvas();
+  startBtn.disabled = true;
+  setSettingsDisabled(true);
+  replayControls.classList.remove('d-none');
+  replayScrub.max = replay.ticks;
+  renderReplayPosition();
+}
+// Scores, scrubber and tick counter for the replay's current tick
+function showReplayPosition(){
+  game = replayPlayer.state;
+  renderScores();
+  replayScrub.value = replayPlayer.tick;
+  replayTickEl.textContent = `${replayPlayer.tick} / ${replayPlayer.replay.ticks}`;
+}
+// After a seek or a single step there is no tick to slide from
+function renderReplayPosition(){
+  prevGame = null;
+  showReplayPosition();
+  draw();
+}
+// Playback speed and the replay's own speed changes are read before every tick
+const replayLoop = SnakeLoop.createLoop({
+  rate: ()=> SnakeEngine.getTickRate(replayPlayer.state) * parseFloat(replaySpeedEl.value),
+  tick: ()=>{
+    prevGame = replayPlayer.state;
+    replayPlayer.stepForward();
+    showReplayPosition();
+    if(!replayPlayer.atEnd()) return;
+    pauseReplay();
+    draw();
+  },
+  draw
+});
+function playReplay(){
+  if(replayPlayer.atEnd()) replayPlayer.seek(0);
+  replayPlayBtn.textContent = 'Pause';
+  renderReplayPosition();
+  replayLoop.start();
+}
+function pauseReplay(){
+  replayLoop.stop();
+  replayPlayBtn.textContent = 'Play';
+}
+function stopReplay(){
+  if(!replayPlayer) return;
+  pauseReplay();
+  replayPlayer = null;
+  replayControls.classList.add('d-none');
+}
+
+function exportReplay(){
+  const blob = new Blob([SnakeReplay.serialize(lastReplay)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `snake-replay-${lastReplay.score}-${lastReplay.date.slice(0,10)}.json`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+function importReplay(file){
+  const reader = new FileReader();
+  reader.onload = ()=>{
+    try {
+      const replay = SnakeReplay.parse(reader.result);
+      saveLastReplay(replay);
+      watchReplay(replay);
+    } catch(e){
+      alert(`Could not import replay: ${e.message}`);
+    }
+  };
+  reader.readAsText(file);
+}
+
+// Custom levels
+const LEVELS_KEY = 'snake_levels';
+function loadLevels(){
+  try {
+    const list = JSON.parse(localStorage.getItem(LEVELS_KEY) || '[]');
+    // drop anything that no longer validates instead of failing the whole list
+    return list.map(SnakeLevels.normalize).filter(l=>SnakeLevels.validateLevel(l).length === 0);
+  } catch(e){
+    console.error('Failed to parse levels', e);
+    return [];
+  }
+}
+function saveLevels(list){
+  localStorage.setItem(LEVELS_KEY, JSON.stringify(list));
+}
+function selectedLevel(){
+  if(!levelEl.value) return null;
+  return loadLevels().find(l=>l.id === levelEl.value) || null;
+}
+function renderLevelOptions(selectedId){
+  const list = loadLevels();
+  levelEl.innerHTML = '';
+  const random = document.createElement('option');
+  random.value = '';
+  random.textContent = 'Random';
+  levelEl.appendChild(random);
+  list.forEach(l=>{
+    const opt = document.createElement('option');
+    opt.value = l.id;
+    opt.textContent = l.name;
+    levelEl.appendChild(opt);
+  });
+  levelEl.value = list.some(l=>l.id === selectedId) ? selectedId : '';
+  editLevelBtn.disabled = !levelEl.value;
+}
+
+// Level editor
+const editor = SnakeEditor.createEditor({
+  canvas,
+  getCellSize: ()=> cellSize,
+  onChange: renderEditor
+});
+function openEditor(level){
+  if(running) return;
+  resetGame();
+  cancelDemo();
+  editor.open(level);
+  levelNameInput.value = level.name;
+  levelStartDirEl.value = level.start.dir;
+  levelWallModeEl.value = level.wallMode;
+  editorIdleEl.classList.add('d-none');
+  editorPanel.classList.remove('d-none');
+  startBtn.disabled = true;
+  setSettingsDisabled(true);
+}
+function closeEditor(){
+  if(!editor.active) return;
+  editor.close();
+  editorPanel.classList.add('d-none');
+  editorIdleEl.classList.remove('d-none');
+}
+// Preview the level as a fresh game without apples, then mark the start and its safe moves
+function renderEditor(level){
+  const errors = SnakeLevels.validateLevel(level);
+  levelErrorsEl.innerHTML = '';
+  errors.forEach(msg=>{
+    const li = document.createElement('li');
+    li.textContent = msg;
+    levelErrorsEl.appendChild(li);
+  });
+  saveLevelBtn.disabled = errors.length > 0;
+  game = SnakeEngine.createGame({ level, rules: rulesetEl.value, appleCount: 0 });
+  resizeCanvas();
+  draw();
+  const dir = SnakeEngine.toDir(level.start.dir);
+  ctx.save();
+  ctx.fillStyle = errors.length ? 'rgba(220,53,69,0.25)' : 'rgba(13,110,253,0.18)';
+  for(let i=1;i<=SnakeLevels.SAFE_MOVES;i++){
+    const x = (level.start.x + dir.x*i + level.width) % level.width;
+    const y = (level.start.y + dir.y*i + level.rows) % level.rows;
+    ctx.fillRect(x*cellSize, y*cellSize, cellSize, cellSize);
+    markCell(x, y);
+  }
+  // arrow on the start cell (the snake's head is already marked)
+  const cx = level.start.x*cellSize + cellSize/2;
+  const cy = level.start.y*cellSize + cellSize/2;
+  ctx.translate(cx, cy);
+  ctx.rotate(Math.atan2(dir.y, dir.x));
+  ctx.fillStyle = '#fff';
+  ctx.beginPath();
+  ctx.moveTo(cellSize*0.3, 0);
+  ctx.lineTo(-cellSize*0.2, -cellSize*0.22);
+  ctx.lineTo(-cellSize*0.2, cellSize*0.22);
+  ctx.closePath();
+  ctx.fill();
+  ctx.restore();
+}
+function saveEditedLevel(){
+  const level = SnakeLevels.normalize(editor.level);
+  if(SnakeLevels.validateLevel(level).length) return;
+  const list = loadLevels();
+  const idx = list.findIndex(l=>l.id === level.id);
+  if(idx >= 0) list[idx] = level; else list.push(level);
+  saveLevels(list);
+  localStorage.setItem('snake_level', level.id);
+  renderLevelOptions(level.id);
+}
+function exportLevel(level){
+  const blob = new Blob([SnakeLevels.serialize(level)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `snake-level-${level.name.replace(/[^a-z0-9]+/gi,'-').toLowerCase() || 'untitled'}.json`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+function importLevel(file){
+  const reader = new FileReader();
+  reader.onload = ()=>{
+    try {
+      const level = SnakeLevels.parse(reader.result);
+      const list = loadLevels();
+      // never overwrite an existing map on import
+      if(list.some(l=>l.id === level.id)) level.id = `lvl-${Date.now().toString(36)}`;
+      list.push(level);
+      saveLevels(list);
+      localStorage.setItem('snake_level', level.id);
+      renderLevelOptions(level.id);
+      resetGame();
+    } catch(e){
+      alert(`Could not import level: ${e.message}`);
+    }
+  };
+  reader.readAsText(file);
+}
+
+newLevelBtn.addEventListener('click', ()=> openEditor(SnakeLevels.createLevel(width, rows)));
+editLevelBtn.addEventListener('click', ()=> {
+  const level = selectedLevel();
+  if(level) openEditor(level);
+});
+importLevelInput.addEventListener('change', ()=> {
+  if(importLevelInput.files.length && !running) importLevel(importLevelInput.files[0]);
+  importLevelInput.value = '';
+});
+document.querySelectorAll('input[name="editorTool"]').forEach(radio=>{
+  radio.addEventListener('change', ()=> { if(radio.checked) editor.setTool(radio.value); });
+});
+levelNameInput.addEventListener('input', ()=> editor.update({ name: levelNameInput.value.trim() || 'Untitled' }));
+levelStartDirEl.addEventListener('change', ()=> editor.setDirection(levelStartDirEl.value));
+levelWallModeEl.addEventListener('change', ()=> editor.update({ wallMode: levelWallModeEl.value }));
+clearLevelBtn.addEventListener('click', ()=> editor.clearWalls());
+saveLevelBtn.addEventListener('click', ()=> saveEditedLevel());
+exportLevelBtn.addEventListener('click', ()=> exportLevel(SnakeLevels.normalize(editor.level)));
+deleteLevelBtn.addEventListener('click', ()=> {
+  if(!confirm('Delete this level? This cannot be undone.')) return;
+  const id = editor.level.id;
+  saveLevels(loadLevels().filter(l=>l.id !== id));
+  renderLevelOptions(levelEl.value === id ? '' : levelEl.value);
+  localStorage.setItem('snake_level', levelEl.value);
+  resetGame();
+});
+closeEditorBtn.addEventListener('click', ()=> resetGame());
+
 // Modal handlers
+levelRetryBtn.addEventListener('click', ()=>{
+  levelModal.hide();
+  resetGame();
+});
+levelNextBtn.addEventListener('click', ()=>{
+  levelModal.hide();
+  selectCampaignLevel(levelNextBtn.dataset.next);
+});
+levelCloseBtn.addEventListener('click', ()=>{
+  levelModal.hide();
+  resetGame();
+});
 nameForm.addEventListener('submit', (e)=>{
   e.preventDefault();
-  const name = playerNameInput.value.trim() || 'Anonymous';
-  const list = loadLeaderboard();
-  list.push({ name: name, score: score });
-  list.sort((a,b)=> b.score - a.score);
-  saveLeaderboard(list);
-  renderLeaderboard();
+  const names = [playerNameInput.value.trim() || 'Anonymous', playerName2Input.value.trim() || 'Player 2'];
+  const entries = pendingScores.entries.map((fields, idx)=> Object.assign({ name: names[idx] }, fields));
+  // the same check the score server makes, so a run that fails here is never stored
+  const failed = entries.map(entry=> SnakeVerify.verifyEntry(entry, pendingScores.board)).find(r=>!r.ok);
+  if(failed){
+    saveErrorEl.textContent = `Score rejected: ${failed.reason}`;
+    return;
+  }
+  let data = loadLeaderboard();
+  entries.forEach((entry, idx)=>{
+    const added = SnakeLeaderboard.addEntry(data, pendingScores.board, entry);
+    data = added.data;
+    // "your rank" follows Player 1's score
+    if(idx === 0) localStorage.setItem(LB_LAST_KEY, JSON.stringify({ board: pendingScores.board, id: added.entry.id, score: added.entry.score }));
+  });
+  saveLeaderboard(data);
+  localStorage.setItem(SUBMIT_KEY, submitServerEl.checked ? '1' : '0');
+  if(submitServerEl.checked) submitToServer(pendingScores.board, entries);
+  pendingScores = null;
   nameModal.hide();
   resetGame();
 });
@@ -379,76 +1675,436 @@ cancelNameBtn.addEventListener('click', ()=>{
   resetGame();
 });
 
-// Input handling
+// Input handling: keys, gamepads, touch buttons and swipes all go through one layer (input.js)
+const CONTROLS_KEY = 'snake_controls';
+const input = SnakeInput.createInput(loadControls(), {
+  direction: (dir, player)=>{
+    if(demoLoop.running) return resetGame(); // steering ends the demo instead
+    if(demoTimer) scheduleDemo(); // still around, hold off the demo
+    // Player 2's controls steer the only human snake outside versus
+    applyDirection(dir, isVersus() ? player : 0);
+  },
+  action: (id)=>{
+    if(id === 'fullscreen') return toggleFullscreen();
+    if(deathTimer) return;
+    if(demoLoop.running) return resetGame();
+    if(demoTimer) scheduleDemo();
+    if(editor.active) return;
+    if(replayPlayer){
+      if(id === 'pause' || id === 'start'){
+        if(replayLoop.running) pauseReplay(); else playReplay();
+      }
+      return;
+    }
+    if(id === 'pause') togglePause();
+    else if(id === 'start'){
+      if(!running) startWithCountdown();
+    } else if(id === 'restart' && !isOnline()){
+      if(running && !confirm('Restart game?')) return;
+      resetGame();
+      startWithCountdown();
+    }
+  }
+});
+function loadControls(){
+  try {
+    return SnakeInput.loadControls(JSON.parse(localStorage.getItem(CONTROLS_KEY)));
+  } catch(e){
+    return SnakeInput.defaults();
+  }
+}
+function saveControls(controls){
+  input.setControls(controls);
+  localStorage.setItem(CONTROLS_KEY, JSON.stringify(input.controls));
+  renderControls();
+}
+// Typing in a form field never steers or starts the game
+function isTyping(e){
+  const t = e.target;
+  return !!t && (t.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(t.tagName)) && t.type !== 'range' && t.type !== 'checkbox';
+}
 document.addEventListener('keydown', (e)=>{
-  if(!allowInput) return;
-  if(e.key === 'ArrowUp' && dir.y === 0){ nextDir = {x:0,y:-1}; allowInput=false; }
-  if(e.key === 'ArrowDown' && dir.y === 0){ nextDir = {x:0,y:1}; allowInput=false; }
-  if(e.key === 'ArrowLeft' && dir.x === 0){ nextDir = {x:-1,y:0}; allowInput=false; }
-  if(e.key === 'ArrowRight' && dir.x === 0){ nextDir = {x:1,y:0}; allowInput=false; }
-  if(e.key === 'p' || e.key === 'P'){ togglePause(); }
-  if(e.key === ' '){ // space to start
-    if(!running) startWithCountdown();
+  if(rebinding) return finishRebind(e);
+  if(isTyping(e)) return;
+  if(demoLoop.running){ // the key that ends the demo doesn't also steer or start
+    e.preventDefault();
+    resetGame();
+    return;
+  }
+  if(demoTimer) scheduleDemo(); // still around, hold off the demo
+  if(input.keyDown(e.key)) e.preventDefault();
+});
+
+// Gamepads are polled once a frame while any is connected
+let gamepadFrame = null;
+function connectedPads(){
+  return navigator.getGamepads ? Array.from(navigator.getGamepads()).filter(Boolean) : [];
+}
+function pollGamepads(){
+  const pads = connectedPads();
+  input.pollGamepads(pads);
+  gamepadFrame = pads.length ? requestAnimationFrame(pollGamepads) : null;
+}
+window.addEventListener('gamepadconnected', ()=>{
+  renderGamepadStatus();
+  if(!gamepadFrame) pollGamepads();
+});
+window.addEventListener('gamepaddisconnected', renderGamepadStatus);
+function renderGamepadStatus(){
+  const pads = connectedPads();
+  gamepadStatusEl.textContent = pads.length
+    ? pads.map((p, i)=> `${isVersus() ? `Player ${i+1}` : 'Gamepad'}: ${p.id}`).join(' · ')
+    : 'No gamepad connected. Press a button on one to use it.';
+}
+
+// Controls panel: click an action, then press the key to bind to it (Esc cancels)
+let rebinding = null; // action id waiting for a key
+function renderControls(){
+  const keys = input.controls.keys;
+  controlsListEl.innerHTML = SnakeInput.ACTIONS.map(a=>
+    `<tr><td>${a.label}</td><td class="text-end"><button type="button" class="btn btn-outline-secondary btn-sm key-btn" data-action="${a.id}">${rebinding === a.id ? 'Press a key…' : escapeHtml(SnakeInput.keyLabel(keys[a.id]))}</button></td></tr>`
+  ).join('');
+  deadzoneEl.value = input.controls.deadzone;
+  deadzoneValueEl.textContent = input.controls.deadzone.toFixed(2);
+  queueDepthEl.value = input.controls.queueDepth;
+}
+function finishRebind(e){
+  e.preventDefault();
+  const id = rebinding;
+  rebinding = null;
+  if(e.key === 'Escape'){
+    controlsErrorEl.textContent = '';
+  } else {
+    const result = SnakeInput.rebind(input.controls, id, e.key);
+    controlsErrorEl.textContent = result.conflict
+      ? `${SnakeInput.keyLabel(SnakeInput.normalizeKey(e.key))} is already used for ${result.conflict.label}. Rebind that first.`
+      : '';
+    if(!result.conflict) return saveControls(result.controls);
   }
+  renderControls();
+}
+controlsListEl.addEventListener('click', (e)=>{
+  const btn = e.target.closest('[data-action]');
+  if(!btn) return;
+  rebinding = btn.dataset.action;
+  controlsErrorEl.textContent = '';
+  renderControls();
+});
+resetControlsBtn.addEventListener('click', ()=>{
+  rebinding = null;
+  controlsErrorEl.textContent = '';
+  saveControls(Object.assign(SnakeInput.defaults(), { deadzone: input.controls.deadzone, queueDepth: input.controls.queueDepth }));
+});
+deadzoneEl.addEventListener('input', ()=>{
+  saveControls(Object.assign({}, input.controls, { deadzone: parseFloat(deadzoneEl.value) }));
+});
+queueDepthEl.addEventListener('change', ()=>{
+  saveControls(Object.assign({}, input.controls, { queueDepth: parseInt(queueDepthEl.value, 10) }));
 });
 
 // Mobile touch buttons
 document.querySelectorAll('.touch-btn').forEach(btn=>{
   btn.addEventListener('touchstart', (ev)=>{
     ev.preventDefault();
-    const dirStr = btn.dataset.dir;
-    applyDirection(dirStr);
+    input.direction(btn.dataset.dir);
   }, {passive:false});
   btn.addEventListener('mousedown', ()=>{
-    const dirStr = btn.dataset.dir;
-    applyDirection(dirStr);
+    input.direction(btn.dataset.dir);
   });
 });
 
-function applyDirection(dirStr){
-  if(!allowInput) return;
-  const mapping = {
-    up: {x:0,y:-1}, down: {x:0,y:1}, left: {x:-1,y:0}, right: {x:1,y:0}
-  };
-  const newDir = mapping[dirStr];
+function applyDirection(dirStr, idx){
+  if(isOnline()) return onlineDirection(dirStr);
+  const p = idx || 0;
+  if(bots[p] || replayPlayer || editor.active || demoLoop.running || !game.snakes[p]) return;
+  const newDir = SnakeEngine.toDir(dirStr);
   if(!newDir) return;
-  if(newDir.x === -dir.x && newDir.y === -dir.y) return; // no reverse
-  nextDir = newDir;
-  allowInput = false;
+  turnQueues[p] = SnakeInput.queueTurn(turnQueues[p], newDir, game.snakes[p].dir, input.controls.queueDepth);
 }
 
-// Canvas swipe detection
-let touchStart = null;
+// Canvas swipe detection. Touches are tracked by id so two players can swipe at once;
+// in versus the left half of the canvas steers player 1 and the right half player 2.
+const touchStarts = new Map();
 canvas.addEventListener('touchstart', (e)=>{
-  if(e.touches.length === 1){
-    touchStart = { x: e.touches[0].clientX, y: e.touches[0].clientY };
-  }
+  const rect = canvas.getBoundingClientRect();
+  Array.from(e.changedTouches).forEach(t=>{
+    const p = game.snakes.length > 1 && t.clientX > rect.left + rect.width/2 ? 1 : 0;
+    touchStarts.set(t.identifier, { x: t.clientX, y: t.clientY, player: p });
+  });
 }, {passive:true});
 canvas.addEventListener('touchend', (e)=>{
-  if(!touchStart) return;
-  const t = e.changedTouches[0];
-  const dx = t.clientX - touchStart.x;
-  const dy = t.clientY - touchStart.y;
-  if(Math.hypot(dx,dy) < 30) { touchStart = null; return; }
-  if(Math.abs(dx) > Math.abs(dy)){
-    if(dx > 0) applyDirection('right'); else applyDirection('left');
-  } else {
-    if(dy > 0) applyDirection('down'); else applyDirection('up');
-  }
-  touchStart = null;
+  Array.from(e.changedTouches).forEach(t=>{
+    const start = touchStarts.get(t.identifier);
+    touchStarts.delete(t.identifier);
+    if(!start) return;
+    const dx = t.clientX - start.x;
+    const dy = t.clientY - start.y;
+    if(Math.hypot(dx,dy) < 30) return;
+    if(Math.abs(dx) > Math.abs(dy)){
+      input.direction(dx > 0 ? 'right' : 'left', start.player);
+    } else {
+      input.direction(dy > 0 ? 'down' : 'up', start.player);
+    }
+  });
 }, {passive:true});
+canvas.addEventListener('touchcancel', (e)=>{
+  Array.from(e.changedTouches).forEach(t=> touchStarts.delete(t.identifier));
+}, {passive:true});
+
+// A tap or click anywhere ends the demo, or postpones it while it's pending
+document.addEventListener('pointerdown', ()=>{
+  if(demoLoop.running) resetGame();
+  else if(demoTimer) scheduleDemo();
+});
+
+// Online play: the server runs the game; this page predicts the local snake between snapshots
+const ONLINE_NAME_KEY = 'snake_online_name';
+const ONLINE_SERVER_KEY = 'snake_online_server';
+function defaultServerUrl(){
+  if(location.protocol === 'http:' || location.protocol === 'https:'){
+    return `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}/ws`;
+  }
+  return 'ws://localhost:8080/ws';
+}
+function netSend(msg){
+  if(net && net.socket.readyState === WebSocket.OPEN) net.socket.send(JSON.stringify(msg));
+}
+// Open a connection and send `first` (a create or join message) once it's up
+function connectOnline(first){
+  leaveOnline();
+  if(!isOnline()){
+    modeEl.value = 'online';
+    localStorage.setItem('snake_mode', 'online');
+    renderCampaign();
+    resetGame();
+  }
+  const url = onlineServerInput.value.trim() || defaultServerUrl();
+  localStorage.setItem(ONLINE_NAME_KEY, onlineNameInput.value.trim());
+  localStorage.setItem(ONLINE_SERVER_KEY, onlineServerInput.value.trim());
+  let socket;
+  try {
+    socket = new WebSocket(url);
+  } catch(e){
+    return renderOnline(`Bad server address: ${url}`);
+  }
+  net = { socket, code: null, id: null, spectator: false, room: null, names: [], slot: null, predictor: null };
+  renderOnline(`Connecting to ${url}…`);
+  socket.addEventListener('open', ()=> netSend(first));
+  socket.addEventListener('message', (e)=>{
+    try {
+      handleNetMessage(JSON.parse(e.data));
+    } catch(err){
+      console.error('Bad message from server', err);
+    }
+  });
+  socket.addEventListener('close', ()=>{
+    if(!net || net.socket !== socket) return; // we left on purpose
+    const wasConnected = !!net.code;
+    net = null;
+    resetGame();
+    renderOnline(wasConnected ? 'Disconnected from the server' : `Could not connect to ${url}. Is the server running?`);
+  });
+}
+function leaveOnline(){
+  if(!net) return;
+  const socket = net.socket;
+  onlineLoop.stop();
+  net = null;
+  socket.close();
+  renderOnline('');
+}
+function handleNetMessage(msg){
+  if(!net) return;
+  if(msg.type === 'joined'){
+    net.code = msg.code;
+    net.id = msg.id;
+    net.spectator = msg.spectator;
+    renderOnline(msg.spectator ? 'Watching this room' : 'Share the code and press Ready');
+  } else if(msg.type === 'room'){
+    net.room = msg.room;
+    renderOnline();
+  } else if(msg.type === 'countdown'){
+    // same overlay as the local 3-2-1; null means the countdown was called off
+    countdownEl.style.opacity = 1;
+    countdownEl.textContent = msg.value || '';
+    if(msg.value){
+      pulseCountdown();
+      audio.sfx('countdown');
+    }
+  } else if(msg.type === 'start'){
+    startOnlineGame(msg);
+  } else if(msg.type === 'state'){
+    playTickEffects(msg.state.events, game ? game.apples : []);
+    game = net.predictor ? net.predictor.reconcile(msg.state, msg.acks[net.slot]) : msg.state;
+    if(net.slot !== null){
+      playSeconds += 1 / SnakeEngine.getTickRate(msg.state);
+      publishEvents(msg.state.events, net.slot);
+    }
+    renderScores();
+    showScorePopups(msg.state.events);
+    draw();
+  } else if(msg.type === 'over'){
+    onlineOver(msg);
+  } else if(msg.type === 'error'){
+    renderOnline(msg.message);
+  }
+}
+function startOnlineGame(msg){
+  stopOnlineGame();
+  stopDemo();
+  countdownEl.textContent = '';
+  net.names = msg.names;
+  const slot = msg.ids.indexOf(net.id);
+  net.slot = slot >= 0 ? slot : null;
+  game = msg.state;
+  net.predictor = net.slot === null ? null : SnakeNetplay.createPredictor(game, net.slot);
+  running = true;
+  paused = false;
+  startBtn.disabled = true;
+  setSettingsDisabled(true);
+  renderScores();
+  resizeCanvas();
+  draw();
+  renderOnline(net.slot === null ? 'Watching' : `You are Player ${net.slot + 1}`);
+  playSeconds = 0;
+  if(net.slot !== null) gameEvents.emit('start', Object.assign({ difficulty: game.difficulty }, runProgress(net.slot)));
+  prevGame = null;
+  if(net.predictor) onlineLoop.start();
+  audio.sfx('go');
+  startMusicIfNeeded();
+}
+// Local clock for the prediction; the server's snapshots correct it as they arrive
+const onlineLoop = SnakeLoop.createLoop({
+  rate: ()=> SnakeEngine.getTickRate(game),
+  tick: ()=>{
+    prevGame = game;
+    game = net.predictor.advance();
+    playTickSounds(prevGame, game, [net.slot]);
+    updateMusic();
+  },
+  draw
+});
+function stopOnlineGame(){
+  if(!net) return;
+  onlineLoop.stop();
+  net.predictor = null;
+}
+function onlineOver(msg){
+  stopOnlineGame();
+  stopMusicIfNeeded();
+  game = msg.state;
+  running = false;
+  saveLastReplay(msg.replay);
+  if(net.slot !== null){
+    gameEvents.emit('gameover', Object.assign({ cause: game.snakes[net.slot].cause }, runProgress(net.slot)));
+    unlockSkins(0, game.snakes[net.slot].score);
+  }
+  renderScores();
+  draw();
+  playDeath();
+  setSettingsDisabled(false);
+  const winner = game.winner;
+  countdownEl.style.opacity = 0.9;
+  countdownEl.textContent = winner === null ? 'Draw' : winner === net.slot ? 'You win!' : `${msg.names[winner]} wins`;
+  renderOnline('Press Ready for a rematch');
+}
+function onlineDirection(dirStr){
+  if(!net || !net.predictor || game.over) return;
+  const newDir = SnakeEngine.toDir(dirStr);
+  const sn = game.snakes[net.slot];
+  if(!newDir || !sn.alive) return;
+  // same rules as the local queue: compare with the newest turn still waiting for its tick
+  if(net.predictor.waiting >= input.controls.queueDepth) return;
+  const current = net.predictor.queued ? SnakeEngine.toDir(net.predictor.queued) : sn.dir;
+  if(SnakeEngine.posEq(newDir, current) || SnakeEngine.isReverse(newDir, current)) return;
+  netSend({ type: 'input', seq: net.predictor.input(dirStr), dir: dirStr });
+}
+function renderOnline(status){
+  if(status !== undefined) onlineStatusEl.textContent = status;
+  const room = net && net.room;
+  onlineIdleEl.classList.toggle('d-none', !!room);
+  onlineRoomEl.classList.toggle('d-none', !room);
+  if(!room) return;
+  roomCodeLabel.textContent = room.code;
+  roomInfoEl.textContent = `${room.settings.difficulty} · ${room.settings.rules}${room.settings.powerups ? ' · power-ups' : ''}${room.settings.hazards ? ' · hazards' : ''}${room.spectators ? ` · ${room.spectators} watching` : ''}`;
+  roomPlayersEl.innerHTML = '';
+  room.players.forEach(p=>{
+    const li = document.createElement('li');
+    li.className = 'list-group-item';
+    const name = document.createElement('span');
+    name.textContent = p.id === net.id ? `${p.name} (you)` : p.name;
+    const state = document.createElement('span');
+    state.className = `badge ${p.ready ? 'text-bg-success' : 'text-bg-secondary'}`;
+    state.textContent = p.ready ? 'Ready' : 'Not ready';
+    li.append(name, state);
+    roomPlayersEl.appendChild(li);
+  });
+  const me = room.players.find(p=>p.id === net.id);
+  readyBtn.classList.toggle('d-none', !me);
+  readyBtn.disabled = room.status === 'playing';
+  readyBtn.textContent = me && me.ready ? 'Not ready' : 'Ready';
+}
 
-// Leaderboard clear
+function onlineJoinMessage(spectate){
+  return { type: 'join', code: roomCodeInput.value.trim().toUpperCase(), name: onlineNameInput.value.trim(), spectate };
+}
+createRoomBtn.addEventListener('click', ()=> {
+  if(running && !isOnline()) return;
+  connectOnline({ type: 'create', name: onlineNameInput.value.trim(), settings: { difficulty: difficultyEl.value, rules: rulesetEl.value, powerups: powerupsEl.checked, hazards: hazardsEl.checked } });
+});
+joinRoomBtn.addEventListener('click', ()=> {
+  if(running && !isOnline()) return;
+  if(!roomCodeInput.value.trim()) return renderOnline('Enter a room code');
+  connectOnline(onlineJoinMessage(false));
+});
+watchRoomBtn.addEventListener('click', ()=> {
+  if(running && !isOnline()) return;
+  if(!roomCodeInput.value.trim()) return renderOnline('Enter a room code');
+  connectOnline(onlineJoinMessage(true));
+});
+readyBtn.addEventListener('click', ()=> {
+  const me = net && net.room && net.room.players.find(p=>p.id === net.id);
+  if(me) netSend({ type: 'ready', ready: !me.ready });
+});
+leaveRoomBtn.addEventListener('click', ()=> {
+  leaveOnline();
+  resetGame();
+});
+onlineNameInput.value = localStorage.getItem(ONLINE_NAME_KEY) || '';
+onlineServerInput.value = localStorage.getItem(ONLINE_SERVER_KEY) || '';
+onlineServerInput.placeholder = defaultServerUrl();
+
+// Leaderboard controls
+boardSelectEl.addEventListener('change', ()=> renderLeaderboard());
+topNEl.addEventListener('change', ()=> {
+  const n = parseInt(topNEl.value, 10);
+  const data = loadLeaderboard();
+  // shrinking the list drops entries for good, so ask first
+  const drops = Object.keys(data.boards).some(key=> data.boards[key].length > n);
+  if(drops && !confirm(`Keep only the top ${n} on every board? Lower scores will be removed.`)){
+    topNEl.value = String(data.topN);
+    return;
+  }
+  saveLeaderboard(SnakeLeaderboard.setTopN(data, n));
+  renderLeaderboard();
+});
 clearBoardBtn.addEventListener('click', ()=>{
-  if(confirm('Clear the leaderboard? This cannot be undone.')){
-    saveLeaderboard([]);
+  const key = boardSelectEl.value;
+  if(confirm(`Clear the ${SnakeLeaderboard.describeBoard(key)} leaderboard? This cannot be undone.`)){
+    saveLeaderboard(SnakeLeaderboard.clearBoard(loadLeaderboard(), key));
     renderLeaderboard();
   }
 });
+exportBoardJsonBtn.addEventListener('click', ()=> exportLeaderboard('json'));
+exportBoardCsvBtn.addEventListener('click', ()=> exportLeaderboard('csv'));
+importBoardInput.addEventListener('change', ()=> {
+  if(importBoardInput.files.length) importLeaderboard(importBoardInput.files[0]);
+  importBoardInput.value = '';
+});
 
 // UI buttons
 startBtn.addEventListener('click', ()=> {
-  if(!running) startWithCountdown();
+  if(!running && !replayPlayer && !editor.active) startWithCountdown();
 });
 pauseBtn.addEventListener('click', ()=> {
   togglePause();
@@ -457,108 +2113,341 @@ resetBtn.addEventListener('click', ()=> {
   if(confirm('Reset game?')) resetGame();
 });
 
-// Difficulty change while not running allowed
+// Replay controls
+watchReplayBtn.addEventListener('click', ()=> {
+  if(running) return;
+  if(lastReplay) watchReplay(lastReplay);
+});
+exportReplayBtn.addEventListener('click', ()=> {
+  if(lastReplay) exportReplay();
+});
+importReplayInput.addEventListener('change', ()=> {
+  if(importReplayInput.files.length && !running) importReplay(importReplayInput.files[0]);
+  importReplayInput.value = '';
+});
+replayPlayBtn.addEventListener('click', ()=> {
+  if(replayLoop.running) pauseReplay(); else playReplay();
+});
+replayStepBtn.addEventListener('click', ()=> {
+  pauseReplay();
+  replayPlayer.stepForward();
+  renderReplayPosition();
+});
+replayScrub.addEventListener('input', ()=> {
+  replayPlayer.seek(parseInt(replayScrub.value, 10));
+  renderReplayPosition();
+});
+replayExitBtn.addEventListener('click', ()=> resetGame());
+
+// Difficulty, rule set and level can only change between games; the board is rebuilt to match
 difficultyEl.addEventListener('change', ()=> {
-  if(running){
-    tickRate = getTickRateForDifficulty();
-    clearInterval(gameInterval);
-    gameInterval = setInterval(()=>{ if(!paused) tick(); }, 1000 / tickRate);
-  }
-});
-
-// Dark mode toggle
-function applyMode(dark){
-  document.body.classList.toggle('dark-mode', dark);
-  localStorage.setItem('snake_dark', dark ? '1' : '0');
-}
-modeToggle.addEventListener('change', (e)=>{
-  applyMode(e.target.checked);
-});
-const savedDark = localStorage.getItem('snake_dark') === '1';
-modeToggle.checked = savedDark;
-applyMode(savedDark);
-
-// Music using WebAudio (simple arpeggiated warmth)
-function initAudio(){
-  if(audioCtx) return;
-  audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-  masterGain = audioCtx.createGain();
-  masterGain.gain.value = parseFloat(musicVolume.value) || 0.2;
-  masterGain.connect(audioCtx.destination);
-  // create a simple sequence using oscillator and gain envelope
-  const carrier = audioCtx.createOscillator();
-  const carrierGain = audioCtx.createGain();
-  carrier.type = 'sawtooth';
-  carrier.frequency.value = 110; // base
-  carrierGain.gain.value = 0;
-  carrier.connect(carrierGain);
-  carrierGain.connect(masterGain);
-  carrier.start();
-  musicNode = { carrier, carrierGain, startTime: audioCtx.currentTime };
-  // schedule an LFO-ish pattern via interval
-  musicNode.interval = setInterval(()=>{
-    if(!audioCtx) return;
-    // brief envelope
-    const now = audioCtx.currentTime;
-    const freq = 110 * (1 + Math.random()*2); // random harmonic
-    carrier.frequency.setValueAtTime(freq, now);
-    carrierGain.gain.cancelScheduledValues(now);
-    carrierGain.gain.setValueAtTime(0, now);
-    carrierGain.gain.linearRampToValueAtTime(0.08, now + 0.02);
-    carrierGain.gain.linearRampToValueAtTime(0, now + 0.25);
-  }, 300);
-}
-
-// Start/stop music controls
-function startMusicIfNeeded(){
-  if(!musicOn) return;
+  gameEvents.emit('difficulty', { difficulty: difficultyEl.value });
+  resetGame();
+});
+modeEl.addEventListener('change', ()=> {
+  localStorage.setItem('snake_mode', modeEl.value);
+  renderCampaign();
+  renderGamepadStatus();
+  resetGame();
+});
+levelEl.addEventListener('change', ()=> {
+  localStorage.setItem('snake_level', levelEl.value);
+  editLevelBtn.disabled = !levelEl.value;
+  resetGame();
+});
+rulesetEl.addEventListener('change', ()=> {
+  localStorage.setItem('snake_rules', rulesetEl.value);
+  resetGame();
+});
+if(SnakeEngine.isKey(SnakeEngine.RULESETS, localStorage.getItem('snake_rules'))) rulesetEl.value = localStorage.getItem('snake_rules');
+
+powerupsEl.addEventListener('change', ()=> {
+  localStorage.setItem('snake_powerups', powerupsEl.checked ? '1' : '0');
+  resetGame();
+});
+powerupsEl.checked = localStorage.getItem('snake_powerups') !== '0';
+hazardsEl.addEventListener('change', ()=> {
+  localStorage.setItem('snake_hazards', hazardsEl.checked ? '1' : '0');
+  resetGame();
+});
+hazardsEl.checked = localStorage.getItem('snake_hazards') === '1';
+
+botTypeEl.addEventListener('change', ()=> {
+  localStorage.setItem('snake_bot', botTypeEl.value);
+  resetGame();
+});
+rivalsEl.addEventListener('change', ()=> {
+  localStorage.setItem('snake_rivals', rivalsEl.value);
+  resetGame();
+});
+// Autopilot can take over (or hand back) the player's snake mid-game
+autopilotEl.addEventListener('change', ()=> {
+  if(!game || replayPlayer || demoLoop.running) return;
+  bots[0] = autopilotEl.checked ? createBot() : null;
+  autopilotUsed = (running && autopilotUsed) || autopilotEl.checked;
+});
+if(SnakeBots.NAMES.includes(localStorage.getItem('snake_bot'))) botTypeEl.value = localStorage.getItem('snake_bot');
+if(['1','2','3'].includes(localStorage.getItem('snake_rivals'))) rivalsEl.value = localStorage.getItem('snake_rivals');
+
+// Themes (themes.js): the active theme colors the board and the page. Edits go into a draft
+// that is shown straight away and replaces the active theme once saved; editing a built-in
+// theme makes a custom copy of it.
+const THEME_KEY = 'snake_theme';
+const THEME_VARS = { page: '--bg', card: '--card', text: '--text', accent: '--accent', muted: '--muted' };
+let themeSettings = loadThemes();
+let themeDraft = null;
+function loadThemes(){
+  let raw = null;
   try {
-    if(!audioCtx) initAudio();
-    // resume context if suspended due to user gesture rules
-    if(audioCtx && audioCtx.state === 'suspended') audioCtx.resume();
-  } catch (e){
-    console.warn('Audio init failed', e);
+    raw = JSON.parse(localStorage.getItem(THEME_KEY));
+  } catch(e){}
+  // before themes there was only a dark mode switch
+  if(!raw && localStorage.getItem('snake_dark') === '1') raw = { active: 'dark' };
+  return SnakeThemes.loadSettings(raw);
+}
+function activeTheme(){
+  return SnakeThemes.find(themeSettings, themeSettings.active) || SnakeThemes.builtin(SnakeThemes.DEFAULT_THEME);
+}
+function shownTheme(){
+  return themeDraft || activeTheme();
+}
+function applyTheme(){
+  const theme = shownTheme();
+  Object.keys(THEME_VARS).forEach(k=> document.body.style.setProperty(THEME_VARS[k], theme.colors[k]));
+  document.body.classList.toggle('dark-mode', theme.dark);
+  refreshPalette();
+}
+function setActiveTheme(id){
+  themeSettings.active = id;
+  themeDraft = null;
+  localStorage.setItem(THEME_KEY, JSON.stringify(themeSettings));
+  renderThemeOptions();
+  applyTheme();
+  renderThemeEditor();
+}
+function renderThemeOptions(){
+  themeSelect.innerHTML = '';
+  [['Built-in', SnakeThemes.BUILTINS], ['Custom', themeSettings.custom]].forEach(([label, list])=>{
+    if(!list.length) return;
+    const group = document.createElement('optgroup');
+    group.label = label;
+    list.forEach(t=>{
+      const opt = document.createElement('option');
+      opt.value = t.id;
+      opt.textContent = t.name;
+      group.appendChild(opt);
+    });
+    themeSelect.appendChild(group);
+  });
+  themeSelect.value = themeSettings.active;
+}
+function renderThemeEditor(){
+  const theme = shownTheme();
+  themeNameEl.value = theme.name;
+  themeDarkEl.checked = theme.dark;
+  themeColorsEl.querySelectorAll('input').forEach(el=>{ el.value = theme.colors[el.dataset.key]; });
+  themeSaveBtn.disabled = !themeDraft;
+  themeRevertBtn.disabled = !themeDraft;
+  themeDeleteBtn.disabled = !!themeDraft || !!SnakeThemes.builtin(theme.id);
+}
+function editTheme(change){
+  if(!themeDraft){
+    const theme = activeTheme();
+    themeDraft = SnakeThemes.builtin(theme.id) ? SnakeThemes.createCustom(theme) : SnakeThemes.normalize(theme);
+  }
+  change(themeDraft);
+  applyTheme();
+  renderThemeEditor();
+}
+function saveTheme(theme){
+  const list = themeSettings.custom;
+  const at = list.findIndex(t=> t.id === theme.id);
+  if(at < 0 && list.length >= SnakeThemes.MAX_CUSTOM){
+    alert(`You can keep up to ${SnakeThemes.MAX_CUSTOM} custom themes. Delete one first.`);
+    return false;
+  }
+  themeSettings.custom = at < 0 ? list.concat([theme]) : list.map(t=> t.id === theme.id ? theme : t);
+  setActiveTheme(theme.id);
+  return true;
+}
+function exportTheme(theme){
+  const blob = new Blob([SnakeThemes.serialize(theme)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `snake-theme-${theme.name.replace(/[^a-z0-9]+/gi,'-').toLowerCase() || 'custom'}.json`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+function importTheme(file){
+  const reader = new FileReader();
+  reader.onload = ()=>{
+    try {
+      saveTheme(SnakeThemes.parse(reader.result));
+    } catch(e){
+      alert(`Could not import theme: ${e.message}`);
+    }
+  };
+  reader.readAsText(file);
+}
+SnakeThemes.COLOR_KEYS.forEach(k=>{
+  const label = document.createElement('label');
+  const el = document.createElement('input');
+  el.type = 'color';
+  el.dataset.key = k.id;
+  el.addEventListener('input', ()=> editTheme(t=>{ t.colors[k.id] = el.value; }));
+  label.append(k.label, el);
+  themeColorsEl.appendChild(label);
+});
+themeSelect.addEventListener('change', ()=>{
+  if(themeDraft && !confirm('Discard your unsaved theme changes?')){
+    themeSelect.value = themeSettings.active;
+    return;
   }
+  setActiveTheme(themeSelect.value);
+});
+themeNameEl.addEventListener('input', ()=> editTheme(t=>{ t.name = themeNameEl.value; }));
+themeDarkEl.addEventListener('change', ()=> editTheme(t=>{ t.dark = themeDarkEl.checked; }));
+themeSaveBtn.addEventListener('click', ()=>{
+  const errors = SnakeThemes.validateTheme(themeDraft);
+  if(errors.length) return alert(errors.join('\n'));
+  saveTheme(themeDraft);
+});
+themeRevertBtn.addEventListener('click', ()=>{
+  themeDraft = null;
+  applyTheme();
+  renderThemeEditor();
+});
+themeDeleteBtn.addEventListener('click', ()=>{
+  const theme = activeTheme();
+  if(!confirm(`Delete the theme "${theme.name}"?`)) return;
+  themeSettings.custom = themeSettings.custom.filter(t=> t.id !== theme.id);
+  setActiveTheme(SnakeThemes.DEFAULT_THEME);
+});
+themeExportBtn.addEventListener('click', ()=> exportTheme(shownTheme()));
+importThemeInput.addEventListener('change', ()=>{
+  if(importThemeInput.files.length) importTheme(importThemeInput.files[0]);
+  importThemeInput.value = '';
+});
+renderThemeOptions();
+applyTheme();
+renderThemeEditor();
+
+// Music and sound effects (music.js) through one audio manager that owns the page's
+// AudioContext (audio.js). The soundtrack's tempo follows the tick rate and its intensity
+// builds with the score; the context is suspended whenever nothing should be heard.
+const audio = SnakeAudio.createAudioManager({ music: parseFloat(musicVolume.value), sfx: parseFloat(sfxVolume.value) });
+const GAME_OVER_TAIL = 1; // seconds of audio left for the death sound before suspending
+
+function startMusicIfNeeded(){
+  updateMusic();
+  if(musicOn) audio.play();
 }
 function stopMusicIfNeeded(){
-  if(!audioCtx) return;
-  // leave audio context running but silence
-  // Alternatively, to free resources, fully stop:
-  if(musicNode && musicNode.interval) clearInterval(musicNode.interval);
-  try {
-    musicNode.carrier.stop();
-  } catch(e){}
-  musicNode = null;
-  audioCtx.close().catch(()=>{});
-  audioCtx = null;
+  audio.stop();
+  audio.suspend(GAME_OVER_TAIL);
+}
+function updateMusic(){
+  if(!game) return;
+  const sn = game.snakes[isOnline() && net.slot !== null ? net.slot : 0];
+  audio.update({ difficulty: game.difficulty, tickRate: SnakeEngine.getTickRate(game), score: sn.score, length: sn.body.length });
 }
+// Sounds for what happened to the human players' snakes on the tick from `before` to `after`
+function playTickSounds(before, after, humans){
+  after.events.forEach(e=>{
+    if(!humans.includes(e.snake)) return;
+    if(e.type === 'eat') audio.sfx('eat');
+    else if(e.type === 'powerup'){
+      audio.duck(0.5);
+      audio.sfx('powerup');
+    }
+  });
+  if(humans.some(idx=> before.snakes[idx].alive && !after.snakes[idx].alive)) audio.sfx('death');
+}
+// A hidden tab is silent; local games pause themselves (togglePause suspends the audio)
+document.addEventListener('visibilitychange', ()=>{
+  if(document.hidden) audio.suspend();
+  else if(running && !paused) audio.resume();
+});
+window.addEventListener('pagehide', ()=> audio.dispose());
 musicToggleBtn.addEventListener('click', ()=>{
   musicOn = !musicOn;
   musicToggleBtn.textContent = `Music: ${musicOn ? 'On' : 'Off'}`;
-  if(musicOn) startMusicIfNeeded(); else stopMusicIfNeeded();
+  if(!musicOn) audio.stop();
+  else if(running && !paused) startMusicIfNeeded();
   localStorage.setItem('snake_music', musicOn ? '1' : '0');
 });
 
-// Volume change
+// Volume changes
 musicVolume.addEventListener('input', (e)=>{
-  if(masterGain) masterGain.gain.value = parseFloat(e.target.value);
+  audio.setVolume('music', parseFloat(e.target.value));
   localStorage.setItem('snake_music_vol', e.target.value);
 });
+sfxVolume.addEventListener('input', (e)=>{
+  audio.setVolume('sfx', parseFloat(e.target.value));
+  localStorage.setItem('snake_sfx_vol', e.target.value);
+});
 
-// Snake color change
-snakeColorInput.addEventListener('input', ()=> draw());
+// FPS overlay
+showFpsEl.addEventListener('change', ()=> setShowFps(showFpsEl.checked));
+setShowFps(showFps);
 
-// Save and render leaderboard at init
+// Reduce motion: follows the system's prefers-reduced-motion until the switch is used
+const MOTION_KEY = 'snake_reduce_motion';
+const motionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+function applyMotion(){
+  const saved = localStorage.getItem(MOTION_KEY);
+  const reduce = saved === null ? !!(motionQuery && motionQuery.matches) : saved === '1';
+  effects.reduced = reduce;
+  reduceMotionEl.checked = reduce;
+  document.body.classList.toggle('reduce-motion', reduce);
+}
+reduceMotionEl.addEventListener('change', ()=>{
+  localStorage.setItem(MOTION_KEY, reduceMotionEl.checked ? '1' : '0');
+  applyMotion();
+  if(game) draw();
+});
+if(motionQuery) motionQuery.addEventListener('change', applyMotion);
+applyMotion();
+
+// Render leaderboard at init; a top-5 list from an older version is stored migrated
+if((localStorage.getItem(LB_KEY) || '').startsWith('[')) saveLeaderboard(loadLeaderboard());
 renderLeaderboard();
+highScore = loadHighScore();
+highScoreEl.textContent = highScore;
+renderProfile(achievements.profile);
+renderSkins();
+unlockSkins(0, highScore); // a best score from before skins counts for Player 1
+renderControls();
+renderGamepadStatus();
+submitServerEl.checked = localStorage.getItem(SUBMIT_KEY) === '1';
+
+// Restore the saved levels and selection
+renderLevelOptions(localStorage.getItem('snake_level'));
+
+// Restore mode and campaign position
+const savedCampaignIdx = SnakeCampaign.LEVELS.findIndex(l=>l.id === localStorage.getItem('snake_campaign_level'));
+if(savedCampaignIdx >= 0 && SnakeCampaign.isUnlocked(loadCampaign(), savedCampaignIdx)) campaignId = SnakeCampaign.LEVELS[savedCampaignIdx].id;
+if(['campaign','versus','arena','online'].includes(localStorage.getItem('snake_mode'))) modeEl.value = localStorage.getItem('snake_mode');
+renderCampaign();
+
+// Restore the last recorded replay
+lastReplay = loadLastReplay();
+renderReplayInfo();
 
 // Persist music preference
 musicOn = localStorage.getItem('snake_music') !== '0';
 musicToggleBtn.textContent = `Music: ${musicOn ? 'On' : 'Off'}`;
 
-// Load persisted volume
+// Load persisted volumes
 const savedVol = parseFloat(localStorage.getItem('snake_music_vol') || musicVolume.value);
 musicVolume.value = savedVol;
-if(savedVol && masterGain) masterGain.gain.value = savedVol;
+const savedSfxVol = parseFloat(localStorage.getItem('snake_sfx_vol') || sfxVolume.value);
+sfxVolume.value = savedSfxVol;
+audio.setVolume('music', savedVol);
+audio.setVolume('sfx', savedSfxVol);
 
 // Setup initial canvas and start frame
 resetGame();
@@ -571,15 +2460,8 @@ window.addEventListener('error', (e)=>{
   resetGame();
 });
 
-// Helper to ensure apple/obstacle spacing - called periodically
-setInterval(() => {
-  // occasionally ensure apple exists and obstacles reasonable
-  if(!apple) spawnApple();
-  if(obstacles.length > 12) obstacles.splice(0, obstacles.length - 12);
-}, 3000);
-
 // Fixes/notes:
- // - Prevent immediate reversal by buffering nextDir and using allowInput flag
+ // - Prevent immediate reversal by checking each queued turn against the one before it
  // - Use localStorage guarded JSON parsing to avoid corruption issues
 
 // Simple accessibility: focus canvas to allow keyboard control
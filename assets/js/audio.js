@@ -0,0 +1,170 @@
+/*
+  Snake audio manager
+  - Owns the page's one AudioContext, made on first use and kept until the page goes away
+  - Music and sound-effect buses with their own volumes; the music also runs through a fader
+    for fades and ducking
+  - play/stop the soundtrack, fade it, duck it under a sound effect, suspend the context while
+    nothing should be heard (pause, hidden tab, game over) and resume it for play
+  - The rest of the app goes through this API and never touches audio nodes itself
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./music.js'));
+  else root.SnakeAudio = factory(root.SnakeMusic);
+})(typeof self !== 'undefined' ? self : this, function(SnakeMusic){
+  'use strict';
+
+  const FADE = 0.4;          // seconds for play/stop fades
+  const DUCK_LEVEL = 0.35;   // music level while ducked
+  const SILENT = 0.0001;     // exponential ramps can't reach 0
+
+  function browserContext(){
+    const Ctx = typeof AudioContext !== 'undefined' ? AudioContext : (typeof webkitAudioContext !== 'undefined' ? webkitAudioContext : null);
+    if(!Ctx) throw new Error('Web Audio is not supported');
+    return new Ctx();
+  }
+
+  // volumes: { music, sfx } from 0 to 1. createContext() makes the AudioContext (tests can
+  // hand in their own).
+  function createAudioManager(volumes, createContext){
+    const levels = Object.assign({ music: 0.2, sfx: 0.5 }, volumes);
+    let ctx = null;
+    let nodes = null; // { music, fader, sfx, sequencer, effects }
+    let suspendTimer = null;
+    let stopTimer = null;
+    let duckTimer = null;
+    let playing = false;
+    let game = {}; // what the soundtrack follows, see update()
+
+    // Builds the context and buses the first time audio is needed; false if audio is unavailable
+    function ensure(){
+      if(ctx) return true;
+      try {
+        ctx = (createContext || browserContext)();
+      } catch(e){
+        console.warn('Audio init failed', e);
+        return false;
+      }
+      const music = ctx.createGain();
+      const fader = ctx.createGain();
+      const sfx = ctx.createGain();
+      music.gain.value = levels.music;
+      fader.gain.value = SILENT;
+      sfx.gain.value = levels.sfx;
+      fader.connect(music);
+      music.connect(ctx.destination);
+      sfx.connect(ctx.destination);
+      nodes = {
+        music, fader, sfx,
+        sequencer: SnakeMusic.createSequencer(ctx, fader),
+        effects: SnakeMusic.createSfx(ctx, sfx)
+      };
+      follow();
+      return true;
+    }
+
+    function ramp(param, value, seconds){
+      const now = ctx.currentTime;
+      param.cancelScheduledValues(now);
+      param.setValueAtTime(Math.max(SILENT, param.value), now);
+      param.exponentialRampToValueAtTime(Math.max(SILENT, value), now + Math.max(0.01, seconds));
+    }
+
+    function resume(){
+      clearTimeout(suspendTimer);
+      suspendTimer = null;
+      if(!ensure()) return false;
+      if(ctx.state === 'suspended') ctx.resume().catch(()=>{});
+      return true;
+    }
+    // Suspend after `delay` seconds, so a sound that has just started can finish
+    function suspend(delay){
+      if(!ctx) return;
+      clearTimeout(suspendTimer);
+      suspendTimer = setTimeout(()=>{
+        suspendTimer = null;
+        if(ctx && ctx.state === 'running') ctx.suspend().catch(()=>{});
+      }, (delay || 0) * 1000);
+    }
+
+    // Music level through the fader, from 0 to 1, over `seconds`
+    function fade(level, seconds){
+      if(!ctx) return;
+      ramp(nodes.fader.gain, level, seconds === undefined ? FADE : seconds);
+    }
+    // Lower the music for `seconds`, then bring it back
+    function duck(seconds){
+      if(!playing) return;
+      clearTimeout(duckTimer);
+      fade(DUCK_LEVEL, 0.05);
+      duckTimer = setTimeout(()=>{
+        duckTimer = null;
+        if(playing) fade(1, 0.2);
+      }, seconds * 1000);
+    }
+
+    function play(){
+      if(!resume()) return;
+      clearTimeout(stopTimer);
+      stopTimer = null;
+      if(!playing) nodes.sequencer.start();
+      playing = true;
+      fade(1);
+    }
+    function stop(){
+      if(!playing) return;
+      playing = false;
+      clearTimeout(duckTimer);
+      fade(0);
+      // let the fade finish before the sequencer goes quiet
+      clearTimeout(stopTimer);
+      stopTimer = setTimeout(()=>{
+        stopTimer = null;
+        if(!playing) nodes.sequencer.stop();
+      }, FADE * 1000);
+    }
+
+    // Game state the soundtrack follows: { difficulty, tickRate, score, length }, any of them.
+    // Kept until the context exists, so the first notes already fit the game.
+    function update(info){
+      game = Object.assign({}, game, info);
+      if(ctx) follow();
+    }
+    function follow(){
+      if(game.difficulty) nodes.sequencer.setScale(SnakeMusic.DIFFICULTY_SCALES[game.difficulty] || 'dorian');
+      if(game.tickRate) nodes.sequencer.setTempo(SnakeMusic.tempoFor(game.tickRate));
+      if(game.score !== undefined) nodes.sequencer.setIntensity(SnakeMusic.intensityFor(game.score, game.length || 0));
+    }
+
+    // Resumes the context even with effects muted, since the music plays through it too
+    function sfx(name){
+      if(!resume() || levels.sfx === 0) return;
+      nodes.effects.play(name);
+    }
+
+    function setVolume(bus, value){
+      levels[bus] = Math.min(1, Math.max(0, value));
+      if(ctx) nodes[bus].gain.value = levels[bus];
+    }
+
+    // Stops everything and frees the context; the next sound builds a new one
+    function dispose(){
+      [suspendTimer, stopTimer, duckTimer].forEach(clearTimeout);
+      suspendTimer = stopTimer = duckTimer = null;
+      playing = false;
+      if(!ctx) return;
+      nodes.sequencer.stop();
+      [nodes.fader, nodes.music, nodes.sfx].forEach(n=> n.disconnect());
+      ctx.close().catch(()=>{});
+      ctx = null;
+      nodes = null;
+    }
+
+    return {
+      play, stop, fade, duck, suspend, resume, update, sfx, setVolume, dispose,
+      get playing(){ return playing; },
+      get context(){ return ctx; }
+    };
+  }
+
+  return { FADE, DUCK_LEVEL, createAudioManager };
+});
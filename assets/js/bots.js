@@ -0,0 +1,274 @@
+/*
+  Snake bots
+  - Computer players that pick a direction from the current engine state
+  - greedy: heads for the nearest apple, avoiding immediate death
+  - pathfinder: BFS shortest path to an apple around obstacles and bodies (wrap-aware)
+  - smart: pathfinder that refuses moves which trap it in a pocket smaller than itself
+  - survival: follows a Hamiltonian cycle over the board and only leaves it to stay alive
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'));
+  else root.SnakeBots = factory(root.SnakeEngine);
+})(typeof self !== 'undefined' ? self : this, function(SnakeEngine){
+  'use strict';
+
+  const DIR_NAMES = ['up', 'right', 'down', 'left'];
+  const BY_DIFFICULTY = { easy: 'greedy', medium: 'pathfinder', hard: 'smart' };
+
+  function wraps(state){
+    return (state.level ? state.level.wallMode : state.rules.walls) === 'wrap';
+  }
+
+  // Cell one step from p in direction name, or null when it leaves a lethal board
+  function move(state, p, name){
+    const d = SnakeEngine.DIRECTIONS[name];
+    let x = p.x + d.x, y = p.y + d.y;
+    if(x < 0 || y < 0 || x >= state.width || y >= state.rows){
+      if(!wraps(state)) return null;
+      x = (x + state.width) % state.width;
+      y = (y + state.rows) % state.rows;
+    }
+    return { x, y };
+  }
+
+  // For each cell, the first tick (counting from now) at which it is safe to enter.
+  // Collisions are checked before tails move, so segment i of a snake of length L
+  // is clear from tick L - i + 1 (later if it is still growing); obstacles never clear.
+  // Bots don't time moving hazards or plan through portals, so they keep off every cell a
+  // hazard can reach.
+  function freeTimes(state, idx){
+    const free = new Array(state.width * state.rows).fill(0);
+    state.obstacles.forEach(o=>{ free[o.y*state.width + o.x] = Infinity; });
+    SnakeEngine.hazardFootprint(state).forEach(c=>{ free[c.y*state.width + c.x] = Infinity; });
+    state.snakes.forEach(sn=>{
+      if(!sn.alive) return;
+      const len = sn.body.length;
+      sn.body.forEach((seg, i)=>{
+        const k = seg.y*state.width + seg.x;
+        free[k] = Math.max(free[k], len - i + 1 + sn.grow);
+      });
+    });
+    // cells next to a rival's head risk a head-on crash on the next tick
+    state.snakes.forEach((sn, j)=>{
+      if(j === idx || !sn.alive) return;
+      DIR_NAMES.forEach(name=>{
+        const c = move(state, sn.body[0], name);
+        if(c) free[c.y*state.width + c.x] = Math.max(free[c.y*state.width + c.x], 2);
+      });
+    });
+    return free;
+  }
+
+  function isReverseName(state, idx, name){
+    return SnakeEngine.isReverse(SnakeEngine.DIRECTIONS[name], state.snakes[idx].dir);
+  }
+
+  // Moves that don't die on the next tick, as [{ name, cell }]
+  function safeMoves(state, idx, free){
+    const head = state.snakes[idx].body[0];
+    return DIR_NAMES.filter(name=>!isReverseName(state, idx, name)).map(name=>({ name, cell: move(state, head, name) }))
+      .filter(m=>m.cell && free[m.cell.y*state.width + m.cell.x] <= 1);
+  }
+
+  function distance(state, a, b){
+    let dx = Math.abs(a.x - b.x), dy = Math.abs(a.y - b.y);
+    if(wraps(state)){
+      dx = Math.min(dx, state.width - dx);
+      dy = Math.min(dy, state.rows - dy);
+    }
+    return dx + dy;
+  }
+
+  // Breadth-first search outward from a set of first moves, each entered at tick 1.
+  // Calls visit(cell, dist, firstMove) for every reachable cell; stops when visit returns true.
+  function bfs(state, moves, free, visit){
+    const seen = new Uint8Array(state.width * state.rows);
+    const queue = moves.map(m=>({ cell: m.cell, dist: 1, first: m }));
+    queue.forEach(q=>{ seen[q.cell.y*state.width + q.cell.x] = 1; });
+    for(let qi=0; qi<queue.length; qi++){
+      const cur = queue[qi];
+      if(visit(cur.cell, cur.dist, cur.first)) return;
+      for(const name of DIR_NAMES){
+        const c = move(state, cur.cell, name);
+        if(!c) continue;
+        const k = c.y*state.width + c.x;
+        if(seen[k] || free[k] > cur.dist + 1) continue;
+        seen[k] = 1;
+        queue.push({ cell: c, dist: cur.dist + 1, first: cur.first });
+      }
+    }
+  }
+
+  // Number of cells reachable after taking a move; used to avoid dead ends
+  function openArea(state, m, free, limit){
+    let count = 0;
+    bfs(state, [m], free, ()=> ++count >= limit);
+    return count;
+  }
+
+  function roomiest(state, moves, free){
+    let best = null, bestArea = -1;
+    moves.forEach(m=>{
+      const area = openArea(state, m, free, state.width * state.rows);
+      if(area > bestArea){ best = m; bestArea = area; }
+    });
+    return best;
+  }
+
+  function currentName(state, idx){
+    const d = state.snakes[idx].dir;
+    return DIR_NAMES.find(name=>SnakeEngine.posEq(SnakeEngine.DIRECTIONS[name], d));
+  }
+
+  function greedy(state, idx){
+    const free = freeTimes(state, idx);
+    const moves = safeMoves(state, idx, free);
+    if(!moves.length || !state.apples.length) return moves.length ? moves[0].name : currentName(state, idx);
+    const keep = currentName(state, idx);
+    let best = null, bestDist = Infinity;
+    moves.forEach(m=>{
+      const dist = Math.min.apply(null, state.apples.map(a=>distance(state, m.cell, a)));
+      if(dist < bestDist || (dist === bestDist && m.name === keep)){ best = m; bestDist = dist; }
+    });
+    return best.name;
+  }
+
+  // First move of the shortest path to any apple, or null if none is reachable
+  function pathToApple(state, moves, free){
+    let found = null;
+    bfs(state, moves, free, (cell, dist, first)=>{
+      if(state.apples.some(a=>SnakeEngine.posEq(a, cell))) found = first;
+      return !!found;
+    });
+    return found;
+  }
+
+  function pathfinder(state, idx){
+    const free = freeTimes(state, idx);
+    const moves = safeMoves(state, idx, free);
+    if(!moves.length) return currentName(state, idx);
+    const m = pathToApple(state, moves, free) || roomiest(state, moves, free);
+    return m.name;
+  }
+
+  function smart(state, idx){
+    const free = freeTimes(state, idx);
+    const moves = safeMoves(state, idx, free);
+    if(!moves.length) return currentName(state, idx);
+    const need = state.snakes[idx].body.length + 2;
+    const m = pathToApple(state, moves, free);
+    if(m && openArea(state, m, free, need) >= need) return m.name;
+    return roomiest(state, moves, free).name;
+  }
+
+  // Hamiltonian cycle as a direction per cell. Needs an even side: rows run as a zigzag
+  // over columns 1..W-1 and column 0 is the lane back to the top. Returns null if impossible.
+  function buildCycle(width, rows){
+    if(rows % 2 === 1 && width % 2 === 1) return null;
+    const transpose = rows % 2 === 1;
+    const w = transpose ? rows : width, h = transpose ? width : rows;
+    const dirs = new Array(w*h);
+    for(let y=0;y<h;y++){
+      for(let x=0;x<w;x++){
+        let name;
+        if(x === 0) name = y === 0 ? 'right' : 'up';
+        else if(y % 2 === 0) name = x === w-1 ? 'down' : 'right';
+        else if(x === 1) name = y === h-1 ? 'left' : 'down';
+        else name = 'left';
+        if(transpose){
+          // swap axes: right<->down, left<->up
+          name = { right: 'down', down: 'right', left: 'up', up: 'left' }[name];
+          dirs[x*width + y] = name;
+        } else {
+          dirs[y*width + x] = name;
+        }
+      }
+    }
+    return dirs;
+  }
+
+  // Position of every cell along the cycle, walking from the top-left corner
+  function cycleOrder(dirs, width, rows){
+    const order = new Array(width*rows);
+    let x = 0, y = 0;
+    for(let i=0;i<width*rows;i++){
+      order[y*width + x] = i;
+      const d = SnakeEngine.DIRECTIONS[dirs[y*width + x]];
+      x += d.x; y += d.y;
+    }
+    return order;
+  }
+
+  const cycles = {};
+  function getCycle(width, rows){
+    const key = `${width}x${rows}`;
+    if(!(key in cycles)){
+      const dirs = buildCycle(width, rows);
+      cycles[key] = dirs && { dirs, order: cycleOrder(dirs, width, rows) };
+    }
+    return cycles[key];
+  }
+
+  // Follows the cycle, which visits every cell and never crosses itself. While the snake
+  // is short it may skip ahead toward an apple, as long as the skip stays behind its tail.
+  // If a whole lap goes by without eating, obstacles have cut the apple off from the
+  // cycle and the bot fetches it directly.
+  function survival(state, idx, memory){
+    const cycle = getCycle(state.width, state.rows);
+    const sn = state.snakes[idx];
+    const size = state.width * state.rows;
+    const seen = memory[idx];
+    if(!seen || seen.eaten !== sn.eaten || state.tick < seen.since) memory[idx] = { eaten: sn.eaten, since: state.tick };
+    if(!cycle || state.tick - memory[idx].since > size) return smart(state, idx);
+    const free = freeTimes(state, idx);
+    const moves = safeMoves(state, idx, free);
+    if(!moves.length) return currentName(state, idx);
+    const need = sn.body.length + 2;
+    const ok = (m)=> openArea(state, m, free, need) >= need;
+    const at = (p)=> cycle.order[p.y*state.width + p.x];
+    const ahead = (from, to)=> (at(to) - at(from) + size) % size;
+    const head = sn.body[0];
+    const tail = sn.body[sn.body.length-1];
+    const room = SnakeEngine.posEq(head, tail) ? size : ahead(head, tail); // cycle cells before we'd reach our tail
+    if(sn.body.length + sn.grow < size / 2 && state.apples.length){
+      const target = state.apples.reduce((a, b)=> ahead(head, b) < ahead(head, a) ? b : a);
+      let best = null;
+      moves.forEach(m=>{
+        const skip = ahead(head, m.cell);
+        if(skip === 0 || skip > ahead(head, target) || skip >= room - sn.grow - 3) return;
+        const closer = best && distance(state, m.cell, target) - distance(state, best.cell, target);
+        if(!best || closer < 0 || (closer === 0 && skip > ahead(head, best.cell))) best = m;
+      });
+      if(best && ok(best)) return best.name;
+    }
+    // Otherwise take the smallest step forward along the cycle: the next cell normally,
+    // or the shortest hop past an obstacle or snake sitting on it. A hop that would jump
+    // over the apple leaves it stranded in the skipped cells, so go for it directly instead.
+    let next = null;
+    moves.forEach(m=>{
+      const skip = ahead(head, m.cell);
+      if(skip === 0 || (skip > 1 && skip >= room - sn.grow - 3) || !ok(m)) return;
+      if(!next || skip < ahead(head, next.cell)) next = m;
+    });
+    const passesApple = next && state.apples.some(a=>ahead(head, a) < ahead(head, next.cell));
+    return next && !passesApple ? next.name : smart(state, idx);
+  }
+
+  const BOTS = { greedy, pathfinder, smart, survival };
+
+  // A bot is { name, decide(state, idx) -> direction name }. Each one keeps its own memory,
+  // so use a fresh bot per game (or per replay simulation) to stay deterministic.
+  function create(name){
+    const strategy = BOTS[name];
+    if(!strategy) throw new Error(`Unknown bot: ${name}`);
+    const memory = {};
+    return { name, decide: (state, idx)=> strategy(state, idx, memory) };
+  }
+
+  // Bot strength that matches a difficulty setting
+  function forDifficulty(difficulty){
+    return create(BY_DIFFICULTY[difficulty] || BY_DIFFICULTY.medium);
+  }
+
+  return { NAMES: Object.keys(BOTS), BY_DIFFICULTY, create, forDifficulty, buildCycle };
+});
@@ -0,0 +1,154 @@
+/*
+  Snake campaign
+  - Handcrafted levels, each with a goal, wall layout, tick rate and apple count
+  - Star ratings and per-level bests; beating a level unlocks the next one
+  - Progress is a plain object so the page decides where to store it
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SnakeCampaign = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+  'use strict';
+
+  // Wall layout helpers; all return [x,y] cell lists
+  function hLine(y, x0, x1){
+    const cells = [];
+    for(let x=x0;x<=x1;x++) cells.push([x,y]);
+    return cells;
+  }
+  function vLine(x, y0, y1){
+    const cells = [];
+    for(let y=y0;y<=y1;y++) cells.push([x,y]);
+    return cells;
+  }
+  function flat(){
+    return [].concat.apply([], Array.prototype.slice.call(arguments));
+  }
+
+  // Goals: 'apples' (eat N), 'length' (reach N segments) or 'survive' (N seconds).
+  // Stars: one for finishing; two and three for beating the level's `stars` thresholds,
+  // measured in ticks taken (lower is better) or score (higher is better).
+  const LEVELS = [
+    {
+      id: 'c1', name: 'First Bite',
+      goal: { type: 'apples', target: 5 },
+      tickRate: 7, appleCount: 1,
+      stars: { by: 'ticks', two: 160, three: 100 },
+      map: { width: 20, rows: 20, wallMode: 'wrap', start: { x: 4, y: 10, dir: 'right' }, walls: [] }
+    },
+    {
+      id: 'c2', name: 'Orchard',
+      goal: { type: 'apples', target: 15 },
+      tickRate: 8, appleCount: 3,
+      stars: { by: 'ticks', two: 380, three: 240 },
+      map: { width: 20, rows: 20, wallMode: 'wrap', start: { x: 3, y: 3, dir: 'right' },
+        walls: flat(hLine(10, 6, 13), vLine(10, 6, 9), vLine(10, 11, 14)) }
+    },
+    {
+      id: 'c3', name: 'Boxed In',
+      goal: { type: 'length', target: 15 },
+      tickRate: 8, appleCount: 2,
+      stars: { by: 'ticks', two: 420, three: 280 },
+      map: { width: 20, rows: 20, wallMode: 'lethal', start: { x: 10, y: 10, dir: 'up' },
+        walls: flat([[5,5],[14,5],[5,14],[14,14]], hLine(2, 8, 11), hLine(17, 8, 11), vLine(2, 8, 11), vLine(17, 8, 11)) }
+    },
+    {
+      id: 'c4', name: 'Corridors',
+      goal: { type: 'survive', target: 45 },
+      tickRate: 10, appleCount: 1,
+      stars: { by: 'score', two: 100, three: 200 },
+      map: { width: 24, rows: 24, wallMode: 'wrap', start: { x: 2, y: 2, dir: 'right' },
+        walls: flat(vLine(12, 0, 5), hLine(6, 0, 17), hLine(12, 6, 23), hLine(18, 0, 17)) }
+    },
+    {
+      id: 'c5', name: 'Spiral',
+      goal: { type: 'apples', target: 12 },
+      tickRate: 10, appleCount: 2,
+      stars: { by: 'ticks', two: 500, three: 340 },
+      map: { width: 24, rows: 24, wallMode: 'lethal', start: { x: 12, y: 12, dir: 'right' },
+        walls: flat(hLine(3, 3, 20), vLine(20, 3, 20), hLine(20, 6, 20), vLine(6, 6, 20), hLine(6, 6, 17), vLine(17, 6, 17), hLine(17, 9, 17)) }
+    },
+    {
+      id: 'c6', name: 'Gauntlet',
+      goal: { type: 'length', target: 30 },
+      tickRate: 12, appleCount: 3,
+      stars: { by: 'ticks', two: 700, three: 480 },
+      map: { width: 28, rows: 28, wallMode: 'wrap', start: { x: 14, y: 14, dir: 'left' },
+        walls: flat(hLine(4, 4, 9), hLine(4, 18, 23), hLine(23, 4, 9), hLine(23, 18, 23), vLine(4, 9, 18), vLine(23, 9, 18), hLine(9, 12, 15), hLine(18, 12, 15)) }
+    },
+    {
+      id: 'c7', name: 'Endurance',
+      goal: { type: 'survive', target: 90 },
+      tickRate: 12, appleCount: 2,
+      stars: { by: 'score', two: 200, three: 350 },
+      map: { width: 28, rows: 28, wallMode: 'lethal', start: { x: 3, y: 14, dir: 'right' },
+        walls: flat(vLine(9, 0, 10), vLine(9, 17, 27), vLine(18, 0, 10), vLine(18, 17, 27), hLine(14, 11, 16)) }
+    }
+  ];
+
+  function getLevel(id){
+    return LEVELS.find(l=>l.id === id) || null;
+  }
+
+  // Engine options for a campaign level; survive goals are converted from seconds to ticks
+  function gameOptions(def){
+    const goal = def.goal.type === 'survive'
+      ? { type: 'ticks', target: def.goal.target * def.tickRate }
+      : { type: def.goal.type, target: def.goal.target };
+    return {
+      rules: 'enhanced',
+      level: Object.assign({ id: def.id, name: def.name }, def.map),
+      tickRate: def.tickRate,
+      appleCount: def.appleCount,
+      goal
+    };
+  }
+
+  function describeGoal(def){
+    const t = def.goal.target;
+    if(def.goal.type === 'apples') return `Eat ${t} apples`;
+    if(def.goal.type === 'length') return `Reach length ${t}`;
+    return `Survive ${t} seconds`;
+  }
+
+  // Progress toward the goal in the goal's display unit (seconds for survive goals)
+  function progress(def, state){
+    const sn = state.snakes[0];
+    if(def.goal.type === 'apples') return sn.eaten;
+    if(def.goal.type === 'length') return sn.body.length;
+    return Math.floor(state.tick / def.tickRate);
+  }
+
+  function starsFor(def, state){
+    if(!state.won) return 0;
+    const value = def.stars.by === 'ticks' ? state.tick : state.snakes[0].score;
+    const beats = (threshold)=> def.stars.by === 'ticks' ? value <= threshold : value >= threshold;
+    if(beats(def.stars.three)) return 3;
+    if(beats(def.stars.two)) return 2;
+    return 1;
+  }
+
+  function emptyProgress(){
+    return { levels: {} };
+  }
+
+  function isUnlocked(saved, idx){
+    if(idx === 0) return true;
+    const prev = saved.levels[LEVELS[idx-1].id];
+    return !!(prev && prev.stars > 0);
+  }
+
+  // Merge a finished attempt into saved progress, keeping the best of each stat
+  function recordResult(saved, def, state){
+    const stars = starsFor(def, state);
+    const prev = saved.levels[def.id] || { best: 0, stars: 0, bestTicks: null };
+    const entry = {
+      best: Math.max(prev.best, state.won ? state.snakes[0].score : 0),
+      stars: Math.max(prev.stars, stars),
+      bestTicks: state.won && (prev.bestTicks === null || state.tick < prev.bestTicks) ? state.tick : prev.bestTicks
+    };
+    return { levels: Object.assign({}, saved.levels, { [def.id]: entry }) };
+  }
+
+  return { LEVELS, getLevel, gameOptions, describeGoal, progress, starsFor, emptyProgress, isUnlocked, recordResult };
+});
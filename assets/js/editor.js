@@ -0,0 +1,91 @@
+/*
+  Level editor
+  - Click or drag on the game canvas to paint walls, erase them or place the snake's start
+  - Edits a copy of the level; onChange fires after every edit so the page can redraw
+*/
+(function(root){
+  'use strict';
+
+  function createEditor(options){
+    const { canvas, getCellSize, onChange } = options;
+    let level = null;
+    let tool = 'wall';
+    let paintValue = null; // while dragging with the wall tool: true paints, false erases
+
+    function cellFromEvent(e){
+      const rect = canvas.getBoundingClientRect();
+      const size = getCellSize();
+      const scale = level.width * size / rect.width; // rect is off while the canvas pulses
+      const x = Math.floor((e.clientX - rect.left) * scale / size);
+      const y = Math.floor((e.clientY - rect.top) * scale / size);
+      if(x < 0 || y < 0 || x >= level.width || y >= level.rows) return null;
+      return { x, y };
+    }
+
+    function setWall(x, y, on){
+      const idx = level.walls.findIndex(w=>w[0] === x && w[1] === y);
+      if(on && idx < 0) level.walls.push([x, y]);
+      if(!on && idx >= 0) level.walls.splice(idx, 1);
+    }
+
+    function applyAt(cell, starting){
+      if(tool === 'start'){
+        level.start = Object.assign({}, level.start, { x: cell.x, y: cell.y });
+        setWall(cell.x, cell.y, false);
+      } else {
+        if(starting){
+          // the wall tool toggles the first cell and keeps doing the same along the drag
+          paintValue = tool === 'erase' ? false : !root.SnakeLevels.hasWall(level, cell.x, cell.y);
+        }
+        if(paintValue && cell.x === level.start.x && cell.y === level.start.y) return;
+        setWall(cell.x, cell.y, paintValue);
+      }
+      onChange(level);
+    }
+
+    canvas.addEventListener('pointerdown', (e)=>{
+      if(!level) return;
+      const cell = cellFromEvent(e);
+      if(!cell) return;
+      e.preventDefault();
+      canvas.setPointerCapture(e.pointerId);
+      applyAt(cell, true);
+    });
+    canvas.addEventListener('pointermove', (e)=>{
+      if(!level || paintValue === null || tool === 'start') return;
+      const cell = cellFromEvent(e);
+      if(cell) applyAt(cell, false);
+    });
+    const endDrag = ()=>{ paintValue = null; };
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+
+    return {
+      get active(){ return !!level; },
+      get level(){ return level; },
+      open(source){
+        level = JSON.parse(JSON.stringify(source));
+        onChange(level);
+      },
+      close(){
+        level = null;
+        paintValue = null;
+      },
+      setTool(name){ tool = name; },
+      update(fields){
+        Object.assign(level, fields);
+        onChange(level);
+      },
+      setDirection(dir){
+        level.start = Object.assign({}, level.start, { dir });
+        onChange(level);
+      },
+      clearWalls(){
+        level.walls = [];
+        onChange(level);
+      }
+    };
+  }
+
+  root.SnakeEditor = { createEditor };
+})(typeof self !== 'undefined' ? self : this);
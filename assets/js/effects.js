@@ -0,0 +1,181 @@
+/*
+  Snake visual effects
+  - Particle bursts (apples eaten, snake segments dissolving), a short screen shake, pop-in
+    animations for new obstacles and a tail-first dissolve for dead snakes
+  - Effects run on wall-clock time (ms), not game ticks, so they keep going while the game is
+    over and look the same at any speed
+  - Reduced motion turns them all off: nothing moves and a dissolve ends at once
+  - DOM-free: app.js passes the time and the 2D context, and gets back the areas drawn over so
+    its dirty-area repaints can clean them up
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SnakeEffects = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+  'use strict';
+
+  const PARTICLE_LIFE = 550;   // ms
+  const BURST_PARTICLES = 12;
+  const MAX_PARTICLES = 300;   // older particles go first past this
+  const SHAKE_TIME = 300;      // ms
+  const SPAWN_TIME = 350;      // ms for a new obstacle to pop in
+  const DISSOLVE_STEP = 45;    // ms between segments
+  const MAX_DISSOLVE = 900;    // long snakes dissolve faster so it never drags on
+
+  // Eases out with a little overshoot, for pop-ins
+  function easeOutBack(t){
+    const c = 1.7;
+    return 1 + (c + 1) * Math.pow(t - 1, 3) + c * Math.pow(t - 1, 2);
+  }
+
+  function roundedRect(g, x, y, w, h, r){
+    g.beginPath();
+    g.moveTo(x+r,y);
+    g.arcTo(x+w,y,x+w,y+h,r);
+    g.arcTo(x+w,y+h,x,y+h,r);
+    g.arcTo(x,y+h,x,y,r);
+    g.arcTo(x,y,x+w,y,r);
+    g.closePath();
+    g.fill();
+  }
+
+  function createEffects(){
+    let particles = []; // { x, y, vx, vy, born, life, color, size }; positions in cells, speeds in cells per life
+    let spawns = [];    // { x, y, born }
+    let dissolves = {}; // key -> { cells, color, start, step, emitted }
+    let shakeStart = 0;
+    let shakePower = 0;
+    let reduced = false;
+
+    // `count` particles flying out of the middle of cell (x, y)
+    function burst(x, y, color, now, count){
+      if(reduced) return;
+      for(let i=0;i<(count || BURST_PARTICLES);i++){
+        const angle = Math.random() * Math.PI * 2;
+        const speed = 0.8 + Math.random() * 1.2;
+        particles.push({
+          x: x + 0.5, y: y + 0.5,
+          vx: Math.cos(angle) * speed, vy: Math.sin(angle) * speed,
+          born: now, life: PARTICLE_LIFE * (0.7 + Math.random() * 0.3),
+          color, size: 0.12 + Math.random() * 0.1
+        });
+      }
+      if(particles.length > MAX_PARTICLES) particles = particles.slice(-MAX_PARTICLES);
+    }
+
+    // Shake the board by up to `power` px, dying away over SHAKE_TIME
+    function shake(power, now){
+      if(reduced) return;
+      shakeStart = now;
+      shakePower = power;
+    }
+    // How far the board is moved at `now`, or null when it is still
+    function shakeOffset(now){
+      const t = (now - shakeStart) / SHAKE_TIME;
+      if(!shakePower || t >= 1 || t < 0) return null;
+      const amp = shakePower * (1 - t);
+      return { x: Math.sin(now * 0.09) * amp, y: Math.cos(now * 0.13) * amp };
+    }
+
+    function spawn(x, y, now){
+      if(reduced) return;
+      spawns.push({ x, y, born: now });
+    }
+
+    // Dissolve `cells` (head first) from the tail end, one segment at a time, each going up in a
+    // few particles. Returns how long it takes in ms; 0 with reduced motion.
+    function dissolve(key, cells, color, now){
+      if(reduced || !cells.length) return 0;
+      const step = Math.min(DISSOLVE_STEP, MAX_DISSOLVE / cells.length);
+      dissolves[key] = { cells, color, start: now, step, emitted: 0 };
+      return Math.ceil(step * cells.length);
+    }
+    // How many segments, counted from the tail, are gone at `now`
+    function dissolved(key, now){
+      const d = dissolves[key];
+      if(!d) return 0;
+      return Math.min(d.cells.length, Math.max(0, Math.floor((now - d.start) / d.step) + 1));
+    }
+
+    // Effects that belong on the board under everything else: obstacles popping in.
+    // view: { size (px per cell), background, obstacle (colors) }; mark(x, y, w, h) gets every
+    // area drawn over, in px.
+    function drawBoard(g, view, now, mark){
+      const size = view.size;
+      spawns = spawns.filter(s=> now - s.born < SPAWN_TIME);
+      spawns.forEach(s=>{
+        const t = Math.max(0, (now - s.born) / SPAWN_TIME);
+        const x = s.x*size, y = s.y*size;
+        // the obstacle is already in the cached background: cover it and grow it back
+        g.fillStyle = view.background;
+        g.fillRect(x, y, size, size);
+        const scale = Math.max(0, easeOutBack(t));
+        const w = size * scale;
+        g.fillStyle = view.obstacle;
+        roundedRect(g, x + (size - w)/2, y + (size - w)/2, w, w, Math.max(0.5, w*0.15));
+        g.save();
+        g.globalAlpha = 1 - t;
+        g.strokeStyle = view.obstacle;
+        g.lineWidth = Math.max(1, size*0.08);
+        const r = size * (0.5 + 0.5*t);
+        g.beginPath();
+        g.arc(x + size/2, y + size/2, r, 0, Math.PI*2);
+        g.stroke();
+        g.restore();
+        mark(x + size/2 - r - size*0.1, y + size/2 - r - size*0.1, (r + size*0.1)*2, (r + size*0.1)*2);
+      });
+    }
+
+    // Particles, over everything; dissolving segments give off theirs as they go
+    function drawParticles(g, view, now, mark){
+      const size = view.size;
+      Object.keys(dissolves).forEach(key=>{
+        const d = dissolves[key];
+        const gone = dissolved(key, now);
+        for(;d.emitted<gone;d.emitted++){
+          const cell = d.cells[d.cells.length - 1 - d.emitted];
+          burst(cell.x, cell.y, d.color, d.start + d.emitted * d.step, 4);
+        }
+      });
+      particles = particles.filter(p=> now - p.born < p.life);
+      g.save();
+      particles.forEach(p=>{
+        const u = Math.max(0, (now - p.born) / p.life);
+        const travel = (1 - (1 - u) * (1 - u)) / 2; // fast out, slowing down
+        const x = (p.x + p.vx * travel) * size, y = (p.y + p.vy * travel) * size;
+        const r = Math.max(0.5, p.size * size * (1 - u));
+        g.globalAlpha = 1 - u;
+        g.fillStyle = p.color;
+        g.beginPath();
+        g.arc(x, y, r, 0, Math.PI*2);
+        g.fill();
+        mark(x - r, y - r, r*2, r*2);
+      });
+      g.restore();
+    }
+
+    // Anything still moving at `now`
+    function active(now){
+      return particles.length > 0 || spawns.length > 0 || shakeOffset(now) !== null ||
+        Object.keys(dissolves).some(key=> dissolves[key].emitted < dissolves[key].cells.length);
+    }
+
+    function clear(){
+      particles = [];
+      spawns = [];
+      dissolves = {};
+      shakePower = 0;
+    }
+
+    return {
+      burst, shake, shakeOffset, spawn, dissolve, dissolved, drawBoard, drawParticles, active, clear,
+      get reduced(){ return reduced; },
+      set reduced(on){
+        reduced = !!on;
+        if(reduced) clear();
+      }
+    };
+  }
+
+  return { PARTICLE_LIFE, SHAKE_TIME, SPAWN_TIME, DISSOLVE_STEP, MAX_DISSOLVE, createEffects };
+});
@@ -0,0 +1,763 @@
+/*
+  Snake game engine
+  - Pure, DOM-free game rules shared by the browser and Node
+  - Seeded PRNG so a game is fully determined by its seed and inputs
+  - Rule sets (wall mode, food table, growth, speed curve) with Classic and Enhanced presets
+  - Optional level maps (see levels.js) with fixed walls and a start position
+  - Optional goals (apples eaten, length reached, ticks survived) that end the game as a win
+  - Several snakes on one board; all move at once and collisions are resolved together
+  - Optional power-ups (golden apple, slow motion, ghost, shrink, magnet) tuned per difficulty
+  - Optional scoring rules (combos, quick routes, length and difficulty multipliers; see scoring.js)
+  - Optional dynamic hazards (patrolling blocks, blinking walls, expanding hazards, portals) whose
+    state follows from the tick alone
+  - createGame(options) builds the initial state, step(state, input) advances one tick
+  - step() never mutates its argument; it returns the next state with the tick's events
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./scoring.js'));
+  else root.SnakeEngine = factory(root.SnakeScoring);
+})(typeof self !== 'undefined' ? self : this, function(SnakeScoring){
+  'use strict';
+
+  // Per-difficulty tuning
+  const DIFFICULTIES = {
+    easy:   { tickRate: 6,  obstacles: 2, obstacleOnEatChance: 0.25, obstacleChance: 0.08 },
+    medium: { tickRate: 10, obstacles: 4, obstacleOnEatChance: 0.25, obstacleChance: 0.08 },
+    hard:   { tickRate: 16, obstacles: 6, obstacleOnEatChance: 0.25, obstacleChance: 0.08 }
+  };
+  const DEFAULT_DIFFICULTY = 'medium';
+  const MAX_OBSTACLES = 12;
+
+  // Power-up kinds. Timed ones stay active on the snake that picked them up for a number of ticks.
+  const POWERUPS = {
+    golden: { name: 'Golden apple', color: '#ffc107', timed: false }, // bonus points
+    slow:   { name: 'Slow motion',  color: '#20c997', timed: true },  // lowers the tick rate
+    ghost:  { name: 'Ghost',        color: '#adb5bd', timed: true },  // pass through obstacles
+    shrink: { name: 'Shrink',       color: '#e83e8c', timed: false }, // drops tail segments
+    magnet: { name: 'Magnet',       color: '#6f42c1', timed: true }   // pulls nearby apples in
+  };
+
+  // Per-difficulty power-up tuning: `chance` of a spawn each time an apple is eaten, how many
+  // ticks an uncollected one stays (`lifetime`), spawn `weights`, effect `durations` in ticks,
+  // and the strength of each effect
+  const POWERUP_TUNING = {
+    easy: {
+      chance: 0.35, lifetime: 100,
+      weights: { golden: 3, slow: 3, ghost: 2, shrink: 2, magnet: 2 },
+      durations: { slow: 60, ghost: 60, magnet: 80 },
+      goldenPoints: 30, slowFactor: 0.6, shrinkBy: 4, magnetRange: 5
+    },
+    medium: {
+      chance: 0.25, lifetime: 90,
+      weights: { golden: 3, slow: 2, ghost: 2, shrink: 2, magnet: 2 },
+      durations: { slow: 50, ghost: 50, magnet: 70 },
+      goldenPoints: 50, slowFactor: 0.6, shrinkBy: 3, magnetRange: 4
+    },
+    hard: {
+      chance: 0.2, lifetime: 80,
+      weights: { golden: 3, slow: 2, ghost: 1, shrink: 1, magnet: 1 },
+      durations: { slow: 40, ghost: 40, magnet: 60 },
+      goldenPoints: 80, slowFactor: 0.7, shrinkBy: 3, magnetRange: 3
+    }
+  };
+
+  // Dynamic hazards. Where each one is solid depends only on the tick, so step() never has to
+  // move them and a replay only needs their definitions.
+  //  - patrol: { path: [cells], every } a block walking back and forth along `path`, one cell every `every` ticks
+  //  - blink:  { cells, on, off, warn, offset } a wall that is solid for `on` ticks and open for `off`;
+  //            it flickers for the last `warn` open ticks before turning solid
+  //  - grow:   { x, y, max, every, offset } a hazard that spreads from its centre cell to `max` cells
+  //            away (diamond-shaped) and back, one step every `every` ticks
+  //  - portal: { a, b } a pair of cells; a head entering one comes out of the other
+  const HAZARDS = {
+    patrol: { name: 'patrolling block', solid: true },
+    blink:  { name: 'blinking wall',    solid: true },
+    grow:   { name: 'expanding hazard', solid: true },
+    portal: { name: 'portal',           solid: false }
+  };
+
+  // Per-difficulty hazard tuning: how many of each kind and how they move
+  const HAZARD_TUNING = {
+    easy: {
+      patrols: 1, blinkers: 1, growers: 0, portals: 1,
+      patrolLength: 5, patrolEvery: 3,
+      blinkLength: 3, blinkOn: 30, blinkOff: 40, blinkWarn: 12,
+      growRadius: 1, growEvery: 10
+    },
+    medium: {
+      patrols: 2, blinkers: 1, growers: 1, portals: 1,
+      patrolLength: 6, patrolEvery: 2,
+      blinkLength: 4, blinkOn: 40, blinkOff: 30, blinkWarn: 10,
+      growRadius: 2, growEvery: 8
+    },
+    hard: {
+      patrols: 2, blinkers: 2, growers: 1, portals: 2,
+      patrolLength: 7, patrolEvery: 1,
+      blinkLength: 4, blinkOn: 50, blinkOff: 25, blinkWarn: 8,
+      growRadius: 2, growEvery: 6
+    }
+  };
+  const HAZARD_CLEARANCE = 3; // cells kept free around each snake's starting head
+
+  // Rule presets. `walls` is 'wrap' or 'lethal'; each food has a spawn weight, points and
+  // how many segments it grows the snake; speedCurve scales the tick rate with score.
+  const RULESETS = {
+    enhanced: {
+      name: 'Enhanced',
+      walls: 'wrap',
+      initialLength: 1,
+      start: { x: 0.5, y: 0.5 }, // fraction of the board
+      obstacles: true,
+      foods: [
+        { kind: 'apple', color: null, points: 10, growth: 1, weight: 1 }
+      ],
+      speedCurve: null
+    },
+    classic: {
+      name: 'Classic',
+      walls: 'lethal',
+      initialLength: 5,
+      start: { x: 1/3, y: 0.5 },
+      obstacles: false,
+      foods: [
+        { kind: 'red',    color: '#ff4d4d', points: 1, growth: 1, weight: 0.7 },  // common
+        { kind: 'yellow', color: '#ffd24d', points: 3, growth: 3, weight: 0.22 }, // uncommon
+        { kind: 'blue',   color: '#4da6ff', points: 5, growth: 5, weight: 0.08 }  // rare
+      ],
+      speedCurve: { perPoint: 1/50, max: 2 } // up to 2x base speed at 50 points
+    }
+  };
+  const DEFAULT_RULES = 'enhanced';
+
+  const DIRECTIONS = {
+    up: { x:0, y:-1 }, down: { x:0, y:1 }, left: { x:-1, y:0 }, right: { x:1, y:0 }
+  };
+
+  // Start slots for multi-snake games, as fractions of the board
+  const SPAWN_SLOTS = [
+    { x: 0.25, y: 0.25, dir: 'right' },
+    { x: 0.75, y: 0.75, dir: 'left' },
+    { x: 0.75, y: 0.25, dir: 'down' },
+    { x: 0.25, y: 0.75, dir: 'up' }
+  ];
+  const MAX_PLAYERS = SPAWN_SLOTS.length;
+
+  // Seeded PRNG (mulberry32). The whole generator state is one uint32 so it fits in game state.
+  function hashSeed(seed){
+    if(typeof seed === 'number' && isFinite(seed)) return seed >>> 0;
+    const str = String(seed);
+    let h = 2166136261;
+    for(let i=0;i<str.length;i++){
+      h = Math.imul(h ^ str.charCodeAt(i), 16777619);
+    }
+    return h >>> 0;
+  }
+  function createRng(seed){
+    let s = hashSeed(seed);
+    function next(){
+      s = (s + 0x6D2B79F5) >>> 0;
+      let t = s;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    return {
+      next,
+      int(min,max){ return Math.floor(next()*(max-min+1))+min; },
+      state(){ return s; }
+    };
+  }
+
+  function posEq(a,b){ return a.x===b.x && a.y===b.y; }
+  // Names arrive from saved games, replays and the network, so a lookup only counts a table's
+  // own string keys ("toString" is not a rule set, nor "__proto__" a difficulty)
+  function isKey(table, key){
+    return typeof key === 'string' && Object.prototype.hasOwnProperty.call(table, key);
+  }
+  function getDifficulty(name){ return DIFFICULTIES[isKey(DIFFICULTIES, name) ? name : DEFAULT_DIFFICULTY]; }
+
+  // Resolve a preset name or a custom rule object. Custom objects may name a `preset`
+  // to inherit from and override any field of it.
+  function resolveRules(rules){
+    if(!rules) return Object.assign({ id: DEFAULT_RULES }, RULESETS[DEFAULT_RULES]);
+    if(typeof rules === 'string'){
+      if(!isKey(RULESETS, rules)) throw new Error(`Unknown rule set: ${rules}`);
+      return Object.assign({ id: rules }, RULESETS[rules]);
+    }
+    if(typeof rules !== 'object') throw new Error(`Unknown rule set: ${rules}`);
+    const preset = rules.preset || rules.id;
+    const base = RULESETS[isKey(RULESETS, preset) ? preset : DEFAULT_RULES];
+    const resolved = Object.assign({ id: 'custom' }, base, rules);
+    if(resolved.walls !== 'wrap' && resolved.walls !== 'lethal') throw new Error(`Invalid wall mode: ${resolved.walls}`);
+    if(!Array.isArray(resolved.foods) || resolved.foods.length === 0) throw new Error('Rule set needs at least one food');
+    return resolved;
+  }
+
+  // Weighted pick from the food table
+  function pickFood(foods, rng){
+    const total = foods.reduce((sum,f)=>sum + f.weight, 0);
+    let r = rng.next() * total;
+    for(const f of foods){
+      r -= f.weight;
+      if(r < 0) return f;
+    }
+    return foods[foods.length-1];
+  }
+
+  // Accepts {x,y} or a direction name; returns null for anything else
+  function toDir(input){
+    if(!input) return null;
+    if(typeof input === 'string') return isKey(DIRECTIONS, input) ? DIRECTIONS[input] : null;
+    if(typeof input.x === 'number' && typeof input.y === 'number') return { x: input.x, y: input.y };
+    return null;
+  }
+  function isReverse(a,b){ return a.x === -b.x && a.y === -b.y; }
+
+  function isOccupied(state, p){
+    if(state.snakes.some(sn=>sn.body.some(s=>posEq(s,p)))) return true;
+    if(state.apples.some(a=>posEq(a,p))) return true;
+    if(state.pickups.some(u=>posEq(u,p))) return true;
+    if(state.obstacles.some(o=>posEq(o,p))) return true;
+    if(state.hazards && hazardFootprint(state).some(c=>posEq(c,p))) return true;
+    return false;
+  }
+
+  // Spawn apple in empty spot; gives up after 500 attempts and leaves the slot empty
+  function spawnApple(state, rng){
+    let attempts = 0;
+    while(attempts < 500){
+      attempts++;
+      const p = { x: rng.int(1,state.width-2), y: rng.int(1,state.rows-2) };
+      if(isOccupied(state, p)) continue;
+      const food = pickFood(state.rules.foods, rng);
+      const apple = { x: p.x, y: p.y, kind: food.kind, color: food.color, points: food.points, growth: food.growth };
+      state.apples.push(apple);
+      return apple;
+    }
+    state.spawnFailures++; // board too crowded; tracked for balancing (see tools/simulate.js)
+    return null;
+  }
+
+  // Spawn the starting obstacles based on difficulty
+  // Levels bring their own walls, so random obstacles only appear on the open board
+  function randomObstacles(state){
+    return state.rules.obstacles && !state.level;
+  }
+
+  // A level's wall mode wins over the rule set's
+  function wallMode(state){
+    return state.level ? state.level.wallMode : state.rules.walls;
+  }
+
+  function spawnObstaclesInitial(state, rng){
+    if(!randomObstacles(state)) return;
+    const count = getDifficulty(state.difficulty).obstacles;
+    let tries = 0;
+    while(state.obstacles.length < count && tries < 1000){
+      tries++;
+      const o = { x: rng.int(2,state.width-3), y: rng.int(2,state.rows-3) };
+      if(isOccupied(state, o)) continue;
+      state.obstacles.push(o);
+    }
+  }
+
+  // Occasionally add an obstacle during the game; the oldest ones are dropped past MAX_OBSTACLES
+  function maybeAddObstacle(state, rng){
+    if(!randomObstacles(state)) return null;
+    if(rng.next() >= getDifficulty(state.difficulty).obstacleChance) return null;
+    const o = { x: rng.int(1,state.width-2), y: rng.int(1,state.rows-2) };
+    if(isOccupied(state, o)) return null;
+    state.obstacles.push(o);
+    if(state.obstacles.length > MAX_OBSTACLES) state.obstacles.splice(0, state.obstacles.length - MAX_OBSTACLES);
+    return o;
+  }
+
+  // `true` uses the difficulty's tuning; an object overrides parts of it (weights and durations
+  // merge per kind); anything falsy turns power-ups off
+  function resolvePowerups(option, difficulty){
+    if(!option) return null;
+    const base = POWERUP_TUNING[difficulty];
+    if(option === true) return Object.assign({}, base);
+    const tuning = Object.assign({}, base, option, {
+      weights: Object.assign({}, base.weights, option.weights),
+      durations: Object.assign({}, base.durations, option.durations)
+    });
+    Object.keys(tuning.weights).forEach(kind=>{
+      if(!isKey(POWERUPS, kind)) throw new Error(`Unknown power-up: ${kind}`);
+    });
+    return tuning;
+  }
+
+  // Place a power-up on a free cell; kinds are picked by their spawn weight
+  function spawnPickup(state, rng){
+    const tuning = state.powerups;
+    const kinds = Object.keys(POWERUPS).filter(kind=> tuning.weights[kind] > 0);
+    if(!kinds.length) return null;
+    for(let attempts=0;attempts<100;attempts++){
+      const p = { x: rng.int(1,state.width-2), y: rng.int(1,state.rows-2) };
+      if(isOccupied(state, p)) continue;
+      const kind = pickFood(kinds.map(k=>({ kind: k, weight: tuning.weights[k] })), rng).kind;
+      const pickup = { x: p.x, y: p.y, kind, expires: state.tick + tuning.lifetime };
+      state.pickups.push(pickup);
+      return pickup;
+    }
+    return null;
+  }
+
+  // Apply a collected power-up to snake `idx`
+  function applyPowerup(state, idx, kind){
+    const sn = state.snakes[idx];
+    const tuning = state.powerups;
+    if(kind === 'golden'){
+      sn.score += tuning.goldenPoints;
+      sn.grow += 1;
+      if(sn.breakdown) sn.breakdown = SnakeScoring.addParts(sn.breakdown, { powerups: tuning.goldenPoints });
+    } else if(kind === 'shrink'){
+      const drop = Math.min(tuning.shrinkBy, sn.body.length - 1);
+      sn.body.splice(sn.body.length - drop, drop);
+      sn.grow = 0;
+    } else {
+      // picking up an effect that is already running restarts its timer
+      const ticks = tuning.durations[kind];
+      sn.effects = Object.assign({}, sn.effects, { [kind]: { left: ticks, total: ticks } });
+    }
+  }
+
+  function hasEffect(sn, kind){
+    return !!(sn.effects && sn.effects[kind]);
+  }
+
+  // Nearby apples slide one cell toward a magnet snake's head each tick, if that cell is free
+  function pullApples(state, sn){
+    const head = sn.body[0];
+    const range = state.powerups.magnetRange;
+    state.apples.forEach((apple, i)=>{
+      const dx = head.x - apple.x, dy = head.y - apple.y;
+      if(Math.abs(dx) > range || Math.abs(dy) > range) return;
+      const to = Math.abs(dx) >= Math.abs(dy)
+        ? { x: apple.x + Math.sign(dx), y: apple.y }
+        : { x: apple.x, y: apple.y + Math.sign(dy) };
+      if(posEq(to, apple) || isOccupied(state, to)) return;
+      state.apples[i] = Object.assign({}, apple, { x: to.x, y: to.y });
+    });
+  }
+
+  // Index into a list of n items walked back and forth: 0, 1, ..., n-1, n-2, ..., 1, 0, 1, ...
+  function pingPong(n, t){
+    if(n <= 1) return 0;
+    const i = t % (2 * (n - 1));
+    return i < n ? i : 2 * (n - 1) - i;
+  }
+  function patrolAt(h, tick){
+    return h.path[pingPong(h.path.length, Math.floor(tick / h.every))];
+  }
+  // 'on' (solid), 'warn' (about to turn solid) or 'off'
+  function blinkPhase(h, tick){
+    const t = (tick + h.offset) % (h.on + h.off);
+    if(t < h.on) return 'on';
+    return t >= h.on + h.off - h.warn ? 'warn' : 'off';
+  }
+  function growRadius(h, tick){
+    return pingPong(h.max + 1, Math.floor((tick + h.offset) / h.every));
+  }
+  // Cells within `r` moves of a grow hazard's centre
+  function growCells(h, r){
+    const cells = [];
+    for(let dy=-r;dy<=r;dy++){
+      const span = r - Math.abs(dy);
+      for(let dx=-span;dx<=span;dx++) cells.push({ x: h.x + dx, y: h.y + dy });
+    }
+    return cells;
+  }
+
+  // Hazard cells that are solid on `tick`, as { x, y, type }
+  function hazardCells(state, tick){
+    const cells = [];
+    (state.hazards || []).forEach(h=>{
+      let list = [];
+      if(h.type === 'patrol') list = [patrolAt(h, tick)];
+      else if(h.type === 'blink') list = blinkPhase(h, tick) === 'on' ? h.cells : [];
+      else if(h.type === 'grow') list = growCells(h, growRadius(h, tick));
+      list.forEach(c=> cells.push({ x: c.x, y: c.y, type: h.type }));
+    });
+    return cells;
+  }
+
+  // Every cell a hazard can ever reach, portals included; nothing else spawns on them
+  function hazardFootprint(state){
+    const cells = [];
+    (state.hazards || []).forEach(h=>{
+      if(h.type === 'patrol') cells.push.apply(cells, h.path);
+      else if(h.type === 'blink') cells.push.apply(cells, h.cells);
+      else if(h.type === 'grow') cells.push.apply(cells, growCells(h, h.max));
+      else if(h.type === 'portal') cells.push(h.a, h.b);
+    });
+    return cells;
+  }
+
+  // Where a head that moved onto `p` comes out: the paired cell of a portal, or null
+  function portalExit(state, p){
+    for(const h of state.hazards || []){
+      if(h.type !== 'portal') continue;
+      if(posEq(h.a, p)) return h.b;
+      if(posEq(h.b, p)) return h.a;
+    }
+    return null;
+  }
+
+  // The solid hazard a head moving from `from` to `head` runs into on `tick`, or null.
+  // A patrol stepping onto the cell the head just left counts too, so the two can't swap places.
+  function hazardHit(state, from, head, tick){
+    for(const h of state.hazards || []){
+      if(h.type === 'patrol'){
+        if(posEq(patrolAt(h, tick), head)) return h.type;
+        if(posEq(patrolAt(h, tick), from) && posEq(patrolAt(h, tick - 1), head)) return h.type;
+      } else if(h.type === 'blink'){
+        if(blinkPhase(h, tick) === 'on' && h.cells.some(c=>posEq(c, head))) return h.type;
+      } else if(h.type === 'grow'){
+        if(Math.abs(head.x - h.x) + Math.abs(head.y - h.y) <= growRadius(h, tick)) return h.type;
+      }
+    }
+    return null;
+  }
+
+  function checkHazard(h){
+    if(!h || !isKey(HAZARDS, h.type)) throw new Error(`Unknown hazard: ${h && h.type}`);
+    return Object.assign({}, h);
+  }
+
+  // `true` places the difficulty's hazards at random, an object overrides parts of that tuning,
+  // and an array gives the hazards themselves (as recorded in replays). Random placement uses
+  // its own generator so the game's apples and obstacles come out the same either way.
+  function placeHazards(option, state, seed){
+    if(!option) return null;
+    if(Array.isArray(option)) return option.map(checkHazard);
+    const tuning = Object.assign({}, HAZARD_TUNING[state.difficulty], option === true ? null : option);
+    const rng = createRng((hashSeed(seed) ^ 0x9e3779b9) >>> 0);
+    state.hazards = [];
+    const inBounds = c=> c.x >= 1 && c.y >= 1 && c.x <= state.width - 2 && c.y <= state.rows - 2;
+    const clear = c=> inBounds(c) && !isOccupied(state, c) &&
+      state.snakes.every(sn=> Math.max(Math.abs(sn.body[0].x - c.x), Math.abs(sn.body[0].y - c.y)) > HAZARD_CLEARANCE);
+    const randomCell = ()=> ({ x: rng.int(1, state.width - 2), y: rng.int(1, state.rows - 2) });
+    // a straight run of `length` free cells, horizontal or vertical
+    function line(length){
+      const start = randomCell();
+      const d = rng.next() < 0.5 ? DIRECTIONS.right : DIRECTIONS.down;
+      const cells = [];
+      for(let i=0;i<length;i++) cells.push({ x: start.x + d.x*i, y: start.y + d.y*i });
+      return cells.every(clear) ? cells : null;
+    }
+    function place(count, make){
+      for(let n=0, tries=0; n<count && tries<200; tries++){
+        const h = make();
+        if(h){ state.hazards.push(h); n++; }
+      }
+    }
+    place(tuning.patrols, ()=>{
+      const path = line(tuning.patrolLength);
+      return path && { type: 'patrol', path, every: tuning.patrolEvery };
+    });
+    place(tuning.blinkers, ()=>{
+      const cells = line(tuning.blinkLength);
+      return cells && { type: 'blink', cells, on: tuning.blinkOn, off: tuning.blinkOff, warn: tuning.blinkWarn, offset: rng.int(0, tuning.blinkOn + tuning.blinkOff - 1) };
+    });
+    place(tuning.growers, ()=>{
+      const c = randomCell();
+      const h = { type: 'grow', x: c.x, y: c.y, max: tuning.growRadius, every: tuning.growEvery, offset: rng.int(0, tuning.growEvery * tuning.growRadius * 2 - 1) };
+      return growCells(h, h.max).every(clear) ? h : null;
+    });
+    place(tuning.portals, ()=>{
+      const a = randomCell(), b = randomCell();
+      return !posEq(a, b) && clear(a) && clear(b) ? { type: 'portal', a, b } : null;
+    });
+    return state.hazards;
+  }
+
+  function createGame(options){
+    const opts = options || {};
+    const level = opts.level || null;
+    const width = level ? level.width : opts.width || 28;
+    const rows = level ? level.rows : opts.rows || 28;
+    const difficulty = isKey(DIFFICULTIES, opts.difficulty) ? opts.difficulty : DEFAULT_DIFFICULTY;
+    const seed = opts.seed === undefined ? 1 : opts.seed;
+    const rules = resolveRules(opts.rules);
+    const players = Math.max(1, Math.min(MAX_PLAYERS, opts.players || 1));
+    const rng = createRng(seed);
+    const snakes = [];
+    for(let p=0;p<players;p++){
+      if(p === 0 && level){
+        // Stack the whole body on the start cell; it unfurls as the snake moves off it
+        const body = [];
+        for(let i=0;i<rules.initialLength;i++) body.push({ x: level.start.x, y: level.start.y });
+        snakes.push(makeSnake(body, toDir(level.start.dir)));
+        continue;
+      }
+      // A lone snake uses the rule set's start; rivals take the spawn slots
+      const slot = players === 1 ? { x: rules.start.x, y: rules.start.y, dir: 'right' } : SPAWN_SLOTS[p];
+      const dir = toDir(slot.dir);
+      const hx = Math.floor(width * slot.x);
+      const hy = Math.floor(rows * slot.y);
+      const body = [];
+      // Build the initial body trailing behind the head
+      for(let i=0;i<rules.initialLength;i++){
+        body.push({ x: (hx - dir.x*i + width) % width, y: (hy - dir.y*i + rows) % rows });
+      }
+      snakes.push(makeSnake(body, dir));
+    }
+    if(opts.scoring){
+      snakes.forEach(sn=>{
+        sn.combo = 0; // current combo multiplier, 0 before the first apple
+        sn.lastEat = { tick: 0, x: sn.body[0].x, y: sn.body[0].y };
+        sn.breakdown = SnakeScoring.emptyBreakdown(); // points earned per scoring rule
+      });
+    }
+    const state = {
+      width, rows, difficulty, seed, rules, level,
+      appleCount: opts.appleCount === undefined ? 1 : opts.appleCount,
+      tickRate: opts.tickRate || null, // fixed rate that overrides the difficulty's
+      goal: opts.goal || null, // { type: 'apples' | 'length' | 'ticks', target }
+      until: opts.until || null, // 'player': the game lasts as long as the first snake, whoever else is left
+      powerups: resolvePowerups(opts.powerups, difficulty), // tuning, or null when power-ups are off
+      scoring: SnakeScoring.resolve(opts.scoring), // scoring rules, or null for each food's flat points
+      pickups: [], // power-ups on the board: { x, y, kind, expires }
+      hazards: null, // dynamic hazards (see HAZARDS), or null when they are off
+      won: false,
+      winner: null, // multi-snake games: index of the winning snake, null for a draw
+      tick: 0,
+      rng: 0,
+      snakes,
+      apples: [],
+      obstacles: level ? level.walls.map(w=>({ x: w[0], y: w[1] })) : [],
+      over: false,
+      spawnFailures: 0, // apple spawns that found no free cell
+      events: []
+    };
+    while(state.apples.length < state.appleCount){
+      if(!spawnApple(state, rng)) break;
+    }
+    spawnObstaclesInitial(state, rng);
+    state.hazards = placeHazards(opts.hazards, state, seed);
+    state.rng = rng.state();
+    return state;
+  }
+
+  function makeSnake(body, dir){
+    return {
+      body,
+      dir,
+      score: 0,
+      eaten: 0,
+      grow: 0, // segments still to be added
+      alive: true,
+      cause: null,
+      effects: {} // active timed power-ups: kind -> { left, total } in ticks
+    };
+  }
+
+  function cloneState(state){
+    return Object.assign({}, state, {
+      snakes: state.snakes.map(sn=>Object.assign({}, sn, { body: sn.body.slice(), dir: Object.assign({}, sn.dir), effects: Object.assign({}, sn.effects) })),
+      apples: state.apples.slice(),
+      pickups: state.pickups.slice(),
+      obstacles: state.obstacles.slice(),
+      events: []
+    });
+  }
+
+  // Advance one tick. `input` is a direction for the first snake or an array with one per snake.
+  // All snakes move at once. Collisions are judged against the board as it was before the
+  // move, so the order of snakes never matters:
+  //  - two heads meeting on one cell, or swapping cells, kill both ('head-on')
+  //  - a head entering its own body dies ('self'), another snake's body dies ('snake')
+  //  - lethal edges ('wall') and obstacles ('obstacle') kill as usual; ghosts pass obstacles
+  //  - solid hazards kill ('hazard'), ghosts pass them too; portals move the head before any of this
+  function step(state, input){
+    if(state.over) return state;
+    const next = cloneState(state);
+    const rng = createRng(state.rng);
+    const inputs = Array.isArray(input) ? input : [input];
+
+    // Work out every new head first
+    const heads = next.snakes.map((sn, idx)=>{
+      if(!sn.alive) return null;
+      const d = toDir(inputs[idx]);
+      if(d && !isReverse(d, sn.dir)) sn.dir = d; // no instant reverse
+      const head = { x: sn.body[0].x + sn.dir.x, y: sn.body[0].y + sn.dir.y };
+      const outside = head.x < 0 || head.x >= next.width || head.y < 0 || head.y >= next.rows;
+      if(outside && wallMode(next) === 'lethal') return { x: head.x, y: head.y, outside: true };
+      // Boundaries wrap around
+      const cell = { x: (head.x + next.width) % next.width, y: (head.y + next.rows) % next.rows };
+      const exit = portalExit(next, cell);
+      if(!exit) return cell;
+      next.events.push({ type: 'portal', snake: idx, x: cell.x, y: cell.y, to: { x: exit.x, y: exit.y } });
+      return { x: exit.x, y: exit.y };
+    });
+
+    const deaths = heads.map((head, idx)=>{
+      if(!head) return null;
+      if(head.outside) return { cause: 'wall' };
+      const sn = next.snakes[idx];
+      for(let j=0;j<heads.length;j++){
+        if(j === idx || !heads[j]) continue;
+        const other = next.snakes[j];
+        if(posEq(heads[j], head)) return { cause: 'head-on', by: j };
+        if(posEq(heads[j], sn.body[0]) && posEq(head, other.body[0])) return { cause: 'head-on', by: j };
+      }
+      // Collision with self
+      if(sn.body.some((seg,i)=> i>0 && posEq(seg,head))) return { cause: 'self' };
+      for(let j=0;j<next.snakes.length;j++){
+        const other = next.snakes[j];
+        if(j !== idx && other.alive && other.body.some(seg=>posEq(seg,head))) return { cause: 'snake', by: j };
+      }
+      // Collision with obstacles
+      if(!hasEffect(sn, 'ghost') && next.obstacles.some(o=>posEq(o,head))) return { cause: 'obstacle' };
+      // Hazards are judged where they will be once this tick is over, which is what gets drawn
+      const hazard = next.hazards && !hasEffect(sn, 'ghost') ? hazardHit(next, sn.body[0], head, next.tick + 1) : null;
+      if(hazard) return { cause: 'hazard', hazard };
+      return null;
+    });
+    deaths.forEach((death, idx)=>{
+      if(death) kill(next, idx, death.cause, death.by, death.hazard);
+    });
+
+    // Effects count down once for every tick they were active in, this one included
+    next.snakes.forEach((sn, idx)=>{
+      Object.keys(sn.effects).forEach(kind=>{
+        const left = sn.effects[kind].left - 1;
+        if(left > 0 && sn.alive) sn.effects[kind] = { left, total: sn.effects[kind].total };
+        else {
+          delete sn.effects[kind];
+          if(sn.alive) next.events.push({ type: 'expire', snake: idx, kind });
+        }
+      });
+    });
+
+    next.snakes.forEach((sn, idx)=>{
+      if(!sn.alive) return;
+      const head = heads[idx];
+      sn.body.unshift(head);
+
+      // Eat apple
+      const appleIdx = next.apples.findIndex(a=>posEq(a,head));
+      if(appleIdx >= 0){
+        const apple = next.apples.splice(appleIdx, 1)[0];
+        let points = apple.points;
+        if(next.scoring){
+          const award = SnakeScoring.award(next, sn, apple, wallMode(next) === 'wrap');
+          points = award.points;
+          sn.combo = award.combo;
+          sn.lastEat = { tick: next.tick, x: head.x, y: head.y };
+          sn.breakdown = SnakeScoring.addParts(sn.breakdown, award.parts);
+          next.events.push({ type: 'eat', snake: idx, x: apple.x, y: apple.y, kind: apple.kind, points, combo: award.combo, quick: award.quick });
+        } else {
+          next.events.push({ type: 'eat', snake: idx, x: apple.x, y: apple.y, kind: apple.kind, points });
+        }
+        sn.score += points;
+        sn.eaten++;
+        sn.grow += apple.growth;
+        spawnApple(next, rng);
+        // occasionally add obstacle on eating to increase difficulty
+        if(rng.next() < getDifficulty(next.difficulty).obstacleOnEatChance){
+          const o = maybeAddObstacle(next, rng);
+          if(o) next.events.push({ type: 'obstacle', x: o.x, y: o.y });
+        }
+        // one power-up at a time, with the difficulty's chance per apple
+        if(next.powerups && !next.pickups.length && rng.next() < next.powerups.chance){
+          const u = spawnPickup(next, rng);
+          if(u) next.events.push({ type: 'pickup', x: u.x, y: u.y, kind: u.kind });
+        }
+      }
+      if(sn.grow > 0) sn.grow--;
+      else sn.body.pop();
+
+      // Collect power-up
+      const pickupIdx = next.pickups.findIndex(u=>posEq(u,head));
+      if(pickupIdx >= 0){
+        const pickup = next.pickups.splice(pickupIdx, 1)[0];
+        applyPowerup(next, idx, pickup.kind);
+        next.events.push({ type: 'powerup', snake: idx, x: pickup.x, y: pickup.y, kind: pickup.kind });
+      }
+    });
+
+    if(next.powerups){
+      next.snakes.forEach(sn=>{
+        if(sn.alive && hasEffect(sn, 'magnet')) pullApples(next, sn);
+      });
+      // uncollected power-ups vanish after their lifetime
+      next.pickups = next.pickups.filter(u=> u.expires > next.tick + 1);
+    }
+
+    // Keep the board stocked if an earlier spawn found no free cell
+    while(next.apples.length < next.appleCount){
+      if(!spawnApple(next, rng)) break;
+    }
+
+    next.tick++;
+    next.rng = rng.state();
+    const alive = next.snakes.filter(sn=>sn.alive);
+    if(next.until === 'player'){
+      if(!next.snakes[0].alive) next.over = true;
+    } else if(next.snakes.length > 1 && alive.length <= 1){
+      next.over = true;
+      next.winner = pickWinner(next, deaths);
+    } else if(alive.length === 0) next.over = true;
+    if(!next.over && next.goal && goalProgress(next) >= next.goal.target){
+      next.won = true;
+      next.over = true;
+      next.events.push({ type: 'goal', goal: next.goal.type });
+    }
+    return next;
+  }
+
+  // How far the first snake is toward the game's goal, in the goal's own unit
+  function goalProgress(state){
+    if(!state.goal) return 0;
+    const sn = state.snakes[0];
+    if(state.goal.type === 'apples') return sn.eaten;
+    if(state.goal.type === 'length') return sn.body.length;
+    if(state.goal.type === 'ticks') return state.tick;
+    return 0;
+  }
+
+  function kill(state, idx, cause, by, hazard){
+    const sn = state.snakes[idx];
+    sn.alive = false;
+    sn.cause = cause;
+    const ev = { type: 'death', snake: idx, cause };
+    if(by !== undefined) ev.by = by;
+    if(hazard) ev.hazard = hazard; // which kind of hazard, for cause 'hazard'
+    state.events.push(ev);
+  }
+
+  // The last snake standing wins. If the final snakes die on the same tick the higher
+  // score wins, and equal scores are a draw (null).
+  function pickWinner(state, deaths){
+    const alive = state.snakes.findIndex(sn=>sn.alive);
+    if(alive >= 0) return alive;
+    let best = null, tie = false;
+    deaths.forEach((death, idx)=>{
+      if(!death) return;
+      const score = state.snakes[idx].score;
+      if(best === null || score > state.snakes[best].score){ best = idx; tie = false; }
+      else if(score === state.snakes[best].score) tie = true;
+    });
+    return tie ? null : best;
+  }
+
+  // Ticks per second: the difficulty's base rate scaled by the rule set's speed curve,
+  // and slowed down while any snake has slow motion
+  function getTickRate(state){
+    const base = state.tickRate || getDifficulty(state.difficulty).tickRate;
+    const slow = state.powerups && state.snakes && state.snakes.some(sn=>sn.alive && hasEffect(sn, 'slow')) ? state.powerups.slowFactor : 1;
+    const curve = state.rules && state.rules.speedCurve;
+    if(!curve || !state.snakes) return base * slow;
+    const score = Math.max.apply(null, state.snakes.map(sn=>sn.score));
+    return base * Math.min(curve.max, 1 + score * curve.perPoint) * slow;
+  }
+
+  return {
+    DIFFICULTIES, DIRECTIONS, MAX_OBSTACLES, MAX_PLAYERS, POWERUPS, POWERUP_TUNING, HAZARDS, HAZARD_TUNING, RULESETS,
+    createRng, hashSeed, isKey, resolveRules, createGame, step, getTickRate, goalProgress, posEq, toDir, isReverse,
+    hazardCells, hazardFootprint, patrolAt, blinkPhase, growRadius
+  };
+});
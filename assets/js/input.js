@@ -0,0 +1,190 @@
+/*
+  Snake input layer
+  - Keyboard, gamepads, touch buttons and swipes all report through one layer, which turns them
+    into directions for a player or into actions (pause, start, restart, fullscreen)
+  - Rebindable keys, one per action, with conflict detection; Player 2's keys steer the only
+    snake when there is one
+  - Gamepads (standard mapping): d-pad or left stick to steer, Start to pause, A to start,
+    with a configurable stick deadzone. Each pad steers its own player in versus.
+  - Turn queue: quick presses are buffered (up to a configurable depth) and taken one per tick,
+    each checked against the turn queued before it, so fast zig-zags aren't lost or reversed
+  - DOM-free apart from the events it is handed; app.js stores the bindings in localStorage
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SnakeInput = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+  'use strict';
+
+  const VERSION = 1;
+  const ACTIONS = [
+    { id: 'up',      label: 'Up',           dir: 'up',    player: 0 },
+    { id: 'down',    label: 'Down',         dir: 'down',  player: 0 },
+    { id: 'left',    label: 'Left',         dir: 'left',  player: 0 },
+    { id: 'right',   label: 'Right',        dir: 'right', player: 0 },
+    { id: 'up2',     label: 'Player 2 up',    dir: 'up',    player: 1 },
+    { id: 'down2',   label: 'Player 2 down',  dir: 'down',  player: 1 },
+    { id: 'left2',   label: 'Player 2 left',  dir: 'left',  player: 1 },
+    { id: 'right2',  label: 'Player 2 right', dir: 'right', player: 1 },
+    { id: 'pause',   label: 'Pause' },
+    { id: 'start',   label: 'Start' },
+    { id: 'restart', label: 'Restart' },
+    { id: 'fullscreen', label: 'Fullscreen' }
+  ];
+  const DEFAULT_KEYS = {
+    up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight',
+    up2: 'w', down2: 's', left2: 'a', right2: 'd',
+    pause: 'p', start: ' ', restart: 'r', fullscreen: 'f'
+  };
+  const DEFAULT_DEADZONE = 0.4;
+  const MIN_DEADZONE = 0.1;
+  const MAX_DEADZONE = 0.9;
+  const DEFAULT_QUEUE_DEPTH = 2;
+  const MAX_QUEUE_DEPTH = 3; // the online server keeps the same number per player
+
+  // Standard gamepad mapping
+  const PAD_DIRS = { 12: 'up', 13: 'down', 14: 'left', 15: 'right' };
+  const PAD_BUTTONS = { 0: 'start', 9: 'pause' }; // A, Start
+
+  // Letters are bound case-insensitively, so Shift or Caps Lock don't change what a key does
+  function normalizeKey(key){
+    return typeof key === 'string' && key.length === 1 ? key.toLowerCase() : key;
+  }
+
+  const KEY_LABELS = { ' ': 'Space', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Escape: 'Esc' };
+  function keyLabel(key){
+    if(!key) return '—';
+    return KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+  }
+
+  function defaults(){
+    return { version: VERSION, keys: Object.assign({}, DEFAULT_KEYS), deadzone: DEFAULT_DEADZONE, queueDepth: DEFAULT_QUEUE_DEPTH };
+  }
+
+  // Saved controls of any shape -> complete ones; missing or clashing keys fall back to defaults
+  function loadControls(raw){
+    const controls = defaults();
+    if(!raw || typeof raw !== 'object') return controls;
+    const keys = raw.keys || {};
+    ACTIONS.forEach(a=>{
+      if(typeof keys[a.id] === 'string' && keys[a.id]) controls.keys[a.id] = normalizeKey(keys[a.id]);
+    });
+    if(Object.keys(conflicts(controls.keys)).length) controls.keys = Object.assign({}, DEFAULT_KEYS);
+    const deadzone = Number(raw.deadzone);
+    if(Number.isFinite(deadzone)) controls.deadzone = Math.min(MAX_DEADZONE, Math.max(MIN_DEADZONE, deadzone));
+    const depth = Number(raw.queueDepth);
+    if(Number.isInteger(depth)) controls.queueDepth = Math.min(MAX_QUEUE_DEPTH, Math.max(1, depth));
+    return controls;
+  }
+
+  // key -> actions bound to it, for keys used more than once
+  function conflicts(keys){
+    const byKey = {};
+    Object.keys(keys).forEach(id=>{
+      (byKey[keys[id]] = byKey[keys[id]] || []).push(id);
+    });
+    const clashes = {};
+    Object.keys(byKey).forEach(key=>{
+      if(byKey[key].length > 1) clashes[key] = byKey[key];
+    });
+    return clashes;
+  }
+
+  function actionInfo(id){
+    return ACTIONS.find(a=>a.id === id) || null;
+  }
+
+  // Bind `key` to action `id`. Returns { controls } or, when another action already uses
+  // the key, { conflict } with that action and the controls left unchanged.
+  function rebind(controls, id, key){
+    if(!actionInfo(id)) throw new Error(`Unknown action: ${id}`);
+    const k = normalizeKey(key);
+    const taken = ACTIONS.find(a=> a.id !== id && controls.keys[a.id] === k);
+    if(taken) return { controls, conflict: taken };
+    return { controls: Object.assign({}, controls, { keys: Object.assign({}, controls.keys, { [id]: k }) }), conflict: null };
+  }
+
+  // Direction a pad is held in: the d-pad wins over the stick, which must leave the deadzone
+  function padDirection(pad, deadzone){
+    for(const idx of Object.keys(PAD_DIRS)){
+      if(pad.buttons[idx] && pad.buttons[idx].pressed) return PAD_DIRS[idx];
+    }
+    const x = pad.axes[0] || 0, y = pad.axes[1] || 0;
+    if(Math.max(Math.abs(x), Math.abs(y)) < deadzone) return null;
+    if(Math.abs(x) > Math.abs(y)) return x > 0 ? 'right' : 'left';
+    return y > 0 ? 'down' : 'up';
+  }
+
+  // `queue` with `dir` ({ x, y }) added to the end, or unchanged when it is full or the turn
+  // would do nothing or reverse. Each turn is checked against the one queued before it, or
+  // against `heading` (the snake's direction) when the queue is empty. Queues are replaced,
+  // never mutated.
+  function queueTurn(queue, dir, heading, depth){
+    if(queue.length >= depth) return queue;
+    const last = queue.length ? queue[queue.length - 1] : heading;
+    if(dir.x === last.x && dir.y === last.y) return queue;
+    if(dir.x === -last.x && dir.y === -last.y) return queue;
+    return queue.concat([dir]);
+  }
+
+  // handlers.direction(dir, player) and handlers.action(id) receive everything the layer
+  // understands; the app decides what they mean in its current state
+  function createInput(controls, handlers){
+    let current = loadControls(controls);
+    let keyIndex = {};
+    const padButtons = new Map(); // pad index -> buttons held at the last poll
+    function index(){
+      keyIndex = {};
+      Object.keys(current.keys).forEach(id=>{ keyIndex[current.keys[id]] = actionInfo(id); });
+    }
+    index();
+
+    function trigger(action){
+      if(action.dir) handlers.direction(action.dir, action.player);
+      else handlers.action(action.id);
+    }
+
+    // Returns true when the key is bound, so the caller can stop the browser's default
+    function keyDown(key){
+      const action = keyIndex[normalizeKey(key)];
+      if(!action) return false;
+      trigger(action);
+      return true;
+    }
+
+    // Call once per frame with navigator.getGamepads(). A held direction is reported every
+    // poll, so a turn that arrives while the snake can't take it yet still goes through;
+    // buttons only fire when they go down.
+    function pollGamepads(pads){
+      const connected = Array.from(pads || []).filter(p=> p && p.connected !== false);
+      connected.forEach((pad, player)=>{
+        const dir = padDirection(pad, current.deadzone);
+        if(dir) handlers.direction(dir, player);
+        const before = padButtons.get(pad.index) || {};
+        const now = {};
+        Object.keys(PAD_BUTTONS).forEach(idx=>{
+          now[idx] = !!(pad.buttons[idx] && pad.buttons[idx].pressed);
+          if(now[idx] && !before[idx]) handlers.action(PAD_BUTTONS[idx]);
+        });
+        padButtons.set(pad.index, now);
+      });
+    }
+
+    // Touch buttons and swipes report here too
+    function direction(dir, player){
+      handlers.direction(dir, player || 0);
+    }
+
+    function setControls(next){
+      current = loadControls(next);
+      index();
+    }
+
+    return { keyDown, pollGamepads, direction, setControls, get controls(){ return current; } };
+  }
+
+  return {
+    VERSION, ACTIONS, DEFAULT_KEYS, DEFAULT_DEADZONE, MIN_DEADZONE, MAX_DEADZONE, DEFAULT_QUEUE_DEPTH, MAX_QUEUE_DEPTH,
+    defaults, loadControls, normalizeKey, keyLabel, conflicts, rebind, padDirection, queueTurn, createInput
+  };
+});
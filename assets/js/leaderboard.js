@@ -0,0 +1,238 @@
+/*
+  Snake leaderboards
+  - One board per mode, rule set and difficulty, so Easy and Hard runs never share a ranking;
+    games with power-ups or hazards get boards of their own
+  - Entries keep the date, duration, apples eaten, max length and cause of death
+  - Boards keep a configurable top N; the whole set exports and imports as JSON or CSV
+  - Versioned schema: the old flat top-5 list of { name, score } migrates into a "legacy" board
+  - Entries carry the replay of their run (seed and input log) so verify.js can check the score;
+    legacy entries predate replays and stay unverified
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SnakeLeaderboard = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+  'use strict';
+
+  const FORMAT = 'snake-leaderboard';
+  const VERSION = 2; // 1 was the bare [{ name, score }] array
+  const DEFAULT_TOP_N = 10;
+  const TOP_N_CHOICES = [5, 10, 20, 50];
+  const LEGACY_BOARD = 'legacy';
+  const MAX_NAME = 20;
+  const CSV_COLUMNS = ['board', 'id', 'name', 'score', 'date', 'duration', 'apples', 'maxLength', 'cause', 'rules', 'level', 'player', 'replay'];
+
+  function empty(){
+    return { format: FORMAT, version: VERSION, topN: DEFAULT_TOP_N, boards: {} };
+  }
+
+  function boardKey(mode, rules, difficulty, powerups, hazards){
+    return `${mode}:${rules}:${difficulty}${powerups ? ':powerups' : ''}${hazards ? ':hazards' : ''}`;
+  }
+
+  // "endless:classic:hard" -> "Endless · Classic · Hard"
+  function describeBoard(key){
+    if(key === LEGACY_BOARD) return 'Older scores (unverified)';
+    return key.split(':').map(part=> part === 'powerups' ? 'Power-ups' : part.charAt(0).toUpperCase() + part.slice(1)).join(' · ');
+  }
+
+  function newId(){
+    return `e-${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`;
+  }
+
+  function intOrNull(v){
+    const n = Number(v);
+    return v === null || v === undefined || v === '' || !Number.isFinite(n) ? null : Math.max(0, Math.round(n));
+  }
+  function numberOrNull(v){
+    const n = Number(v);
+    return v === null || v === undefined || v === '' || !Number.isFinite(n) ? null : Math.max(0, n);
+  }
+  function stringOrNull(v){
+    return v === null || v === undefined || v === '' ? null : String(v);
+  }
+
+  // CSV cells carry the replay as JSON text; anything unreadable is left for the verifier to reject
+  function replayOrNull(v){
+    if(typeof v !== 'string') return v && typeof v === 'object' ? v : null;
+    try {
+      return JSON.parse(v);
+    } catch(e){
+      return null;
+    }
+  }
+
+  // Fill in and clamp every field so imported or migrated entries are safe to render
+  function normalizeEntry(e){
+    const src = e || {};
+    return {
+      id: stringOrNull(src.id) || newId(),
+      name: String(src.name || '').trim().slice(0, MAX_NAME) || 'Anonymous',
+      score: intOrNull(src.score) || 0,
+      date: stringOrNull(src.date), // ISO string; null for migrated entries
+      duration: numberOrNull(src.duration), // seconds of play
+      apples: intOrNull(src.apples),
+      maxLength: intOrNull(src.maxLength),
+      cause: stringOrNull(src.cause),
+      rules: stringOrNull(src.rules),
+      level: stringOrNull(src.level),
+      player: intOrNull(src.player) || 0, // snake index in the replay (Player 2 in versus is 1)
+      replay: replayOrNull(src.replay)
+    };
+  }
+
+  // Highest score first; ties keep their existing order, so the earlier run stays ahead
+  function sortBoard(list){
+    return list.map((e, i)=>({ e, i })).sort((a, b)=> b.e.score - a.e.score || a.i - b.i).map(x=>x.e);
+  }
+
+  function trimmed(data, limit){
+    const boards = {};
+    Object.keys(data.boards).forEach(key=>{
+      const list = sortBoard(data.boards[key]).slice(0, limit === undefined ? data.topN : limit);
+      if(list.length) boards[key] = list;
+    });
+    return Object.assign({}, data, { boards });
+  }
+
+  // Bring stored data of any known version up to date; throws for data from a newer version.
+  // Boards come back sorted but not trimmed, so entries can be checked before the top N is cut.
+  function migrate(raw){
+    if(raw === null || raw === undefined) return empty();
+    if(Array.isArray(raw)){
+      const data = empty();
+      const legacy = raw.filter(e=> e && typeof e === 'object').map(e=> normalizeEntry({ name: e.name, score: e.score }));
+      if(legacy.length) data.boards[LEGACY_BOARD] = legacy;
+      return trimmed(data, Infinity);
+    }
+    if(typeof raw !== 'object') throw new Error('Leaderboard data is not an object');
+    if(raw.version > VERSION) throw new Error(`Leaderboard version ${raw.version} is newer than this game supports`);
+    const data = empty();
+    data.topN = TOP_N_CHOICES.includes(raw.topN) ? raw.topN : DEFAULT_TOP_N;
+    Object.keys(raw.boards || {}).forEach(key=>{
+      if(Array.isArray(raw.boards[key])) data.boards[key] = raw.boards[key].map(normalizeEntry);
+    });
+    return trimmed(data, Infinity);
+  }
+
+  // 1-based rank a score would get on a board (after existing entries with the same score)
+  function rankFor(data, key, score){
+    return (data.boards[key] || []).filter(e=> e.score >= score).length + 1;
+  }
+
+  // Add an entry; returns the new data, the stored entry and its rank (null if it missed the top N)
+  function addEntry(data, key, fields){
+    const entry = normalizeEntry(Object.assign({ date: new Date().toISOString() }, fields, { id: newId() }));
+    const boards = Object.assign({}, data.boards, { [key]: (data.boards[key] || []).concat(entry) });
+    const next = trimmed(Object.assign({}, data, { boards }));
+    const idx = (next.boards[key] || []).indexOf(entry);
+    return { data: next, entry, rank: idx >= 0 ? idx + 1 : null };
+  }
+
+  function setTopN(data, n){
+    if(!TOP_N_CHOICES.includes(n)) throw new Error(`Top N must be one of ${TOP_N_CHOICES.join(', ')}`);
+    return trimmed(Object.assign({}, data, { topN: n }));
+  }
+
+  // Keep only the entries for which keep(key, entry) is true, then cut every board to the top N
+  function filter(data, keep){
+    const boards = {};
+    Object.keys(data.boards).forEach(key=>{
+      boards[key] = data.boards[key].filter(e=> keep(key, e));
+    });
+    return trimmed(Object.assign({}, data, { boards }));
+  }
+
+  function clearBoard(data, key){
+    const boards = Object.assign({}, data.boards);
+    delete boards[key];
+    return Object.assign({}, data, { boards });
+  }
+
+  // Union of two board sets; entries with the same id are only kept once
+  function merge(data, incoming){
+    const boards = Object.assign({}, data.boards);
+    Object.keys(incoming.boards).forEach(key=>{
+      const ids = new Set((boards[key] || []).map(e=>e.id));
+      boards[key] = (boards[key] || []).concat(incoming.boards[key].filter(e=> !ids.has(e.id)));
+    });
+    return trimmed(Object.assign({}, data, { boards }));
+  }
+
+  function serialize(data){
+    return JSON.stringify(data);
+  }
+
+  function csvCell(v){
+    if(v === null || v === undefined) return '';
+    const s = String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+  function toCsv(data){
+    const rows = [CSV_COLUMNS.join(',')];
+    Object.keys(data.boards).forEach(key=>{
+      data.boards[key].forEach(e=>{
+        rows.push(CSV_COLUMNS.map(col=> csvCell(col === 'board' ? key : col === 'replay' && e.replay ? JSON.stringify(e.replay) : e[col])).join(','));
+      });
+    });
+    return rows.join('\n') + '\n';
+  }
+
+  // RFC 4180-style rows: quoted cells may contain commas, quotes ("") and newlines
+  function parseCsvRows(text){
+    const rows = [];
+    let row = [], cell = '', quoted = false;
+    for(let i=0;i<text.length;i++){
+      const ch = text[i];
+      if(quoted){
+        if(ch === '"' && text[i+1] === '"'){ cell += '"'; i++; }
+        else if(ch === '"') quoted = false;
+        else cell += ch;
+      } else if(ch === '"') quoted = true;
+      else if(ch === ','){ row.push(cell); cell = ''; }
+      else if(ch === '\n' || ch === '\r'){
+        if(ch === '\r' && text[i+1] === '\n') i++;
+        row.push(cell); rows.push(row); row = []; cell = '';
+      } else cell += ch;
+    }
+    if(cell || row.length){ row.push(cell); rows.push(row); }
+    return rows.filter(r=> r.length > 1 || r[0] !== '');
+  }
+
+  function fromCsv(text){
+    const rows = parseCsvRows(text);
+    if(!rows.length) throw new Error('CSV file is empty');
+    const header = rows[0].map(h=>h.trim());
+    if(!header.includes('board') || !header.includes('name') || !header.includes('score')) throw new Error('CSV needs board, name and score columns');
+    const data = empty();
+    rows.slice(1).forEach(cells=>{
+      const fields = {};
+      header.forEach((col, i)=>{ fields[col] = cells[i]; });
+      if(!fields.board) return;
+      (data.boards[fields.board] = data.boards[fields.board] || []).push(normalizeEntry(fields));
+    });
+    return data;
+  }
+
+  // Parse an exported file (JSON or CSV); throws with a readable message on bad input
+  function parse(text){
+    const trimmedText = String(text).trim();
+    if(trimmedText.startsWith('{') || trimmedText.startsWith('[')){
+      let raw;
+      try {
+        raw = JSON.parse(trimmedText);
+      } catch(e){
+        throw new Error('Leaderboard is not valid JSON');
+      }
+      if(!Array.isArray(raw) && raw.format !== FORMAT) throw new Error('Not a snake leaderboard file');
+      return migrate(raw);
+    }
+    return fromCsv(trimmedText);
+  }
+
+  return {
+    FORMAT, VERSION, DEFAULT_TOP_N, TOP_N_CHOICES, LEGACY_BOARD,
+    empty, boardKey, describeBoard, migrate, rankFor, addEntry, setTopN, filter, clearBoard, merge,
+    serialize, toCsv, parse
+  };
+});
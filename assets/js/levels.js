@@ -0,0 +1,119 @@
+/*
+  Snake level maps
+  - A level is a grid size, a list of wall cells, the snake's start cell/direction and a wall mode
+  - validateLevel() checks a map is playable: the start cell and its first few moves must be free
+  - parse()/serialize() handle the JSON export format
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SnakeLevels = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+  'use strict';
+
+  const FORMAT = 'snake-level';
+  const VERSION = 1;
+  const MIN_SIZE = 8;
+  const MAX_SIZE = 60;
+  const SAFE_MOVES = 3; // moves after the start that must be clear
+  const DIRS = { up: { x:0, y:-1 }, down: { x:0, y:1 }, left: { x:-1, y:0 }, right: { x:1, y:0 } };
+
+  function createLevel(width, rows, name){
+    return {
+      id: `lvl-${Date.now().toString(36)}`,
+      name: name || 'Untitled',
+      width, rows,
+      walls: [],
+      start: { x: Math.floor(width/2), y: Math.floor(rows/2), dir: 'right' },
+      wallMode: 'wrap'
+    };
+  }
+
+  function hasWall(level, x, y){
+    return level.walls.some(w=>w[0] === x && w[1] === y);
+  }
+
+  // Returns a list of human-readable problems; an empty list means the level is playable
+  function validateLevel(level){
+    const errors = [];
+    const { width, rows, start } = level;
+    if(!Number.isInteger(width) || !Number.isInteger(rows) || width < MIN_SIZE || rows < MIN_SIZE || width > MAX_SIZE || rows > MAX_SIZE){
+      errors.push(`Grid must be between ${MIN_SIZE} and ${MAX_SIZE} cells on each side`);
+      return errors;
+    }
+    if(level.wallMode !== 'wrap' && level.wallMode !== 'lethal') errors.push('Wall mode must be "wrap" or "lethal"');
+    if(!Array.isArray(level.walls) || level.walls.some(w=>!Array.isArray(w) || !Number.isInteger(w[0]) || !Number.isInteger(w[1]) || w[0] < 0 || w[1] < 0 || w[0] >= width || w[1] >= rows)){
+      errors.push('Walls must be cells inside the grid');
+      return errors;
+    }
+    if(!start || !Number.isInteger(start.x) || !Number.isInteger(start.y) || start.x < 0 || start.y < 0 || start.x >= width || start.y >= rows){
+      errors.push('Start position must be inside the grid');
+      return errors;
+    }
+    const dir = DIRS[start.dir];
+    if(!dir){
+      errors.push('Start direction must be up, down, left or right');
+      return errors;
+    }
+    if(hasWall(level, start.x, start.y)) errors.push('Start cell is a wall');
+    let x = start.x, y = start.y;
+    for(let i=1;i<=SAFE_MOVES;i++){
+      x += dir.x; y += dir.y;
+      if(x < 0 || y < 0 || x >= width || y >= rows){
+        if(level.wallMode === 'lethal'){
+          errors.push(`Snake hits the edge ${i} move${i>1?'s':''} after starting`);
+          break;
+        }
+        x = (x + width) % width; y = (y + rows) % rows;
+      }
+      if(hasWall(level, x, y)){
+        errors.push(`Snake hits a wall ${i} move${i>1?'s':''} after starting`);
+        break;
+      }
+    }
+    if(level.walls.length >= width * rows - SAFE_MOVES - 2) errors.push('Leave some free cells for apples');
+    return errors;
+  }
+
+  // Copy only the known fields and drop duplicate walls
+  function normalize(level){
+    const seen = new Set();
+    const walls = [];
+    (level.walls || []).forEach(w=>{
+      const key = `${w[0]},${w[1]}`;
+      if(seen.has(key)) return;
+      seen.add(key);
+      walls.push([w[0], w[1]]);
+    });
+    return {
+      id: String(level.id || `lvl-${Date.now().toString(36)}`),
+      name: String(level.name || 'Untitled').slice(0, 40),
+      width: level.width,
+      rows: level.rows,
+      walls,
+      start: level.start ? { x: level.start.x, y: level.start.y, dir: level.start.dir } : null,
+      wallMode: level.wallMode
+    };
+  }
+
+  function serialize(level){
+    return JSON.stringify(Object.assign({ format: FORMAT, version: VERSION }, normalize(level)));
+  }
+
+  // Parse and validate an imported level; throws with a readable message on bad input
+  function parse(text){
+    let data;
+    try {
+      data = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch(e){
+      throw new Error('Level is not valid JSON');
+    }
+    if(!data || data.format !== FORMAT) throw new Error('Not a snake level file');
+    if(data.version > VERSION) throw new Error(`Level version ${data.version} is newer than this game supports`);
+    const level = normalize(data);
+    const errors = validateLevel(level);
+    if(errors.length) throw new Error(errors[0]);
+    return level;
+  }
+
+  return { FORMAT, VERSION, MIN_SIZE, MAX_SIZE, SAFE_MOVES, createLevel, validateLevel, normalize, hasWall, serialize, parse };
+});
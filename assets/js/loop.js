@@ -0,0 +1,94 @@
+/*
+  Snake game loop
+  - Fixed simulation timestep on requestAnimationFrame: the game advances in whole ticks at its
+    current tick rate, and every frame is drawn with how far it is into the next tick, so the
+    renderer can slide snakes between cells
+  - The tick rate is asked for again before every tick, so speed curves and slow motion take
+    effect straight away without restarting any timers
+  - Long gaps between frames (a throttled tab, a slow device) are capped rather than caught up
+    in one burst of ticks
+  - Rolling frame timings (frame rate, frame time, draw time) for a debug overlay
+  - DOM-free apart from the frame timer, which can be swapped out
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SnakeLoop = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+  'use strict';
+
+  const MAX_FRAME_TIME = 250; // ms of play one frame can account for
+
+  function browserTimer(){
+    return {
+      request: cb=> requestAnimationFrame(cb),
+      cancel: id=> cancelAnimationFrame(id),
+      now: ()=> performance.now()
+    };
+  }
+
+  // hooks.rate() -> ticks per second, hooks.tick() advances the game one tick and
+  // hooks.draw(alpha) draws a frame `alpha` (0..1) of the way to the next tick.
+  // A hook may stop the loop; nothing else runs after it does.
+  function createLoop(hooks, timer){
+    const t = timer || browserTimer();
+    let frame = null;
+    let last = 0;
+    let owed = 0; // ms of play not simulated yet
+
+    function run(now){
+      frame = t.request(run);
+      owed += Math.min(MAX_FRAME_TIME, Math.max(0, now - last));
+      last = now;
+      let interval = 1000 / hooks.rate();
+      while(owed >= interval){
+        owed -= interval;
+        hooks.tick();
+        if(frame === null) return;
+        interval = 1000 / hooks.rate();
+      }
+      hooks.draw(Math.min(1, owed / interval));
+    }
+
+    function start(){
+      stop();
+      last = t.now();
+      owed = 0;
+      frame = t.request(run);
+    }
+    function stop(){
+      if(frame !== null) t.cancel(frame);
+      frame = null;
+    }
+
+    return { start, stop, get running(){ return frame !== null; } };
+  }
+
+  // Timings of the last `size` frames. frame(now, drawMs) records one; summary() gives frames
+  // per second, the average and worst time between frames and the average draw time, in ms.
+  function createFrameStats(size){
+    const n = size || 60;
+    let gaps = [];
+    let draws = [];
+    let last = null;
+    function frame(now, drawMs){
+      if(last !== null) gaps = gaps.concat(now - last).slice(-n);
+      last = now;
+      draws = draws.concat(drawMs).slice(-n);
+    }
+    function average(list){
+      return list.length ? list.reduce((a, b)=> a + b, 0) / list.length : 0;
+    }
+    function summary(){
+      const frameMs = average(gaps);
+      return { fps: frameMs ? 1000 / frameMs : 0, frameMs, worstMs: gaps.length ? Math.max.apply(null, gaps) : 0, drawMs: average(draws) };
+    }
+    function reset(){
+      gaps = [];
+      draws = [];
+      last = null;
+    }
+    return { frame, summary, reset };
+  }
+
+  return { MAX_FRAME_TIME, createLoop, createFrameStats };
+});
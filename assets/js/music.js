@@ -0,0 +1,222 @@
+/*
+  Snake music and sound effects
+  - A step sequencer with scales, a chord progression and 16-step patterns for six voices:
+    pad, bass, kick, hi-hat, lead arpeggio and snare
+  - Tempo follows the game's tick rate; intensity (0..1) grows with score and snake length
+    and brings in more voices as it rises
+  - Sound effects (eat, power-up, countdown beeps, pause, death) as short synthesized tones
+  - Everything is synthesized with WebAudio nodes on the context and output node it is handed;
+    the note and tone tables are plain data, so they can be checked without a browser
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SnakeMusic = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+  'use strict';
+
+  const ROOT = 110; // A2
+  const STEPS = 16; // sixteenth notes per bar
+  const SCALES = {
+    major:      [0, 2, 4, 5, 7, 9, 11],
+    dorian:     [0, 2, 3, 5, 7, 9, 10],
+    minor:      [0, 2, 3, 5, 7, 8, 10],
+    pentatonic: [0, 3, 5, 7, 10]
+  };
+  // One scale per difficulty, darker as it gets harder
+  const DIFFICULTY_SCALES = { easy: 'major', medium: 'dorian', hard: 'minor' };
+  // Chord roots as scale degrees, one per bar
+  const PROGRESSION = [0, 5, 3, 4];
+
+  // 1 marks a step the voice plays on. Lead notes are chord tones: the index into
+  // LEAD_ARPEGGIO picks the note for that step.
+  const PATTERNS = {
+    pad:   [1,0,0,0, 0,0,0,0, 0,0,0,0, 0,0,0,0],
+    bass:  [1,0,0,0, 0,0,1,0, 1,0,0,0, 0,0,1,0],
+    kick:  [1,0,0,0, 1,0,0,0, 1,0,0,0, 1,0,0,0],
+    hat:   [0,0,1,0, 0,0,1,0, 0,0,1,0, 0,0,1,1],
+    lead:  [1,0,1,0, 1,0,1,0, 1,0,1,0, 1,1,1,0],
+    snare: [0,0,0,0, 1,0,0,0, 0,0,0,0, 1,0,0,1]
+  };
+  const LEAD_ARPEGGIO = [0, 2, 4, 7, 4, 2, 4, 7, 0, 2, 4, 7, 9, 7, 4, 2]; // scale steps above the chord root
+  // Intensity a voice needs before it joins in
+  const LAYERS = { pad: 0, bass: 0, kick: 0.15, hat: 0.35, lead: 0.55, snare: 0.75 };
+
+  const MIN_BPM = 80;
+  const MAX_BPM = 180;
+  const INTENSITY_SCORE = 300;  // score that alone gives half intensity
+  const INTENSITY_LENGTH = 40;  // snake length that alone gives half intensity
+  const LOOKAHEAD = 0.1; // seconds of notes scheduled ahead of the audio clock
+  const SCHEDULE_EVERY = 25; // ms between scheduler runs
+
+  // A little under one sixteenth note per game tick, kept in a listenable range
+  function tempoFor(tickRate){
+    return Math.min(MAX_BPM, Math.max(MIN_BPM, Math.round(tickRate * 12)));
+  }
+  function intensityFor(score, length){
+    return Math.min(1, 0.5 * score / INTENSITY_SCORE + 0.5 * length / INTENSITY_LENGTH);
+  }
+
+  // Frequency of scale `degree` (any integer; wraps into higher or lower octaves)
+  function noteFrequency(scaleName, degree, octave){
+    const scale = SCALES[scaleName] || SCALES.dorian;
+    const oct = Math.floor(degree / scale.length);
+    const semitones = scale[degree - oct * scale.length] + 12 * (oct + (octave || 0));
+    return ROOT * Math.pow(2, semitones / 12);
+  }
+
+  // Notes to play on sequencer step `step` (counting from the first bar) at `intensity`.
+  // Each is { voice, freq, steps, velocity }; drums have no frequency.
+  function notesForStep(step, intensity, scaleName){
+    const bar = Math.floor(step / STEPS) % PROGRESSION.length;
+    const pos = step % STEPS;
+    const chord = PROGRESSION[bar];
+    const notes = [];
+    Object.keys(PATTERNS).forEach(voice=>{
+      if(!PATTERNS[voice][pos] || intensity < LAYERS[voice]) return;
+      // voices swell a little as the intensity climbs past where they came in
+      const velocity = Math.min(1, 0.6 + (intensity - LAYERS[voice]));
+      if(voice === 'pad'){
+        [0, 2, 4].forEach(d=> notes.push({ voice, freq: noteFrequency(scaleName, chord + d, 1), steps: STEPS, velocity }));
+      } else if(voice === 'bass'){
+        notes.push({ voice, freq: noteFrequency(scaleName, chord, 0), steps: 2, velocity });
+      } else if(voice === 'lead'){
+        notes.push({ voice, freq: noteFrequency(scaleName, chord + LEAD_ARPEGGIO[pos], 2), steps: 1, velocity });
+      } else {
+        notes.push({ voice, freq: null, steps: 1, velocity });
+      }
+    });
+    return notes;
+  }
+
+  function noiseBuffer(ctx){
+    const buffer = ctx.createBuffer(1, Math.floor(ctx.sampleRate * 0.5), ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for(let i=0;i<data.length;i++) data[i] = Math.random() * 2 - 1;
+    return buffer;
+  }
+
+  // A single enveloped oscillator note; returns the oscillator so callers can bend its pitch
+  function tone(ctx, out, wave, freq, time, length, level, attack){
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.type = wave;
+    osc.frequency.setValueAtTime(freq, time);
+    gain.gain.setValueAtTime(0.0001, time);
+    gain.gain.linearRampToValueAtTime(level, time + (attack || 0.01));
+    gain.gain.exponentialRampToValueAtTime(0.0001, time + length);
+    osc.connect(gain);
+    gain.connect(out);
+    osc.start(time);
+    osc.stop(time + length + 0.05);
+    return osc;
+  }
+  function noise(ctx, out, buffer, time, length, level, highpass){
+    const src = ctx.createBufferSource();
+    const filter = ctx.createBiquadFilter();
+    const gain = ctx.createGain();
+    src.buffer = buffer;
+    filter.type = 'highpass';
+    filter.frequency.value = highpass;
+    gain.gain.setValueAtTime(level, time);
+    gain.gain.exponentialRampToValueAtTime(0.0001, time + length);
+    src.connect(filter);
+    filter.connect(gain);
+    gain.connect(out);
+    src.start(time);
+    src.stop(time + length + 0.05);
+  }
+
+  const VOICES = {
+    pad: (ctx, out, n, time, step)=> tone(ctx, out, 'triangle', n.freq, time, n.steps * step, 0.025 * n.velocity, 0.3),
+    bass: (ctx, out, n, time, step)=> tone(ctx, out, 'triangle', n.freq, time, n.steps * step, 0.12 * n.velocity),
+    lead: (ctx, out, n, time, step)=> tone(ctx, out, 'square', n.freq, time, n.steps * step * 0.9, 0.03 * n.velocity),
+    kick: (ctx, out, n, time)=>{
+      const osc = tone(ctx, out, 'sine', 150, time, 0.15, 0.25 * n.velocity, 0.005);
+      osc.frequency.exponentialRampToValueAtTime(45, time + 0.12);
+    },
+    hat: (ctx, out, n, time, step, buffer)=> noise(ctx, out, buffer, time, 0.04, 0.05 * n.velocity, 7000),
+    snare: (ctx, out, n, time, step, buffer)=> noise(ctx, out, buffer, time, 0.12, 0.1 * n.velocity, 1800)
+  };
+
+  // Plays into `output` once started. Tempo, intensity and scale can change while it plays
+  // and take effect from the next step.
+  function createSequencer(ctx, output){
+    const buffer = noiseBuffer(ctx);
+    let bpm = 120;
+    let intensity = 0;
+    let scale = 'dorian';
+    let step = 0;
+    let nextTime = 0;
+    let timer = null;
+
+    function stepSeconds(){
+      return 60 / bpm / 4;
+    }
+    function schedule(){
+      // after the audio clock stood still (a suspended context), skip the steps it missed
+      if(nextTime < ctx.currentTime) nextTime = ctx.currentTime + 0.05;
+      while(nextTime < ctx.currentTime + LOOKAHEAD){
+        const length = stepSeconds();
+        notesForStep(step, intensity, scale).forEach(n=> VOICES[n.voice](ctx, output, n, nextTime, length, buffer));
+        nextTime += length;
+        step = (step + 1) % (STEPS * PROGRESSION.length);
+      }
+    }
+
+    function start(){
+      if(timer) return;
+      step = 0;
+      nextTime = ctx.currentTime + 0.05;
+      schedule();
+      timer = setInterval(schedule, SCHEDULE_EVERY);
+    }
+    function stop(){
+      clearInterval(timer);
+      timer = null;
+    }
+
+    return {
+      start, stop,
+      setTempo(value){ bpm = Math.min(MAX_BPM, Math.max(MIN_BPM, value)); },
+      setIntensity(value){ intensity = Math.min(1, Math.max(0, value)); },
+      setScale(name){ if(SCALES[name]) scale = name; },
+      get playing(){ return timer !== null; },
+      get tempo(){ return bpm; },
+      get intensity(){ return intensity; }
+    };
+  }
+
+  // Sound effects as lists of tones: wave, start and end frequency, start offset and length in
+  // seconds and level. `noise` adds a burst of filtered noise.
+  const SFX = {
+    eat:       [{ wave: 'square', freq: 660, to: 990, at: 0, length: 0.08, level: 0.08 }],
+    powerup:   [523, 659, 784, 1047].map((freq, i)=>({ wave: 'triangle', freq, at: i * 0.06, length: 0.12, level: 0.12 })),
+    countdown: [{ wave: 'sine', freq: 880, at: 0, length: 0.12, level: 0.15 }],
+    go:        [{ wave: 'sine', freq: 1320, at: 0, length: 0.3, level: 0.15 }],
+    pause:     [{ wave: 'triangle', freq: 660, at: 0, length: 0.1, level: 0.1 }, { wave: 'triangle', freq: 440, at: 0.1, length: 0.15, level: 0.1 }],
+    death:     [{ wave: 'sawtooth', freq: 330, to: 55, at: 0, length: 0.6, level: 0.12 }, { noise: true, at: 0, length: 0.3, level: 0.15 }]
+  };
+
+  function createSfx(ctx, output){
+    let buffer = null;
+    function play(name){
+      const tones = SFX[name];
+      if(!tones) throw new Error(`Unknown sound effect: ${name}`);
+      const now = ctx.currentTime;
+      tones.forEach(t=>{
+        if(t.noise){
+          buffer = buffer || noiseBuffer(ctx);
+          return noise(ctx, output, buffer, now + t.at, t.length, t.level, 400);
+        }
+        const osc = tone(ctx, output, t.wave, t.freq, now + t.at, t.length, t.level, 0.005);
+        if(t.to) osc.frequency.exponentialRampToValueAtTime(t.to, now + t.at + t.length);
+      });
+    }
+    return { play };
+  }
+
+  return {
+    SCALES, DIFFICULTY_SCALES, PROGRESSION, PATTERNS, LAYERS, SFX, MIN_BPM, MAX_BPM,
+    tempoFor, intensityFor, noteFrequency, notesForStep, createSequencer, createSfx
+  };
+});
@@ -0,0 +1,82 @@
+/*
+  Snake netplay
+  - Client-side prediction for online games: the local snake turns the moment a key is pressed
+  - The server's snapshots are authoritative; inputs it hasn't acknowledged yet are replayed
+    on top of each snapshot (reconciliation), so corrections only show when the prediction was wrong
+  - Other players are predicted to keep going straight until the server says otherwise
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'));
+  else root.SnakeNetplay = factory(root.SnakeEngine);
+})(typeof self !== 'undefined' ? self : this, function(SnakeEngine){
+  'use strict';
+
+  const MAX_LEAD = 3; // ticks the prediction may run ahead of the last snapshot
+
+  // `start` is the game's initial state and `slot` the local player's snake index
+  function createPredictor(start, slot){
+    let server = start; // last authoritative state
+    let state = start;  // predicted state that gets drawn
+    let pending = [];   // inputs not yet acknowledged: { seq, dir, tick } (tick they were predicted at)
+    let seq = 0;
+
+    function stepWith(from, dir){
+      const inputs = [];
+      inputs[slot] = dir;
+      return SnakeEngine.step(from, inputs);
+    }
+
+    // Queue a direction for the next predicted tick; returns its sequence number for the server
+    function input(dir){
+      pending.push({ seq: ++seq, dir, tick: null });
+      return seq;
+    }
+
+    // While replaying, the oldest predicted input that is due by `tick` and not used yet.
+    // Inputs still waiting for their first predicted tick are left to advance().
+    function nextInput(used, tick){
+      return pending.find(p=> !used.has(p) && p.tick !== null && p.tick <= tick);
+    }
+
+    // One predicted tick, called on the local clock
+    function advance(){
+      if(state.over || state.tick - server.tick >= MAX_LEAD) return state;
+      const entry = pending.find(p=>p.tick === null);
+      if(entry) entry.tick = state.tick;
+      state = stepWith(state, entry ? entry.dir : null);
+      return state;
+    }
+
+    // Adopt a server snapshot; `ack` is the last input seq the server has applied for us
+    function reconcile(snapshot, ack){
+      server = snapshot;
+      pending = pending.filter(p=>p.seq > ack);
+      const target = state.tick;
+      const used = new Set();
+      let next = snapshot;
+      while(next.tick < target && !next.over){
+        const entry = nextInput(used, next.tick);
+        if(entry) used.add(entry);
+        next = stepWith(next, entry ? entry.dir : null);
+      }
+      state = next;
+      return state;
+    }
+
+    return {
+      get state(){ return state; },
+      get server(){ return server; },
+      get pending(){ return pending.length; },
+      // inputs sent but not yet given a tick
+      get waiting(){ return pending.filter(p=>p.tick === null).length; },
+      // direction of the newest input still waiting for its tick, or null
+      get queued(){
+        const waiting = pending.filter(p=>p.tick === null);
+        return waiting.length ? waiting[waiting.length-1].dir : null;
+      },
+      input, advance, reconcile
+    };
+  }
+
+  return { MAX_LEAD, createPredictor };
+});
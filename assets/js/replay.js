@@ -0,0 +1,175 @@
+/*
+  Snake replays
+  - A replay is the game's seed and settings plus the tick index of every direction change
+  - Inputs are [tick, dir] for the first player and [tick, dir, player] for the others
+  - Re-running the engine with the same inputs reproduces the game exactly
+  - Players keep periodic checkpoints so scrubbing doesn't re-simulate from tick 0
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'), require('./levels.js'));
+  else root.SnakeReplay = factory(root.SnakeEngine, root.SnakeLevels);
+})(typeof self !== 'undefined' ? self : this, function(SnakeEngine, SnakeLevels){
+  'use strict';
+
+  const FORMAT = 'snake-replay';
+  const VERSION = 1;
+  const CHECKPOINT_EVERY = 100; // ticks
+
+  // Directions are stored as single letters to keep exported files small
+  const DIR_CODES = { u: 'up', d: 'down', l: 'left', r: 'right' };
+  function encodeDir(dir){
+    if(dir.y < 0) return 'u';
+    if(dir.y > 0) return 'd';
+    if(dir.x < 0) return 'l';
+    return 'r';
+  }
+
+  // Preset rule sets are stored by name; custom ones are embedded whole
+  function rulesRef(rules){
+    return SnakeEngine.isKey(SnakeEngine.RULESETS, rules.id) ? rules.id : rules;
+  }
+
+  function createRecorder(state){
+    const inputs = [];
+    return {
+      // Record the direction fed to step() at `tick`; only real turns are kept
+      record(tick, dir, player){
+        const p = player || 0;
+        const code = encodeDir(dir);
+        const same = inputs.find(i=>i[0] === tick && (i[2] || 0) === p);
+        if(same){ same[1] = code; return; }
+        inputs.push(p ? [tick, code, p] : [tick, code]);
+      },
+      finish(finalState){
+        return {
+          format: FORMAT,
+          version: VERSION,
+          seed: state.seed,
+          difficulty: state.difficulty,
+          rules: rulesRef(state.rules),
+          level: state.level,
+          appleCount: state.appleCount,
+          tickRate: state.tickRate,
+          goal: state.goal,
+          until: state.until,
+          powerups: state.powerups,
+          scoring: state.scoring,
+          hazards: state.hazards,
+          width: state.width,
+          rows: state.rows,
+          players: state.snakes.length,
+          inputs: inputs.slice(),
+          ticks: finalState.tick,
+          score: finalState.snakes[0].score,
+          scores: finalState.snakes.map(sn=>sn.score),
+          date: new Date().toISOString()
+        };
+      }
+    };
+  }
+
+  function gameOptions(replay){
+    return {
+      width: replay.width, rows: replay.rows, difficulty: replay.difficulty, rules: replay.rules, seed: replay.seed,
+      level: replay.level || null, appleCount: replay.appleCount, tickRate: replay.tickRate || null, goal: replay.goal || null,
+      players: replay.players || 1, until: replay.until || null, powerups: replay.powerups || null,
+      scoring: replay.scoring || null, hazards: replay.hazards || null
+    };
+  }
+
+  // Map of tick -> per-player direction names for quick lookup while stepping
+  function inputIndex(replay){
+    const byTick = new Map();
+    replay.inputs.forEach(([tick, code, player])=>{
+      if(!byTick.has(tick)) byTick.set(tick, []);
+      byTick.get(tick)[player || 0] = DIR_CODES[code];
+    });
+    return byTick;
+  }
+
+  // Re-run the game up to `untilTick` (or its recorded end) and return that state
+  function simulate(replay, untilTick){
+    const byTick = inputIndex(replay);
+    const end = untilTick === undefined ? replay.ticks : Math.min(untilTick, replay.ticks);
+    let state = SnakeEngine.createGame(gameOptions(replay));
+    while(state.tick < end && !state.over){
+      state = SnakeEngine.step(state, byTick.get(state.tick) || []);
+    }
+    return state;
+  }
+
+  function createPlayer(replay){
+    const byTick = inputIndex(replay);
+    const checkpoints = [SnakeEngine.createGame(gameOptions(replay))];
+    let state = checkpoints[0];
+
+    function stepForward(){
+      if(atEnd()) return state;
+      state = SnakeEngine.step(state, byTick.get(state.tick) || []);
+      if(state.tick % CHECKPOINT_EVERY === 0 && !checkpoints[state.tick / CHECKPOINT_EVERY]){
+        checkpoints[state.tick / CHECKPOINT_EVERY] = state;
+      }
+      return state;
+    }
+    function atEnd(){ return state.over || state.tick >= replay.ticks; }
+    function seek(tick){
+      const target = Math.max(0, Math.min(tick, replay.ticks));
+      if(target < state.tick || target - state.tick > CHECKPOINT_EVERY){
+        // resume from the nearest known checkpoint at or before the target
+        let idx = Math.min(Math.floor(target / CHECKPOINT_EVERY), checkpoints.length-1);
+        while(!checkpoints[idx]) idx--;
+        if(target < state.tick || checkpoints[idx].tick > state.tick) state = checkpoints[idx];
+      }
+      while(state.tick < target && !state.over) stepForward();
+      return state;
+    }
+    return {
+      replay,
+      get state(){ return state; },
+      get tick(){ return state.tick; },
+      stepForward, seek, atEnd
+    };
+  }
+
+  function serialize(replay){
+    return JSON.stringify(replay);
+  }
+
+  // Parse and validate an imported replay; throws with a readable message on bad input
+  function parse(text){
+    let data;
+    try {
+      data = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch(e){
+      throw new Error('Replay is not valid JSON');
+    }
+    if(!data || data.format !== FORMAT) throw new Error('Not a snake replay file');
+    if(data.version > VERSION) throw new Error(`Replay version ${data.version} is newer than this game supports`);
+    if(!Number.isInteger(data.width) || !Number.isInteger(data.rows) || data.width < 4 || data.rows < 4){
+      throw new Error('Replay has an invalid grid size');
+    }
+    if(!Number.isInteger(data.ticks) || data.ticks < 0) throw new Error('Replay has an invalid length');
+    const players = data.players || 1;
+    if(!Number.isInteger(players) || players < 1 || players > SnakeEngine.MAX_PLAYERS) throw new Error('Replay has an invalid player count');
+    if(!Array.isArray(data.inputs) || data.inputs.some(i=>!Array.isArray(i) || !Number.isInteger(i[0]) || !SnakeEngine.isKey(DIR_CODES, i[1]) || (i[2] !== undefined && !(i[2] >= 0 && i[2] < players)))){
+      throw new Error('Replay has malformed inputs');
+    }
+    SnakeEngine.resolveRules(data.rules); // throws on unknown or invalid rules
+    if(data.powerups && (typeof data.powerups !== 'object' || Object.keys(data.powerups.weights || {}).some(k=>!SnakeEngine.isKey(SnakeEngine.POWERUPS, k)))){
+      throw new Error('Replay has invalid power-up settings');
+    }
+    if(data.scoring && (typeof data.scoring !== 'object' || typeof data.scoring.difficulty !== 'object' || data.scoring.difficulty === null)){
+      throw new Error('Replay has invalid scoring rules');
+    }
+    if(data.hazards && (!Array.isArray(data.hazards) || data.hazards.some(h=>!h || !SnakeEngine.isKey(SnakeEngine.HAZARDS, h.type)))){
+      throw new Error('Replay has invalid hazards');
+    }
+    if(data.level){
+      const errors = SnakeLevels.validateLevel(data.level);
+      if(errors.length) throw new Error(`Replay level is invalid: ${errors[0]}`);
+    }
+    return data;
+  }
+
+  return { FORMAT, VERSION, createRecorder, simulate, createPlayer, serialize, parse };
+});
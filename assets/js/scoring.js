@@ -0,0 +1,89 @@
+/*
+  Snake scoring rules
+  - Combo multiplier for apples eaten within a short window of ticks of each other
+  - Bonus for quick routes: reaching the apple in close to the fewest possible moves
+  - Length multiplier that grows with the snake
+  - Difficulty multiplier, so Hard is worth more than Easy
+  - Every point is attributed to a rule, so the game can show where a score came from
+  Used by engine.js when a game is created with the `scoring` option.
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SnakeScoring = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+  'use strict';
+
+  const DEFAULTS = {
+    comboWindow: 25,        // ticks allowed between apples to keep a combo going
+    maxCombo: 5,            // highest combo multiplier
+    quickSlack: 1.5,        // a route is quick if it takes at most this times the shortest distance...
+    quickGrace: 3,          // ...plus this many ticks
+    quickBonus: 5,          // flat points for a quick route, before the difficulty multiplier
+    lengthStep: 10,         // every this many segments...
+    lengthBonus: 0.1,       // ...add this much to the length multiplier
+    maxLengthMultiplier: 2,
+    difficulty: { easy: 1, medium: 1.5, hard: 2 }
+  };
+
+  // Categories of the breakdown, in the order they are applied
+  const PARTS = ['base', 'difficulty', 'length', 'combo', 'quick', 'powerups'];
+
+  // `true` uses the defaults; an object overrides parts of them
+  function resolve(option){
+    if(!option) return null;
+    if(option === true) return Object.assign({}, DEFAULTS, { difficulty: Object.assign({}, DEFAULTS.difficulty) });
+    return Object.assign({}, DEFAULTS, option, { difficulty: Object.assign({}, DEFAULTS.difficulty, option.difficulty) });
+  }
+
+  function emptyBreakdown(){
+    const parts = {};
+    PARTS.forEach(p=>{ parts[p] = 0; });
+    return parts;
+  }
+
+  // Shortest number of moves between two cells, wrapping around the edges when the board does
+  function distance(state, wrap, a, b){
+    const dx = Math.abs(a.x - b.x), dy = Math.abs(a.y - b.y);
+    if(!wrap) return dx + dy;
+    return Math.min(dx, state.width - dx) + Math.min(dy, state.rows - dy);
+  }
+
+  function lengthMultiplier(tuning, length){
+    return Math.min(tuning.maxLengthMultiplier, 1 + Math.floor(length / tuning.lengthStep) * tuning.lengthBonus);
+  }
+
+  // Points for snake `sn` eating `apple` on `state.tick`. `sn.lastEat` is where and when it last
+  // ate (or started) and `sn.combo` its current combo, 0 before the first apple.
+  // Returns { points, combo, quick, parts } without changing anything.
+  function award(state, sn, apple, wrap){
+    const tuning = state.scoring;
+    const from = sn.lastEat;
+    const combo = sn.combo > 0 && state.tick - from.tick <= tuning.comboWindow ? Math.min(tuning.maxCombo, sn.combo + 1) : 1;
+    const ticks = state.tick - from.tick;
+    const quick = ticks <= distance(state, wrap, from, apple) * tuning.quickSlack + tuning.quickGrace;
+    const scale = tuning.difficulty[state.difficulty] || 1;
+    // round after each multiplier so every rule's share is a whole number
+    const base = apple.points;
+    const withDifficulty = Math.round(base * scale);
+    const withLength = Math.round(withDifficulty * lengthMultiplier(tuning, sn.body.length));
+    const withCombo = withLength * combo;
+    const quickPoints = quick ? Math.round(tuning.quickBonus * scale) : 0;
+    const parts = {
+      base,
+      difficulty: withDifficulty - base,
+      length: withLength - withDifficulty,
+      combo: withCombo - withLength,
+      quick: quickPoints
+    };
+    return { points: withCombo + quickPoints, combo, quick, parts };
+  }
+
+  // New breakdown with `parts` added to it; breakdowns are replaced, never mutated
+  function addParts(breakdown, parts){
+    const next = Object.assign({}, breakdown);
+    Object.keys(parts).forEach(p=>{ next[p] = (next[p] || 0) + parts[p]; });
+    return next;
+  }
+
+  return { DEFAULTS, PARTS, resolve, emptyBreakdown, award, addParts, lengthMultiplier };
+});
@@ -0,0 +1,229 @@
+/*
+  Snake skins
+  - How a snake is drawn: a head with eyes facing where it is going, a body that bends
+    smoothly round corners and a tail that tapers to a point
+  - Procedural patterns on top of the theme's head-to-tail gradient (stripes, scales) or of
+    their own (a rainbow that cycles as the snake moves)
+  - Sprite-sheet skins: head, straight, corner and tail tiles in one image from assets/, turned
+    to fit each segment
+  - Skins past the first ones unlock at high-score thresholds; every local player keeps their
+    own unlocks and choice in a versioned settings object
+  - DOM-free: drawing goes to whatever 2D context it is handed, and app.js loads the sheets
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./themes.js'));
+  else root.SnakeSkins = factory(root.SnakeThemes);
+})(typeof self !== 'undefined' ? self : this, function(SnakeThemes){
+  'use strict';
+
+  const VERSION = 1;
+  const PLAYERS = 2; // local players with their own skin: Player 1 and Player 2 in versus
+
+  // `score` is the best score a player needs for the skin; `sheet` skins are drawn from tiles
+  const SKINS = [
+    { id: 'classic', name: 'Classic', pattern: 'plain', score: 0 },
+    { id: 'striped', name: 'Striped', pattern: 'stripes', score: 0 },
+    { id: 'scales', name: 'Scales', pattern: 'scales', score: 150 },
+    { id: 'retro', name: 'Retro', pattern: 'plain', score: 300, sheet: 'assets/img/skins/retro.svg' },
+    { id: 'rainbow', name: 'Rainbow', pattern: 'rainbow', score: 500 }
+  ];
+  const DEFAULT_SKIN = 'classic';
+
+  // Sizes as fractions of a cell
+  const BODY_WIDTH = 0.8;
+  const HEAD_WIDTH = 0.9;
+  const TAIL_WIDTH = 0.25;
+  const TAPER = 4; // segments the tail narrows over
+  // Tiles along a sheet, each drawn facing right: the head looks right, the straight piece runs
+  // left to right, the corner joins left and down and the tail is joined on its right
+  const SHEET_TILES = { head: 0, straight: 1, corner: 2, tail: 3 };
+
+  function skinInfo(id){
+    return SKINS.find(s=> s.id === id) || null;
+  }
+
+  function emptyPlayer(){
+    return { skin: DEFAULT_SKIN, unlocked: {} };
+  }
+  function emptySettings(){
+    const players = [];
+    for(let i=0;i<PLAYERS;i++) players.push(emptyPlayer());
+    return { version: VERSION, players };
+  }
+
+  // Skins `player` can use: the free ones and the ones they have unlocked
+  function available(settings, player){
+    const p = settings.players[player];
+    return SKINS.filter(s=> s.score === 0 || (p && p.unlocked[s.id]));
+  }
+
+  // Saved settings of any shape -> complete ones; unknown skins are dropped and a chosen skin
+  // that isn't unlocked falls back to classic
+  function loadSettings(raw){
+    const settings = emptySettings();
+    if(!raw || typeof raw !== 'object' || !Array.isArray(raw.players)) return settings;
+    settings.players = settings.players.map((empty, i)=>{
+      const saved = raw.players[i];
+      if(!saved || typeof saved !== 'object') return empty;
+      const unlocked = {};
+      Object.keys(saved.unlocked || {}).forEach(id=>{
+        const skin = skinInfo(id);
+        if(skin && skin.score > 0) unlocked[id] = String(saved.unlocked[id]);
+      });
+      return select({ players: [{ skin: DEFAULT_SKIN, unlocked }] }, 0, saved.skin).players[0];
+    });
+    return settings;
+  }
+
+  // Unlock what a best score of `score` earns `player`. Returns { settings, unlocked } with the
+  // skins that are new; settings are replaced, never mutated.
+  function unlock(settings, player, score, date){
+    const p = settings.players[player];
+    if(!p) return { settings, unlocked: [] };
+    const unlocked = SKINS.filter(s=> s.score > 0 && score >= s.score && !p.unlocked[s.id]);
+    if(!unlocked.length) return { settings, unlocked };
+    const when = date || new Date().toISOString();
+    const next = Object.assign({}, p, { unlocked: Object.assign({}, p.unlocked) });
+    unlocked.forEach(s=>{ next.unlocked[s.id] = when; });
+    return { settings: Object.assign({}, settings, { players: settings.players.map((q, i)=> i === player ? next : q) }), unlocked };
+  }
+
+  // Choose skin `id` for `player`; locked or unknown skins leave the settings unchanged
+  function select(settings, player, id){
+    if(!available(settings, player).some(s=> s.id === id)) return settings;
+    return Object.assign({}, settings, { players: settings.players.map((p, i)=> i === player ? Object.assign({}, p, { skin: id }) : p) });
+  }
+
+  // Direction from cell `a` to the neighbouring cell `b`, across a wrapped edge of a
+  // `width` x `rows` board too; null when they aren't neighbours (the same cell, or a jump
+  // through a portal)
+  function link(a, b, width, rows){
+    const dx = b.x - a.x, dy = b.y - a.y;
+    if(Math.abs(dx) + Math.abs(dy) === 1) return { x: dx, y: dy };
+    if(dy === 0 && Math.abs(dx) === width - 1) return { x: -Math.sign(dx), y: 0 };
+    if(dx === 0 && Math.abs(dy) === rows - 1) return { x: 0, y: -Math.sign(dy) };
+    return null;
+  }
+  function rotate(d, quarters){
+    let v = d;
+    for(let i=0;i<quarters;i++) v = { x: -v.y, y: v.x }; // a quarter turn clockwise on screen
+    return v;
+  }
+  function same(a, b){
+    return a.x === b.x && a.y === b.y;
+  }
+
+  // Which tile each cell of `body` needs and how far to turn it (radians, clockwise), for a
+  // snake heading `dir` on a `width` x `rows` board
+  function segmentTiles(body, dir, width, rows){
+    const tiles = [];
+    body.forEach((cell, i)=>{
+      const toPrev = i > 0 ? link(cell, body[i-1], width, rows) : null;
+      const toNext = i < body.length - 1 ? link(cell, body[i+1], width, rows) : null;
+      const fallback = i > 0 ? tiles[i-1].angle : Math.atan2(dir.y, dir.x);
+      if(i === 0) return tiles.push({ tile: 'head', angle: Math.atan2(dir.y, dir.x) });
+      if(i === body.length - 1) return tiles.push({ tile: 'tail', angle: toPrev ? Math.atan2(toPrev.y, toPrev.x) : fallback });
+      if(toPrev && toNext && !same(toPrev, { x: -toNext.x, y: -toNext.y })){
+        for(let k=0;k<4;k++){
+          const a = rotate({ x: -1, y: 0 }, k), b = rotate({ x: 0, y: 1 }, k);
+          if((same(a, toPrev) && same(b, toNext)) || (same(a, toNext) && same(b, toPrev))) return tiles.push({ tile: 'corner', angle: k * Math.PI / 2 });
+        }
+      }
+      const along = toPrev || toNext;
+      tiles.push({ tile: 'straight', angle: along ? Math.atan2(along.y, along.x) : fallback });
+    });
+    return tiles;
+  }
+
+  // Width of segment `i` of `n` in cells: full along the body, narrowing over the last few
+  function widthAt(i, n){
+    if(i === 0) return HEAD_WIDTH;
+    const taper = Math.min(TAPER, n - 1);
+    const from = n - 1 - taper;
+    if(i <= from) return BODY_WIDTH;
+    return BODY_WIDTH - (BODY_WIDTH - TAIL_WIDTH) * (i - from) / taper;
+  }
+
+  function colorAt(skin, o, i, n){
+    if(skin.pattern === 'rainbow') return `hsl(${Math.round((o.time * 12 + i * 24) % 360)},80%,55%)`;
+    return SnakeThemes.mix(o.head, o.tail, i / Math.max(1, n - 1));
+  }
+
+  function drawEyes(g, x, y, dir, size){
+    const px = -dir.y, py = dir.x; // across the head
+    [-1, 1].forEach(side=>{
+      const ex = x + dir.x*size*0.15 + px*side*size*0.2, ey = y + dir.y*size*0.15 + py*side*size*0.2;
+      g.fillStyle = '#fff';
+      g.beginPath();
+      g.arc(ex, ey, size*0.12, 0, Math.PI*2);
+      g.fill();
+      g.fillStyle = '#111';
+      g.beginPath();
+      g.arc(ex + dir.x*size*0.04, ey + dir.y*size*0.04, size*0.06, 0, Math.PI*2);
+      g.fill();
+    });
+  }
+
+  // The body as round-capped strokes from each segment's center to the next one's, tail first
+  // so the head ends up on top
+  function drawProcedural(g, points, o, skin){
+    const size = o.size, n = points.length;
+    const center = p=> ({ x: (p.x + 0.5) * size, y: (p.y + 0.5) * size });
+    g.lineCap = 'round';
+    for(let i=n-1;i>=0;i--){
+      const a = center(points[i]);
+      const b = i > 0 && Math.abs(points[i].x - points[i-1].x) + Math.abs(points[i].y - points[i-1].y) < 1.5 ? center(points[i-1]) : a;
+      const width = widthAt(i, n) * size;
+      g.strokeStyle = colorAt(skin, o, i, n);
+      g.lineWidth = width;
+      g.beginPath();
+      g.moveTo(a.x, a.y);
+      g.lineTo(b.x, b.y);
+      g.stroke();
+      if(i === 0) continue;
+      if(skin.pattern === 'stripes' && Math.floor(i / 2) % 2 === 1){
+        g.strokeStyle = 'rgba(0,0,0,0.22)';
+        g.stroke();
+      } else if(skin.pattern === 'scales'){
+        g.strokeStyle = 'rgba(255,255,255,0.25)';
+        g.lineWidth = Math.max(1, size*0.06);
+        g.beginPath();
+        g.arc(a.x, a.y, width*0.28, 0, Math.PI*2);
+        g.stroke();
+      }
+    }
+    const head = center(points[0]);
+    drawEyes(g, head.x, head.y, o.dir, size);
+  }
+
+  function drawSheet(g, points, o, sheet){
+    const size = o.size, tile = sheet.height;
+    segmentTiles(o.cells || points, o.dir, o.width, o.rows).forEach((t, i)=>{
+      const p = points[i];
+      g.save();
+      g.translate((p.x + 0.5) * size, (p.y + 0.5) * size);
+      g.rotate(t.angle);
+      g.drawImage(sheet, SHEET_TILES[t.tile] * tile, 0, tile, tile, -size/2, -size/2, size, size);
+      g.restore();
+    });
+  }
+
+  // Draw a snake whose segments are at `points` (cells, fractional while sliding) on `g`.
+  // o: { skin, size (px per cell), head, tail (#rrggbb), dir ({ x, y }), time (ticks, for
+  // animated patterns), and for sheet skins cells (the snake's whole cells), width and rows
+  // (the board's) and sheet (the loaded image) }.
+  // A sheet skin whose image isn't there yet is drawn as classic.
+  function drawSnake(g, points, o){
+    if(!points.length) return;
+    const skin = skinInfo(o.skin) || skinInfo(DEFAULT_SKIN);
+    g.save();
+    if(skin.sheet && o.sheet) drawSheet(g, points, o, o.sheet);
+    else drawProcedural(g, points, o, skin.sheet ? skinInfo(DEFAULT_SKIN) : skin);
+    g.restore();
+  }
+
+  return {
+    VERSION, PLAYERS, SKINS, DEFAULT_SKIN, SHEET_TILES,
+    skinInfo, emptySettings, loadSettings, available, unlock, select, segmentTiles, drawSnake
+  };
+});
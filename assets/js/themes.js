@@ -0,0 +1,151 @@
+/*
+  Snake themes
+  - A theme is a named palette: the board (background, grid, obstacles, apple and its shine),
+    both players' snakes (head and tail of the body gradient) and the page chrome around it
+  - Built-ins: classic, dark, neon, high-contrast and colorblind-safe (Okabe-Ito colors)
+  - Custom themes start as a copy of another one; parse()/serialize() handle the JSON they are
+    shared as
+  - DOM-free; app.js applies the active theme to the page and the renderer reads its colors
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SnakeThemes = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+  'use strict';
+
+  const FORMAT = 'snake-theme';
+  const VERSION = 1;
+  const MAX_CUSTOM = 20;
+
+  // Every color a theme sets, in the order the editor lists them
+  const COLOR_KEYS = [
+    { id: 'background', label: 'Board' },
+    { id: 'grid', label: 'Grid' },
+    { id: 'obstacle', label: 'Obstacles' },
+    { id: 'apple', label: 'Apple' },
+    { id: 'shine', label: 'Shine' },
+    { id: 'snakeHead', label: 'Snake head' },
+    { id: 'snakeTail', label: 'Snake tail' },
+    { id: 'snake2Head', label: 'Player 2 head' },
+    { id: 'snake2Tail', label: 'Player 2 tail' },
+    { id: 'page', label: 'Page' },
+    { id: 'card', label: 'Panels' },
+    { id: 'text', label: 'Text' },
+    { id: 'muted', label: 'Muted text' },
+    { id: 'accent', label: 'Accent' }
+  ];
+
+  // `dark` picks the dark variants of the page chrome that colors alone don't cover
+  const BUILTINS = [
+    { id: 'classic', name: 'Classic', dark: false, colors: {
+      background: '#ffffff', grid: '#000000', obstacle: '#7a7f86', apple: '#dc3545', shine: '#ffffff',
+      snakeHead: '#28a745', snakeTail: '#149331', snake2Head: '#0d6efd', snake2Tail: '#005ae9',
+      page: '#f8f9fa', card: '#ffffff', text: '#212529', muted: '#6c757d', accent: '#0d6efd' } },
+    { id: 'dark', name: 'Dark', dark: true, colors: {
+      background: '#0f1724', grid: '#ffffff', obstacle: '#5b6472', apple: '#fb7185', shine: '#ffffff',
+      snakeHead: '#22c55e', snakeTail: '#0e9f45', snake2Head: '#60a5fa', snake2Tail: '#2f7fe0',
+      page: '#0b1220', card: '#0f1724', text: '#e6eef8', muted: '#9aa8bf', accent: '#60a5fa' } },
+    { id: 'neon', name: 'Neon', dark: true, colors: {
+      background: '#0a0418', grid: '#7c3aed', obstacle: '#6b21a8', apple: '#ff2bd6', shine: '#ffffff',
+      snakeHead: '#39ff14', snakeTail: '#00c2a8', snake2Head: '#00e5ff', snake2Tail: '#3d5afe',
+      page: '#05010f', card: '#0d0621', text: '#f0e9ff', muted: '#a79bc9', accent: '#ff2bd6' } },
+    { id: 'high-contrast', name: 'High contrast', dark: true, colors: {
+      background: '#000000', grid: '#ffffff', obstacle: '#ffffff', apple: '#ff0000', shine: '#ffffff',
+      snakeHead: '#00ff00', snakeTail: '#00b300', snake2Head: '#00ffff', snake2Tail: '#00b3b3',
+      page: '#000000', card: '#000000', text: '#ffffff', muted: '#d0d0d0', accent: '#ffff00' } },
+    { id: 'colorblind', name: 'Colorblind-safe', dark: false, colors: {
+      background: '#ffffff', grid: '#000000', obstacle: '#555555', apple: '#d55e00', shine: '#ffffff',
+      snakeHead: '#0072b2', snakeTail: '#56b4e9', snake2Head: '#cc79a7', snake2Tail: '#e3a8c8',
+      page: '#f7f7f7', card: '#ffffff', text: '#1a1a1a', muted: '#555555', accent: '#0072b2' } }
+  ];
+  const DEFAULT_THEME = 'classic';
+
+  const HEX = /^#[0-9a-f]{6}$/i;
+
+  function builtin(id){
+    return BUILTINS.find(t=> t.id === id) || null;
+  }
+
+  // Returns a list of human-readable problems; an empty list means the theme can be used
+  function validateTheme(theme){
+    const errors = [];
+    if(!theme || typeof theme !== 'object') return ['Theme must be an object'];
+    if(!String(theme.name || '').trim()) errors.push('Theme needs a name');
+    const colors = theme.colors || {};
+    const bad = COLOR_KEYS.filter(k=> !HEX.test(colors[k.id] || ''));
+    if(bad.length) errors.push(`Colors must be #rrggbb values: ${bad.map(k=> k.label).join(', ')}`);
+    return errors;
+  }
+
+  // Copy only the known fields; colors missing from an older or hand-written theme come from classic
+  function normalize(theme){
+    const base = builtin(DEFAULT_THEME).colors;
+    const colors = {};
+    COLOR_KEYS.forEach(k=>{
+      const c = theme.colors && theme.colors[k.id];
+      colors[k.id] = typeof c === 'string' && HEX.test(c) ? c.toLowerCase() : base[k.id];
+    });
+    return {
+      id: String(theme.id || `theme-${Date.now().toString(36)}`),
+      name: String(theme.name || 'Custom').slice(0, 40),
+      dark: !!theme.dark,
+      colors
+    };
+  }
+
+  // A custom theme to edit, starting from `base`
+  function createCustom(base, name){
+    return normalize({ id: `theme-${Date.now().toString(36)}`, name: name || `${base.name} (custom)`, dark: base.dark, colors: base.colors });
+  }
+
+  function serialize(theme){
+    const t = normalize(theme);
+    return JSON.stringify({ format: FORMAT, version: VERSION, name: t.name, dark: t.dark, colors: t.colors });
+  }
+
+  // Parse and validate a shared theme; throws with a readable message on bad input. The
+  // theme gets a fresh id, so importing never overwrites one already saved.
+  function parse(text){
+    let data;
+    try {
+      data = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch(e){
+      throw new Error('Theme is not valid JSON');
+    }
+    if(!data || data.format !== FORMAT) throw new Error('Not a snake theme file');
+    if(data.version > VERSION) throw new Error(`Theme version ${data.version} is newer than this game supports`);
+    const errors = validateTheme(data);
+    if(errors.length) throw new Error(errors[0]);
+    return normalize(Object.assign({}, data, { id: null }));
+  }
+
+  // Saved settings of any shape -> { version, active, custom }; custom themes are normalized,
+  // ones reusing a built-in id are dropped and an unknown active theme falls back to classic
+  function loadSettings(raw){
+    const settings = { version: VERSION, active: DEFAULT_THEME, custom: [] };
+    if(!raw || typeof raw !== 'object') return settings;
+    settings.custom = (Array.isArray(raw.custom) ? raw.custom : [])
+      .filter(t=> t && typeof t === 'object')
+      .map(normalize)
+      .filter(t=> !builtin(t.id))
+      .slice(0, MAX_CUSTOM);
+    if(find(settings, raw.active)) settings.active = raw.active;
+    return settings;
+  }
+
+  function find(settings, id){
+    return builtin(id) || settings.custom.find(t=> t.id === id) || null;
+  }
+
+  // Color `t` (0..1) of the way from hex color `a` to hex color `b`, for body gradients
+  function mix(a, b, t){
+    const from = parseInt(a.slice(1), 16), to = parseInt(b.slice(1), 16);
+    const channel = shift=> Math.round(((from >> shift) & 255) + (((to >> shift) & 255) - ((from >> shift) & 255)) * t);
+    return `rgb(${channel(16)},${channel(8)},${channel(0)})`;
+  }
+
+  return {
+    FORMAT, VERSION, MAX_CUSTOM, COLOR_KEYS, BUILTINS, DEFAULT_THEME,
+    builtin, validateTheme, normalize, createCustom, serialize, parse, loadSettings, find, mix
+  };
+});
@@ -0,0 +1,112 @@
+/*
+  Snake score verification
+  - A score only counts if its replay reproduces it: the verifier re-runs the game from the
+    entry's seed and input log with the real engine and compares the result with the claim
+  - DOM-free, so the browser leaderboard and the Node score server (server/scores.js) run the same checks
+  - Only standard settings are ranked; replays with custom rules, goals, speeds, power-up tuning,
+    scoring rules, hazards or levels are rejected
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'), require('./replay.js'), require('./leaderboard.js'));
+  else root.SnakeVerify = factory(root.SnakeEngine, root.SnakeReplay, root.SnakeLeaderboard);
+})(typeof self !== 'undefined' ? self : this, function(SnakeEngine, SnakeReplay, SnakeLeaderboard){
+  'use strict';
+
+  // Longer replays are refused rather than re-simulated: the score server verifies inside the
+  // request, and this is already over 25 minutes at the top Classic speed on Hard
+  const MAX_TICKS = 50000;
+  const DURATION_TOLERANCE = 0.1; // seconds; durations are stored rounded to a tenth
+
+  function modeOf(replay){
+    const players = replay.players || 1;
+    if(replay.until === 'player') return players > 1 ? 'arena' : null;
+    if(players === 1) return 'endless';
+    return players === 2 ? 'versus' : null;
+  }
+
+  // Board a parsed replay's score belongs on, or null when it wasn't played with standard settings
+  function boardFor(replay){
+    const mode = modeOf(replay);
+    if(!mode || !SnakeEngine.isKey(SnakeEngine.RULESETS, replay.rules)) return null;
+    if(!SnakeEngine.isKey(SnakeEngine.DIFFICULTIES, replay.difficulty)) return null;
+    const start = SnakeReplay.simulate(replay, 0);
+    // levels come from the editor and the board key doesn't name one, so they aren't ranked
+    if(start.level) return null;
+    // random hazards are placed from the seed, so the standard game needs the replay's seed
+    const standard = SnakeEngine.createGame({
+      difficulty: replay.difficulty, rules: replay.rules, seed: replay.seed,
+      players: start.snakes.length, until: start.until, powerups: !!start.powerups, scoring: !!start.scoring,
+      hazards: !!start.hazards
+    });
+    const same = ['width', 'rows', 'appleCount', 'tickRate', 'goal'].every(k=> start[k] === standard[k]) &&
+      JSON.stringify(start.powerups) === JSON.stringify(standard.powerups) &&
+      JSON.stringify(start.scoring) === JSON.stringify(standard.scoring) &&
+      JSON.stringify(start.hazards) === JSON.stringify(standard.hazards);
+    return same ? SnakeLeaderboard.boardKey(mode, replay.rules, replay.difficulty, !!start.powerups, !!start.hazards) : null;
+  }
+
+  // Stats for one snake of a replay, measured the way the game shows them
+  function replayStats(replay, slot){
+    const player = SnakeReplay.createPlayer(replay);
+    let seconds = 0;
+    let maxLength = player.state.snakes[slot].body.length;
+    while(!player.atEnd()){
+      seconds += 1 / SnakeEngine.getTickRate(player.state);
+      maxLength = Math.max(maxLength, player.stepForward().snakes[slot].body.length);
+    }
+    const sn = player.state.snakes[slot];
+    return {
+      score: sn.score,
+      apples: sn.eaten,
+      maxLength,
+      duration: Math.round(seconds * 10) / 10,
+      cause: sn.cause,
+      over: player.state.over,
+      ticks: player.state.tick
+    };
+  }
+
+  function reject(reason){
+    return { ok: false, reason, stats: null };
+  }
+
+  // Check a leaderboard entry ({ score, player, replay, ... }) against its replay.
+  // `board` is the board it claims to be on; leave it out to accept any ranked board.
+  function verifyEntry(entry, board){
+    if(!entry || !entry.replay) return reject('No replay attached');
+    let replay;
+    try {
+      replay = SnakeReplay.parse(entry.replay);
+    } catch(e){
+      return reject(e.message);
+    }
+    if(replay.ticks > MAX_TICKS) return reject('Replay is too long to verify');
+    // a hand-made replay can pass parse() and still trip the engine up (odd custom rules or
+    // hazards); that is a rejection like any other, not an error for the page or the server
+    try {
+      return checkReplay(entry, replay, board);
+    } catch(e){
+      return reject(`Replay could not be simulated: ${e.message}`);
+    }
+  }
+
+  // The checks that re-simulate the replay; they may throw on a hand-made one
+  function checkReplay(entry, replay, board){
+    const expected = boardFor(replay);
+    if(!expected) return reject('Replay uses settings that are not ranked');
+    if(board && expected !== board) return reject(`Replay was played on ${SnakeLeaderboard.describeBoard(expected)}`);
+    const slot = entry.player || 0;
+    // arena rivals are bots, so only the first snake can be ranked there
+    if(!Number.isInteger(slot) || slot >= (replay.players || 1) || (slot > 0 && modeOf(replay) === 'arena')) return reject(`Replay has no player ${slot + 1}`);
+    const stats = replayStats(replay, slot);
+    if(!stats.over) return reject('Replay stops before the game is over');
+    if(stats.score !== entry.score) return reject(`Score doesn't match the replay (claimed ${entry.score}, replay gives ${stats.score})`);
+    // the other stats are optional, but when present they must match too
+    if(entry.apples != null && entry.apples !== stats.apples) return reject(`Apples eaten don't match the replay (claimed ${entry.apples}, replay gives ${stats.apples})`);
+    if(entry.maxLength != null && entry.maxLength !== stats.maxLength) return reject(`Max length doesn't match the replay (claimed ${entry.maxLength}, replay gives ${stats.maxLength})`);
+    if(entry.duration != null && Math.abs(entry.duration - stats.duration) > DURATION_TOLERANCE) return reject(`Duration doesn't match the replay (claimed ${entry.duration}s, replay gives ${stats.duration}s)`);
+    return { ok: true, reason: null, stats };
+  }
+
+  return { MAX_TICKS, boardFor, replayStats, verifyEntry };
+});
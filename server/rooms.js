@@ -0,0 +1,256 @@
+/*
+  Online rooms
+  - Lobby of rooms joined by short codes; up to four players plus any number of spectators
+  - Ready-up: when every player (at least two) is ready the room counts down 3-2-1 and starts
+  - The server runs the authoritative game with the shared engine and broadcasts a snapshot
+    every tick, with the last input sequence number it applied for each player. Inputs are
+    queued and applied one per tick, the same way the client predicts them (netplay.js)
+  - Finished games are sent back with a replay so clients can keep and share them
+
+  Messages are JSON objects with a `type`:
+    client -> server: create { name, settings }, join { code, name, spectate }, ready { ready },
+                      input { seq, dir }, leave
+    server -> client: joined { code, id, spectator }, room { room }, countdown { value },
+                      start { options, names, ids, state }, state { state, acks }, over { state, names, replay },
+                      error { message }
+*/
+'use strict';
+
+const SnakeEngine = require('../assets/js/engine.js');
+const SnakeReplay = require('../assets/js/replay.js');
+
+const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I lookalikes
+const CODE_LENGTH = 4;
+const COUNTDOWN = 3; // seconds
+const MAX_NAME = 20;
+const MAX_QUEUED = 3; // inputs per player waiting for a tick
+
+// Message fields come from clients, so lookups only count a table's own string keys
+// ("__proto__" or "toString" are not difficulties) and names must really be strings
+function isKey(table, key){
+  return typeof key === 'string' && Object.prototype.hasOwnProperty.call(table, key);
+}
+function asText(value){
+  return typeof value === 'string' || typeof value === 'number' ? String(value) : '';
+}
+
+function cleanName(name, fallback){
+  return asText(name).trim().slice(0, MAX_NAME) || fallback;
+}
+
+// Only the difficulty, a rule preset and power-ups and hazards on/off are configurable; anything else falls back to defaults
+function cleanSettings(settings){
+  const s = settings && typeof settings === 'object' ? settings : {};
+  return {
+    difficulty: isKey(SnakeEngine.DIFFICULTIES, s.difficulty) ? s.difficulty : 'medium',
+    rules: isKey(SnakeEngine.RULESETS, s.rules) ? s.rules : 'enhanced',
+    powerups: s.powerups === true,
+    hazards: s.hazards === true
+  };
+}
+
+function createLobby(){
+  const rooms = new Map();
+  const members = new Map(); // conn -> { id, conn, name, room, ready, spectator }
+  let nextId = 1;
+
+  function send(conn, msg){
+    conn.send(JSON.stringify(msg));
+  }
+  function everyone(room){
+    return room.players.concat(room.spectators);
+  }
+  function broadcast(room, msg){
+    const text = JSON.stringify(msg);
+    everyone(room).forEach(m=> m.conn.send(text));
+  }
+  function roomInfo(room){
+    return {
+      code: room.code,
+      status: room.status,
+      settings: room.settings,
+      players: room.players.map(p=>({ id: p.id, name: p.name, ready: p.ready })),
+      spectators: room.spectators.length
+    };
+  }
+  function broadcastRoom(room){
+    broadcast(room, { type: 'room', room: roomInfo(room) });
+  }
+
+  function newCode(){
+    let code;
+    do {
+      code = '';
+      for(let i=0;i<CODE_LENGTH;i++) code += CODE_CHARS[Math.floor(Math.random() * CODE_CHARS.length)];
+    } while(rooms.has(code));
+    return code;
+  }
+
+  function addMember(room, conn, name, spectator){
+    const member = { id: nextId++, conn, name: cleanName(name, spectator ? 'Spectator' : `Player ${room.players.length + 1}`), room, ready: false, spectator };
+    members.set(conn, member);
+    (spectator ? room.spectators : room.players).push(member);
+    send(conn, { type: 'joined', code: room.code, id: member.id, spectator });
+    // late spectators get the game so far straight away
+    if(room.game) send(conn, startMessage(room.game));
+    broadcastRoom(room);
+    return member;
+  }
+
+  function create(conn, msg){
+    leave(conn);
+    const room = { code: newCode(), settings: cleanSettings(msg.settings), status: 'lobby', players: [], spectators: [], timer: null, game: null };
+    rooms.set(room.code, room);
+    addMember(room, conn, msg.name, false);
+  }
+
+  function join(conn, msg){
+    const code = asText(msg.code).trim().toUpperCase();
+    const room = rooms.get(code);
+    if(!room) return send(conn, { type: 'error', message: `No room with code ${code}` });
+    leave(conn);
+    // rooms that are full or already playing can still be watched
+    const spectator = !!msg.spectate || room.status !== 'lobby' || room.players.length >= SnakeEngine.MAX_PLAYERS;
+    addMember(room, conn, msg.name, spectator);
+  }
+
+  function setReady(member, ready){
+    if(member.spectator || (member.room.status !== 'lobby' && member.room.status !== 'countdown')) return;
+    member.ready = !!ready;
+    const room = member.room;
+    if(room.status === 'countdown' && !member.ready) cancelCountdown(room);
+    broadcastRoom(room);
+    if(room.status === 'lobby' && room.players.length >= 2 && room.players.every(p=>p.ready)) startCountdown(room);
+  }
+
+  function startCountdown(room){
+    room.status = 'countdown';
+    let value = COUNTDOWN;
+    broadcastRoom(room);
+    broadcast(room, { type: 'countdown', value });
+    room.timer = setInterval(()=>{
+      value--;
+      if(value > 0) return broadcast(room, { type: 'countdown', value });
+      clearInterval(room.timer);
+      room.timer = null;
+      begin(room);
+    }, 1000);
+  }
+  function cancelCountdown(room){
+    clearInterval(room.timer);
+    room.timer = null;
+    room.status = 'lobby';
+    broadcast(room, { type: 'countdown', value: null });
+  }
+
+  function startMessage(g){
+    return { type: 'start', options: g.options, names: g.names, ids: g.ids, state: g.state };
+  }
+
+  function begin(room){
+    const options = {
+      difficulty: room.settings.difficulty,
+      rules: room.settings.rules,
+      players: room.players.length,
+      powerups: room.settings.powerups,
+      scoring: true,
+      hazards: room.settings.hazards,
+      seed: Math.floor(Math.random() * 4294967296)
+    };
+    const state = SnakeEngine.createGame(options);
+    room.status = 'playing';
+    room.game = {
+      options,
+      names: room.players.map(p=>p.name),
+      ids: room.players.map(p=>p.id), // lets each client find its own snake
+      state,
+      recorder: SnakeReplay.createRecorder(state),
+      slots: new Map(room.players.map((p, idx)=>[p, idx])), // fixed for the whole game
+      queues: room.players.map(()=>[]), // per slot: { seq, dir } waiting to be applied
+      acks: room.players.map(()=>0) // last input seq applied per slot
+    };
+    broadcastRoom(room);
+    broadcast(room, startMessage(room.game));
+    scheduleTick(room);
+  }
+
+  function scheduleTick(room){
+    room.timer = setTimeout(()=> tick(room), 1000 / SnakeEngine.getTickRate(room.game.state));
+  }
+
+  function tick(room){
+    const g = room.game;
+    const inputs = g.queues.map((queue, idx)=>{
+      const next = queue.shift();
+      if(!next) return null;
+      g.acks[idx] = next.seq;
+      return next.dir;
+    });
+    g.state.snakes.forEach((sn, idx)=>{
+      const turn = SnakeEngine.toDir(inputs[idx]);
+      if(turn && sn.alive && !SnakeEngine.posEq(turn, sn.dir) && !SnakeEngine.isReverse(turn, sn.dir)) g.recorder.record(g.state.tick, turn, idx);
+    });
+    g.state = SnakeEngine.step(g.state, inputs);
+    broadcast(room, { type: 'state', state: g.state, acks: g.acks });
+    if(g.state.over) return finish(room);
+    scheduleTick(room);
+  }
+
+  function finish(room){
+    const g = room.game;
+    room.timer = null;
+    room.game = null;
+    room.status = 'lobby';
+    room.players.forEach(p=>{ p.ready = false; });
+    broadcast(room, { type: 'over', state: g.state, names: g.names, replay: g.recorder.finish(g.state) });
+    broadcastRoom(room);
+  }
+
+  function input(member, msg){
+    const room = member.room;
+    if(room.status !== 'playing' || !room.game.slots.has(member)) return;
+    if(!isKey(SnakeEngine.DIRECTIONS, msg.dir) || !Number.isInteger(msg.seq)) return;
+    const queue = room.game.queues[room.game.slots.get(member)];
+    if(queue.length < MAX_QUEUED) queue.push({ seq: msg.seq, dir: msg.dir });
+  }
+
+  // A player who leaves mid-game keeps their snake on the board, steering straight on
+  function leave(conn){
+    const member = members.get(conn);
+    if(!member) return;
+    members.delete(conn);
+    const room = member.room;
+    room.players = room.players.filter(p=>p !== member);
+    room.spectators = room.spectators.filter(p=>p !== member);
+    if(!everyone(room).length){
+      clearTimeout(room.timer);
+      clearInterval(room.timer);
+      rooms.delete(room.code);
+      return;
+    }
+    if(room.status === 'countdown') cancelCountdown(room);
+    broadcastRoom(room);
+  }
+
+  function receive(conn, text){
+    let msg;
+    try {
+      msg = JSON.parse(text);
+    } catch(e){
+      return send(conn, { type: 'error', message: 'Messages must be JSON' });
+    }
+    if(!msg || typeof msg !== 'object' || Array.isArray(msg)) return send(conn, { type: 'error', message: 'Messages must be JSON objects' });
+    const member = members.get(conn);
+    if(msg.type === 'create') return create(conn, msg);
+    if(msg.type === 'join') return join(conn, msg);
+    if(msg.type === 'leave') return leave(conn);
+    if(!member) return send(conn, { type: 'error', message: 'Create or join a room first' });
+    if(msg.type === 'ready') return setReady(member, msg.ready);
+    if(msg.type === 'input') return input(member, msg);
+    send(conn, { type: 'error', message: `Unknown message type: ${msg.type}` });
+  }
+
+  return { receive, leave, get rooms(){ return rooms; } };
+}
+
+module.exports = { createLobby, cleanSettings };
@@ -0,0 +1,200 @@
+/*
+  Score server
+  - REST endpoints for a shared leaderboard, served by server.js next to the online rooms
+  - Every submitted score is re-simulated from its replay with the same verifier the browser
+    uses (verify.js); only scores the replay reproduces are stored, the rest get a 422 with the reason
+  - Boards work like the browser's (leaderboard.js) and can be kept in a JSON file
+  - A run can be stored once per board: resubmitting someone's replay under another name gets a 422
+  - Replays are re-simulated inside the request, so long ones are refused before any simulation
+
+  Endpoints:
+    GET  /api/scores                  -> { boards: [{ board, name, entries }] }  (top 10 each, no replays)
+    GET  /api/scores/:board           -> { board, name, topN, entries }  (?replays=1 includes the replays)
+    POST /api/scores { board, entry } -> 201 { entry, rank, topN } or 400/422 { error }
+*/
+'use strict';
+
+const fs = require('fs');
+const crypto = require('crypto');
+const SnakeEngine = require('../assets/js/engine.js');
+const SnakeReplay = require('../assets/js/replay.js');
+const SnakeLeaderboard = require('../assets/js/leaderboard.js');
+const SnakeVerify = require('../assets/js/verify.js');
+
+const TOP_N = 50;
+const SUMMARY_SIZE = 10; // entries per board in the overview
+const MAX_BODY = 1024 * 1024; // bytes; the replay is the bulk of a submission
+const MAX_INPUTS = 10000;
+const PREFIX = '/api/scores';
+
+// Refuses replays with more inputs than any real game has before they are re-simulated; the
+// verifier already refuses ones over SnakeVerify.MAX_TICKS. Returns the reason, or null when the
+// replay is fine (or unreadable, which the verifier reports).
+function tooLong(entry){
+  let replay;
+  try {
+    replay = SnakeReplay.parse(entry.replay);
+  } catch(e){
+    return null;
+  }
+  if(replay.inputs.length > MAX_INPUTS) return `Replay has more than ${MAX_INPUTS} inputs`;
+  return null;
+}
+
+// Identifies a verified run whoever submits it: the seed, the settings the game started with and
+// every turn that changed a snake's direction, plus the player the entry is for. Turns are taken
+// from the re-simulation rather than the input log, so padding the log with presses that change
+// nothing doesn't make a copied run look new.
+function runHash(entry){
+  const player = SnakeReplay.createPlayer(SnakeReplay.parse(entry.replay));
+  const start = player.state;
+  const turns = [];
+  let dirs = start.snakes.map(sn=> sn.dir);
+  while(!player.atEnd()){
+    const state = player.stepForward();
+    state.snakes.forEach((sn, idx)=>{
+      if(!SnakeEngine.posEq(sn.dir, dirs[idx])) turns.push([state.tick - 1, idx, sn.dir.x, sn.dir.y]);
+    });
+    dirs = state.snakes.map(sn=> sn.dir);
+  }
+  const settings = ['width', 'rows', 'difficulty', 'rules', 'appleCount', 'tickRate', 'goal', 'until', 'powerups', 'scoring', 'hazards']
+    .map(k=> start[k] === undefined ? null : start[k]);
+  const run = [SnakeEngine.hashSeed(start.seed), settings, start.snakes.length, turns, entry.player || 0];
+  return crypto.createHash('sha256').update(JSON.stringify(run)).digest('hex');
+}
+
+// `file` is optional; without it scores only last as long as the process
+function createScoreStore(file){
+  let data = SnakeLeaderboard.setTopN(SnakeLeaderboard.empty(), TOP_N);
+  if(file && fs.existsSync(file)){
+    const saved = SnakeLeaderboard.migrate(JSON.parse(fs.readFileSync(file, 'utf8')));
+    // the file may have been edited by hand, so its entries are checked like new submissions
+    data = SnakeLeaderboard.setTopN(SnakeLeaderboard.filter(saved, (key, entry)=> SnakeVerify.verifyEntry(entry, key).ok), TOP_N);
+  }
+  // board -> Set of run hashes stored there; rebuilt from the kept entries on start, so runs that
+  // have dropped out of the top N are forgotten across restarts
+  const seen = {};
+  Object.keys(data.boards).forEach(board=>{
+    seen[board] = new Set(data.boards[board].map(runHash));
+  });
+
+  function save(){
+    if(file) fs.writeFileSync(file, SnakeLeaderboard.serialize(data));
+  }
+
+  // Returns { ok: true, entry, rank } or { ok: false, reason }
+  function submit(board, fields){
+    if(typeof board !== 'string' || board === SnakeLeaderboard.LEGACY_BOARD) return { ok: false, reason: 'Unknown board' };
+    const long = tooLong(fields);
+    if(long) return { ok: false, reason: long };
+    const result = SnakeVerify.verifyEntry(fields, board);
+    if(!result.ok) return result;
+    const hash = runHash(fields);
+    if(!seen[board]) seen[board] = new Set();
+    if(seen[board].has(hash)) return { ok: false, reason: 'This run has already been submitted' };
+    // stored stats come from the re-simulation, and the date from the server's clock
+    const stats = result.stats;
+    const added = SnakeLeaderboard.addEntry(data, board, Object.assign({}, fields, {
+      score: stats.score, apples: stats.apples, maxLength: stats.maxLength, duration: stats.duration,
+      date: new Date().toISOString()
+    }));
+    data = added.data;
+    // only runs that made the board are remembered, so one that didn't rank can be sent again
+    if(added.rank !== null) seen[board].add(hash);
+    save();
+    return { ok: true, entry: added.entry, rank: added.rank };
+  }
+
+  function list(board){
+    return data.boards[board] || [];
+  }
+
+  return { submit, list, get data(){ return data; } };
+}
+
+function withoutReplay(entry){
+  return Object.assign({}, entry, { replay: undefined });
+}
+
+function sendJson(res, status, body){
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Past MAX_BODY the rest of the upload is ignored; the connection is only cut once the 413
+// has gone out, since destroying it straight away can lose the response
+function readBody(req, res, done){
+  const chunks = [];
+  let size = 0;
+  let failed = false;
+  req.on('data', (chunk)=>{
+    if(failed) return;
+    size += chunk.length;
+    if(size > MAX_BODY){
+      failed = true;
+      chunks.length = 0;
+      res.once('finish', ()=> req.destroy());
+      done(new Error('Submission is too large'));
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', ()=>{
+    if(!failed) done(null, Buffer.concat(chunks).toString('utf8'));
+  });
+}
+
+// Answers requests under /api/scores; returns false for anything else
+function handleScores(store, req, res){
+  const url = new URL(req.url, 'http://localhost');
+  if(url.pathname !== PREFIX && !url.pathname.startsWith(PREFIX + '/')) return false;
+  // pages opened from disk or another port can still submit
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if(req.method === 'OPTIONS'){
+    res.writeHead(204);
+    res.end();
+    return true;
+  }
+  const rest = url.pathname.slice(PREFIX.length + 1);
+  if(req.method === 'GET' && !rest){
+    const boards = Object.keys(store.data.boards).map(board=>({
+      board,
+      name: SnakeLeaderboard.describeBoard(board),
+      entries: store.list(board).slice(0, SUMMARY_SIZE).map(withoutReplay)
+    }));
+    sendJson(res, 200, { boards });
+  } else if(req.method === 'GET'){
+    let board;
+    try {
+      board = decodeURIComponent(rest);
+    } catch(e){
+      sendJson(res, 400, { error: 'Bad board name' });
+      return true;
+    }
+    const replays = url.searchParams.get('replays') === '1';
+    const entries = store.list(board).map(e=> replays ? e : withoutReplay(e));
+    sendJson(res, 200, { board, name: SnakeLeaderboard.describeBoard(board), topN: TOP_N, entries });
+  } else if(req.method === 'POST' && !rest){
+    readBody(req, res, (err, text)=>{
+      if(err) return sendJson(res, 413, { error: err.message });
+      let body;
+      try {
+        body = JSON.parse(text);
+      } catch(e){
+        return sendJson(res, 400, { error: 'Body must be JSON' });
+      }
+      if(!body || typeof body.entry !== 'object' || body.entry === null) return sendJson(res, 400, { error: 'Expected { board, entry }' });
+      const result = store.submit(body.board, body.entry);
+      if(!result.ok) return sendJson(res, 422, { error: result.reason });
+      sendJson(res, 201, { entry: withoutReplay(result.entry), rank: result.rank, topN: TOP_N });
+    });
+  } else {
+    res.writeHead(405, { Allow: rest ? 'GET, OPTIONS' : 'GET, POST, OPTIONS' });
+    res.end();
+  }
+  return true;
+}
+
+module.exports = { createScoreStore, handleScores };
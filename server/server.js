@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/*
+  Local game server
+  - Serves the game's static files (index.html, assets/, README.md and LICENSE), so
+    http://localhost:8080/ is a working copy of the site
+  - Accepts WebSocket connections on /ws for online rooms (see rooms.js)
+  - Verified score submissions and listings under /api/scores (see scores.js)
+
+  Usage: node server/server.js [--port 8080] [--scores scores.json]   (or PORT=8080)
+    --scores FILE  keep submitted scores in FILE; without it they are lost when the server stops
+*/
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { handleUpgrade } = require('./ws.js');
+const { createLobby } = require('./rooms.js');
+const { createScoreStore, handleScores } = require('./scores.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const MIME = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+// What the site is made of; everything else in the checkout (.git, server/, tools/, notes) stays private
+const PUBLIC_FILES = ['index.html', 'README.md', 'LICENSE'];
+const PUBLIC_DIRS = ['assets'];
+
+function isPublic(file){
+  const rel = path.relative(ROOT, file).split(path.sep);
+  if(rel.length === 1) return PUBLIC_FILES.includes(rel[0]);
+  return PUBLIC_DIRS.includes(rel[0]) && !rel.includes('..');
+}
+
+function serveStatic(req, res){
+  if(req.method !== 'GET' && req.method !== 'HEAD'){
+    res.writeHead(405, { Allow: 'GET, HEAD' });
+    return res.end();
+  }
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch(e){
+    res.writeHead(400);
+    return res.end('Bad request');
+  }
+  if(pathname.endsWith('/')) pathname += 'index.html';
+  const file = path.join(ROOT, pathname);
+  if(!isPublic(file)){
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    return res.end('Not found');
+  }
+  fs.readFile(file, (err, data)=>{
+    if(err){
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not found');
+    }
+    res.writeHead(200, { 'Content-Type': MIME[path.extname(file)] || 'application/octet-stream' });
+    res.end(req.method === 'HEAD' ? undefined : data);
+  });
+}
+
+// `options.scores` is the file scores are kept in (optional)
+function createServer(options){
+  const lobby = createLobby();
+  const scores = createScoreStore((options || {}).scores);
+  const server = http.createServer((req, res)=>{
+    if(!handleScores(scores, req, res)) serveStatic(req, res);
+  });
+  server.on('upgrade', (req, socket)=>{
+    if(new URL(req.url, 'http://localhost').pathname !== '/ws'){
+      socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    handleUpgrade(req, socket, (conn)=>{
+      conn.on('message', (text)=> lobby.receive(conn, text));
+      conn.on('close', ()=> lobby.leave(conn));
+    });
+  });
+  return server;
+}
+
+if(require.main === module){
+  const arg = (name)=>{
+    const idx = process.argv.indexOf(name);
+    return idx >= 0 ? process.argv[idx+1] : undefined;
+  };
+  const port = parseInt(arg('--port') || process.env.PORT || '8080', 10);
+  createServer({ scores: arg('--scores') }).listen(port, ()=>{
+    console.log(`Snake server running at http://localhost:${port}/ (WebSocket: ws://localhost:${port}/ws)`);
+  });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,148 @@
+/*
+  Minimal WebSocket server side (RFC 6455), no dependencies
+  - Performs the HTTP upgrade handshake on a raw socket
+  - Decodes masked client frames (text, fragmented messages, ping, close)
+  - Sends unmasked text frames; connections are EventEmitters with 'message' and 'close'
+*/
+'use strict';
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE = 64 * 1024; // bytes; game messages are tiny
+const OP = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA };
+
+function acceptKey(key){
+  return crypto.createHash('sha1').update(key + GUID).digest('base64');
+}
+
+function encodeFrame(opcode, payload){
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload || '');
+  let header;
+  if(data.length < 126){
+    header = Buffer.from([0x80 | opcode, data.length]);
+  } else if(data.length < 65536){
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+  return Buffer.concat([header, data]);
+}
+
+// Incremental frame decoder: feed it socket chunks, it calls onFrame(fin, opcode, payload)
+// for every complete frame. Throws on protocol errors.
+function createFrameParser(onFrame){
+  let buffer = Buffer.alloc(0);
+  return function push(chunk){
+    buffer = Buffer.concat([buffer, chunk]);
+    while(buffer.length >= 2){
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const masked = (buffer[1] & 0x80) !== 0;
+      let length = buffer[1] & 0x7f;
+      let offset = 2;
+      if(length === 126){
+        if(buffer.length < 4) return;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if(length === 127){
+        if(buffer.length < 10) return;
+        const big = buffer.readBigUInt64BE(2);
+        if(big > BigInt(MAX_MESSAGE)) throw new Error('Frame too large');
+        length = Number(big);
+        offset = 10;
+      }
+      if(!masked) throw new Error('Client frames must be masked');
+      if(length > MAX_MESSAGE) throw new Error('Frame too large');
+      if(buffer.length < offset + 4 + length) return;
+      const mask = buffer.subarray(offset, offset + 4);
+      const payload = Buffer.alloc(length);
+      for(let i=0;i<length;i++) payload[i] = buffer[offset + 4 + i] ^ mask[i % 4];
+      buffer = buffer.subarray(offset + 4 + length);
+      onFrame(fin, opcode, payload);
+    }
+  };
+}
+
+function createConnection(socket){
+  const conn = new EventEmitter();
+  let fragments = null; // payloads of a message still being received
+  let closed = false;
+
+  function finish(){
+    if(closed) return;
+    closed = true;
+    socket.destroy();
+    conn.emit('close');
+  }
+  conn.send = (text)=>{
+    if(!closed) socket.write(encodeFrame(OP.text, text));
+  };
+  conn.close = (code, reason)=>{
+    if(closed) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code || 1000, 0);
+    socket.end(encodeFrame(OP.close, Buffer.concat([payload, Buffer.from(reason || '')])));
+    finish();
+  };
+
+  const parse = createFrameParser((fin, opcode, payload)=>{
+    // frames that arrive after a close, even in the same chunk, are dropped unread
+    if(closed) return;
+    if(opcode === OP.close) return conn.close(1000);
+    if(opcode === OP.ping) return socket.write(encodeFrame(OP.pong, payload));
+    if(opcode === OP.pong) return;
+    if(opcode === OP.text || opcode === OP.binary){
+      if(fragments) throw new Error('New message before the last one finished');
+      fragments = [];
+    } else if(opcode !== OP.continuation || !fragments){
+      throw new Error('Unexpected frame');
+    }
+    fragments.push(payload);
+    if(fragments.reduce((n, f)=> n + f.length, 0) > MAX_MESSAGE) throw new Error('Message too large');
+    if(!fin) return;
+    const message = Buffer.concat(fragments).toString('utf8');
+    fragments = null;
+    conn.emit('message', message);
+  });
+
+  socket.on('data', (chunk)=>{
+    if(closed) return;
+    try {
+      parse(chunk);
+    } catch(e){
+      conn.close(1002, e.message);
+    }
+  });
+  socket.on('close', finish);
+  socket.on('error', finish);
+  return conn;
+}
+
+// Answer an HTTP 'upgrade' request; calls onConnection(conn) once the handshake is done
+function handleUpgrade(req, socket, onConnection){
+  const key = req.headers['sec-websocket-key'];
+  const upgrade = (req.headers.upgrade || '').toLowerCase();
+  if(upgrade !== 'websocket' || !key || req.headers['sec-websocket-version'] !== '13'){
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    return;
+  }
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+    '', ''
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+  onConnection(createConnection(socket));
+}
+
+module.exports = { acceptKey, encodeFrame, createFrameParser, handleUpgrade };
@@ -0,0 +1,90 @@
+/*
+  Achievement tests
+  - The event bus delivers to every handler until it is removed
+  - The tracker unlocks each badge once, from the run's events or the lifetime stats
+  - Saved profiles of any shape load into a complete one
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SnakeAchievements = require('../assets/js/achievements.js');
+
+// A tracker that records its unlocks and saves
+function tracked(profile){
+  const unlocks = [];
+  const saves = [];
+  const tracker = SnakeAchievements.createTracker(profile, {
+    onUnlock: a=> unlocks.push(a.id),
+    onChange: p=> saves.push(p)
+  });
+  return { tracker, unlocks, saves };
+}
+
+test('the event bus delivers to every handler until it is removed', ()=>{
+  const bus = SnakeAchievements.createEventBus();
+  const seen = [];
+  const first = data=> seen.push(['first', data.n]);
+  bus.on('apple', first);
+  bus.on('apple', data=> seen.push(['second', data.n]));
+  bus.emit('apple', { n: 1 });
+  bus.off('apple', first);
+  bus.emit('apple', { n: 2 });
+  bus.emit('pause');
+  assert.deepStrictEqual(seen, [['first', 1], ['second', 1], ['second', 2]]);
+});
+
+test('badges unlock once, from the run or the lifetime stats', ()=>{
+  const { tracker, unlocks, saves } = tracked(null);
+  tracker.handle('start', { difficulty: 'hard', cells: 100 });
+  tracker.handle('apple', { score: 10, length: 2, seconds: 1 });
+  assert.deepStrictEqual(unlocks, ['first-bite']);
+  tracker.handle('apple', { score: 210, length: 30, seconds: 2 });
+  assert.deepStrictEqual(unlocks, ['first-bite', 'hard-200', 'space-filler']);
+  tracker.handle('start', { difficulty: 'hard', cells: 100 });
+  tracker.handle('apple', { score: 210, length: 30, seconds: 1 });
+  assert.strictEqual(unlocks.length, 3);
+  assert.strictEqual(tracker.profile.stats.apples, 3);
+  assert.strictEqual(saves[saves.length - 1], tracker.profile);
+  assert.throws(()=> tracker.handle('jump'), /Unknown game event: jump/);
+});
+
+test('Feeding Frenzy needs five apples within ten seconds of play', ()=>{
+  const { tracker, unlocks } = tracked(null);
+  tracker.handle('start', { difficulty: 'easy' });
+  [1, 20, 22, 24, 26].forEach(seconds=> tracker.handle('apple', { seconds }));
+  assert.ok(!unlocks.includes('frenzy'));
+  tracker.handle('apple', { seconds: 28 });
+  assert.ok(unlocks.includes('frenzy'));
+});
+
+test('Marathon restarts its clock after a pause', ()=>{
+  const { tracker, unlocks } = tracked(null);
+  tracker.handle('start', { difficulty: 'easy' });
+  tracker.handle('pause', { paused: true, seconds: 100 });
+  tracker.handle('pause', { paused: false, seconds: 100 });
+  tracker.handle('obstacle', { seconds: 200 });
+  assert.ok(!unlocks.includes('marathon'));
+  tracker.handle('obstacle', { seconds: 220 });
+  assert.ok(unlocks.includes('marathon'));
+});
+
+test('finished games add to the lifetime stats', ()=>{
+  const { tracker, unlocks } = tracked(null);
+  ['easy', 'medium', 'hard'].forEach((difficulty, i)=>{
+    tracker.handle('start', { difficulty });
+    tracker.handle('gameover', { length: 4 + i, seconds: 10.5 });
+  });
+  assert.deepStrictEqual(tracker.profile.stats, { games: 3, apples: 0, longest: 6, seconds: 31.5, difficulties: ['easy', 'medium', 'hard'] });
+  assert.ok(unlocks.includes('all-rounder'));
+});
+
+test('saved profiles load into a complete one', ()=>{
+  const profile = SnakeAchievements.loadProfile({ unlocked: { 'first-bite': '2024-01-01', bogus: 'x' }, stats: { games: '4', apples: -2, seconds: 'lots', difficulties: ['easy', 3] } });
+  assert.deepStrictEqual(profile, {
+    version: SnakeAchievements.VERSION,
+    unlocked: { 'first-bite': '2024-01-01' },
+    stats: { games: 4, apples: 0, longest: 0, seconds: 0, difficulties: ['easy'] }
+  });
+  assert.deepStrictEqual(SnakeAchievements.loadProfile('nonsense'), SnakeAchievements.emptyProfile());
+});
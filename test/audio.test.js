@@ -0,0 +1,130 @@
+/*
+  Audio manager tests
+  - One context, made on first use, rebuilt only after dispose()
+  - Volumes, suspend/resume and the soundtrack's start and stop, on a fake AudioContext
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SnakeAudio = require('../assets/js/audio.js');
+
+function fakeParam(value){
+  const param = { value, ramps: [] };
+  param.cancelScheduledValues = ()=>{};
+  param.setValueAtTime = v=>{ param.value = v; };
+  param.linearRampToValueAtTime = v=>{ param.ramps.push(v); };
+  param.exponentialRampToValueAtTime = v=>{ param.ramps.push(v); };
+  return param;
+}
+function fakeNode(extra){
+  return Object.assign({ connect(){}, disconnect(){}, start(){}, stop(){} }, extra);
+}
+
+// Just enough of an AudioContext for the manager and the sequencer; counts what it is asked for
+function fakeContext(){
+  const ctx = {
+    state: 'running', currentTime: 0, sampleRate: 8000, destination: fakeNode(), oscillators: 0, gains: [],
+    createGain(){ const node = fakeNode({ gain: fakeParam(1) }); ctx.gains.push(node); return node; },
+    createOscillator(){ ctx.oscillators++; return fakeNode({ frequency: fakeParam(440) }); },
+    createBufferSource(){ return fakeNode(); },
+    createBiquadFilter(){ return fakeNode({ frequency: fakeParam(350) }); },
+    createBuffer(channels, length){ return { getChannelData: ()=> new Float32Array(length) }; },
+    suspend(){ ctx.state = 'suspended'; return Promise.resolve(); },
+    resume(){ ctx.state = 'running'; return Promise.resolve(); },
+    close(){ ctx.state = 'closed'; return Promise.resolve(); }
+  };
+  return ctx;
+}
+
+function managerWithContexts(volumes){
+  const made = [];
+  const audio = SnakeAudio.createAudioManager(volumes, ()=>{
+    const ctx = fakeContext();
+    made.push(ctx);
+    return ctx;
+  });
+  return { audio, made };
+}
+
+const wait = ms=> new Promise(resolve=> setTimeout(resolve, ms));
+
+test('the context is made on first use and kept', ()=>{
+  const { audio, made } = managerWithContexts();
+  assert.strictEqual(audio.context, null);
+  audio.sfx('eat');
+  audio.sfx('death');
+  assert.strictEqual(made.length, 1);
+  assert.ok(made[0].oscillators >= 2);
+  audio.dispose();
+  assert.strictEqual(made[0].state, 'closed');
+  assert.strictEqual(audio.context, null);
+  audio.sfx('eat');
+  assert.strictEqual(made.length, 2);
+  audio.dispose();
+});
+
+test('muted sound effects play nothing but still wake the music', ()=>{
+  const { audio, made } = managerWithContexts({ sfx: 0 });
+  audio.sfx('eat');
+  assert.strictEqual(made[0].oscillators, 0);
+  made[0].state = 'suspended';
+  audio.sfx('pause');
+  assert.strictEqual(made[0].state, 'running');
+  assert.strictEqual(made[0].oscillators, 0);
+  audio.dispose();
+});
+
+test('volumes are clamped and reach the buses', ()=>{
+  const { audio, made } = managerWithContexts({ music: 0.3 });
+  audio.resume();
+  const [music, , sfx] = made[0].gains;
+  assert.strictEqual(music.gain.value, 0.3);
+  audio.setVolume('sfx', 2);
+  audio.setVolume('music', -1);
+  assert.strictEqual(sfx.gain.value, 1);
+  assert.strictEqual(music.gain.value, 0);
+  audio.dispose();
+});
+
+test('suspend waits for its delay and resume cancels it', async ()=>{
+  const { audio, made } = managerWithContexts();
+  audio.resume();
+  audio.suspend(0.01);
+  audio.resume();
+  await wait(30);
+  assert.strictEqual(made[0].state, 'running');
+  audio.suspend(0);
+  await wait(10);
+  assert.strictEqual(made[0].state, 'suspended');
+  audio.resume();
+  assert.strictEqual(made[0].state, 'running');
+  audio.dispose();
+});
+
+test('play fades the soundtrack in and stop fades it out', ()=>{
+  const { audio, made } = managerWithContexts();
+  audio.play();
+  assert.strictEqual(audio.playing, true);
+  const fader = made[0].gains[1];
+  assert.strictEqual(fader.gain.ramps[fader.gain.ramps.length - 1], 1);
+  assert.ok(made[0].oscillators > 0, 'the first notes are scheduled');
+  audio.stop();
+  assert.strictEqual(audio.playing, false);
+  assert.ok(fader.gain.ramps[fader.gain.ramps.length - 1] < 0.001);
+  audio.dispose();
+});
+
+test('a failing context leaves the game silent but running', ()=>{
+  const warn = console.warn;
+  console.warn = ()=>{};
+  try {
+    const audio = SnakeAudio.createAudioManager({}, ()=>{ throw new Error('no audio here'); });
+    assert.strictEqual(audio.resume(), false);
+    audio.play();
+    audio.sfx('eat');
+    assert.strictEqual(audio.playing, false);
+  } finally {
+    console.warn = warn;
+  }
+});
@@ -0,0 +1,86 @@
+/*
+  Bot tests
+  - Every bot avoids a move that kills it on the next tick
+  - greedy and pathfinder head for the apple; pathfinder finds its way around walls
+  - The survival bot's cycle visits every cell once, and it fills a small board
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SnakeEngine = require('../assets/js/engine.js');
+const SnakeBots = require('../assets/js/bots.js');
+
+// A one-snake game with the snake replaced by `body` (head first) heading `dir`
+function board(options, body, dir, apples){
+  const state = SnakeEngine.createGame(Object.assign({ width: 12, rows: 12, seed: 7 }, options));
+  state.snakes[0] = Object.assign({}, state.snakes[0], { body: body.map(c=> ({ x: c[0], y: c[1] })), dir: SnakeEngine.toDir(dir) });
+  state.apples = apples.map(a=> ({ x: a[0], y: a[1], kind: 'apple', color: null, points: 10, growth: 1 }));
+  state.obstacles = [];
+  return state;
+}
+
+test('unknown bots are refused and difficulties pick a bot', ()=>{
+  assert.throws(()=> SnakeBots.create('nope'), /Unknown bot: nope/);
+  assert.strictEqual(SnakeBots.forDifficulty('easy').name, 'greedy');
+  assert.strictEqual(SnakeBots.forDifficulty('hard').name, 'smart');
+  assert.strictEqual(SnakeBots.forDifficulty('bogus').name, 'pathfinder');
+});
+
+test('every bot steers clear of a wall straight ahead', ()=>{
+  const state = board({}, [[5,5],[4,5],[3,5]], 'right', [[9,5]]);
+  state.obstacles = [{ x: 6, y: 5 }];
+  SnakeBots.NAMES.forEach(name=>{
+    const dir = SnakeBots.create(name).decide(state, 0);
+    assert.ok(dir === 'up' || dir === 'down', `${name} went ${dir}`);
+  });
+});
+
+test('greedy and pathfinder head for the apple', ()=>{
+  const state = board({}, [[5,5],[4,5],[3,5]], 'right', [[5,1]]);
+  assert.strictEqual(SnakeBots.create('greedy').decide(state, 0), 'up');
+  assert.strictEqual(SnakeBots.create('pathfinder').decide(state, 0), 'up');
+});
+
+test('pathfinder finds its way round a wall to the apple', ()=>{
+  // a cup open to the right with the apple inside it, the snake to its left
+  const state = board({ rules: 'classic' }, [[2,6],[1,6]], 'right', [[6,6]]);
+  state.obstacles = [[4,4],[5,4],[6,4],[7,4],[4,5],[4,6],[4,7],[4,8],[5,8],[6,8],[7,8]].map(c=> ({ x: c[0], y: c[1] }));
+  let next = state;
+  const bot = SnakeBots.create('pathfinder');
+  for(let i=0;i<30 && next.snakes[0].eaten === 0 && !next.over;i++) next = SnakeEngine.step(next, bot.decide(next, 0));
+  assert.strictEqual(next.over, false);
+  assert.strictEqual(next.snakes[0].eaten, 1);
+});
+
+test('the survival cycle visits every cell once', ()=>{
+  [[6, 6], [8, 5], [5, 8]].forEach(([width, rows])=>{
+    const dirs = SnakeBots.buildCycle(width, rows);
+    const seen = new Set();
+    let x = 0, y = 0;
+    for(let i=0;i<width*rows;i++){
+      seen.add(`${x},${y}`);
+      const d = SnakeEngine.DIRECTIONS[dirs[y*width + x]];
+      x += d.x; y += d.y;
+      assert.ok(x >= 0 && y >= 0 && x < width && y < rows, `left the ${width}x${rows} board`);
+    }
+    assert.strictEqual(seen.size, width * rows);
+    assert.deepStrictEqual([x, y], [0, 0]);
+  });
+  assert.strictEqual(SnakeBots.buildCycle(5, 7), null);
+});
+
+test('the survival bot fills a small board', ()=>{
+  let state = SnakeEngine.createGame({ width: 8, rows: 8, rules: 'classic', seed: 5 });
+  const bot = SnakeBots.create('survival');
+  while(!state.over && state.tick < 3000) state = SnakeEngine.step(state, bot.decide(state, 0));
+  assert.strictEqual(state.snakes[0].body.length, 64);
+});
+
+test('games that last as long as the player ignore the rivals', ()=>{
+  const state = SnakeEngine.createGame({ width: 20, rows: 20, players: 2, until: 'player' });
+  state.snakes[1] = Object.assign({}, state.snakes[1], { alive: false });
+  const next = SnakeEngine.step(state, null);
+  assert.strictEqual(next.over, false);
+  assert.strictEqual(next.winner, null);
+});
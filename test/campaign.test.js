@@ -0,0 +1,76 @@
+/*
+  Campaign tests
+  - Every handcrafted level is a valid map
+  - Goals end the game as a win; stars follow each level's thresholds
+  - Saved progress keeps the best of each stat and unlocks levels in order
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SnakeCampaign = require('../assets/js/campaign.js');
+const SnakeLevels = require('../assets/js/levels.js');
+const SnakeEngine = require('../assets/js/engine.js');
+
+const [first, second] = SnakeCampaign.LEVELS;
+
+// A finished game as far as the campaign cares: won or not, its length in ticks and its score
+function finished(won, tick, score){
+  return { won, tick, snakes: [{ score, eaten: 0, body: [] }] };
+}
+
+test('every campaign level is playable and has a unique id', ()=>{
+  const ids = new Set();
+  SnakeCampaign.LEVELS.forEach(def=>{
+    assert.deepStrictEqual(SnakeLevels.validateLevel(SnakeCampaign.gameOptions(def).level), [], def.id);
+    assert.ok(!ids.has(def.id), `duplicate id ${def.id}`);
+    ids.add(def.id);
+  });
+  assert.strictEqual(SnakeCampaign.getLevel('c2'), second);
+  assert.strictEqual(SnakeCampaign.getLevel('nope'), null);
+});
+
+test('survive goals are converted from seconds to ticks', ()=>{
+  const def = SnakeCampaign.LEVELS.find(l=> l.goal.type === 'survive');
+  assert.deepStrictEqual(SnakeCampaign.gameOptions(def).goal, { type: 'ticks', target: def.goal.target * def.tickRate });
+  assert.match(SnakeCampaign.describeGoal(def), /^Survive \d+ seconds$/);
+  assert.strictEqual(SnakeCampaign.progress(def, { tick: def.tickRate * 3 + 1, snakes: [{}] }), 3);
+});
+
+test('reaching the goal ends the game as a win', ()=>{
+  let state = SnakeEngine.createGame(Object.assign(SnakeCampaign.gameOptions(first), { seed: 1, goal: { type: 'ticks', target: 5 } }));
+  for(let i=0;i<4;i++) state = SnakeEngine.step(state, null);
+  assert.strictEqual(state.over, false);
+  state = SnakeEngine.step(state, null);
+  assert.strictEqual(state.won, true);
+  assert.strictEqual(state.over, true);
+  assert.ok(state.events.some(e=> e.type === 'goal' && e.goal === 'ticks'));
+  assert.strictEqual(SnakeEngine.getTickRate(state), first.tickRate);
+});
+
+test('stars follow the level thresholds', ()=>{
+  const { two, three } = first.stars; // measured in ticks, lower is better
+  assert.strictEqual(SnakeCampaign.starsFor(first, finished(false, 1, 0)), 0);
+  assert.strictEqual(SnakeCampaign.starsFor(first, finished(true, two + 1, 0)), 1);
+  assert.strictEqual(SnakeCampaign.starsFor(first, finished(true, two, 0)), 2);
+  assert.strictEqual(SnakeCampaign.starsFor(first, finished(true, three, 0)), 3);
+  const byScore = SnakeCampaign.LEVELS.find(l=> l.stars.by === 'score');
+  assert.strictEqual(SnakeCampaign.starsFor(byScore, finished(true, 1, byScore.stars.two - 1)), 1);
+  assert.strictEqual(SnakeCampaign.starsFor(byScore, finished(true, 1, byScore.stars.three)), 3);
+});
+
+test('progress keeps the best result and unlocks the next level', ()=>{
+  let saved = SnakeCampaign.emptyProgress();
+  assert.strictEqual(SnakeCampaign.isUnlocked(saved, 0), true);
+  assert.strictEqual(SnakeCampaign.isUnlocked(saved, 1), false);
+  saved = SnakeCampaign.recordResult(saved, first, finished(false, 50, 40));
+  assert.deepStrictEqual(saved.levels.c1, { best: 0, stars: 0, bestTicks: null });
+  assert.strictEqual(SnakeCampaign.isUnlocked(saved, 1), false);
+  const before = saved;
+  saved = SnakeCampaign.recordResult(saved, first, finished(true, first.stars.three, 50));
+  assert.deepStrictEqual(before.levels.c1, { best: 0, stars: 0, bestTicks: null }); // not mutated
+  saved = SnakeCampaign.recordResult(saved, first, finished(true, first.stars.two + 10, 70));
+  assert.deepStrictEqual(saved.levels.c1, { best: 70, stars: 3, bestTicks: first.stars.three });
+  assert.strictEqual(SnakeCampaign.isUnlocked(saved, 1), true);
+  assert.strictEqual(SnakeCampaign.isUnlocked(saved, 2), false);
+});
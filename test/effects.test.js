@@ -0,0 +1,85 @@
+/*
+  Effects tests
+  - Shake dies away, bursts and pop-ins end after their time and report what they drew over
+  - Dissolves go tail first, finish within their time cap and give off particles
+  - Reduced motion turns everything off
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SnakeEffects = require('../assets/js/effects.js');
+
+const VIEW = { size: 10, background: '#fff', obstacle: '#777' };
+
+// A 2D context that ignores everything it is asked to draw
+function fakeGraphics(){
+  return new Proxy({}, { get: (target, name)=> name in target ? target[name] : ()=>{} });
+}
+function marks(draw, now){
+  const areas = [];
+  draw(fakeGraphics(), VIEW, now, (x, y, w, h)=> areas.push({ x, y, w, h }));
+  return areas;
+}
+
+test('a shake dies away over its time', ()=>{
+  const fx = SnakeEffects.createEffects();
+  assert.strictEqual(fx.shakeOffset(0), null);
+  fx.shake(8, 1000);
+  const early = fx.shakeOffset(1010);
+  assert.ok(Math.abs(early.x) <= 8 && Math.abs(early.y) <= 8);
+  assert.ok(fx.active(1010));
+  assert.strictEqual(fx.shakeOffset(1000 + SnakeEffects.SHAKE_TIME), null);
+  assert.strictEqual(fx.active(1000 + SnakeEffects.SHAKE_TIME), false);
+});
+
+test('burst particles are drawn until they fade', ()=>{
+  const fx = SnakeEffects.createEffects();
+  fx.burst(3, 4, '#f00', 0);
+  const areas = marks(fx.drawParticles, 10);
+  assert.strictEqual(areas.length, 12);
+  areas.forEach(a=> assert.ok(Math.abs(a.x + a.w/2 - 35) < 15 && Math.abs(a.y + a.h/2 - 45) < 15));
+  assert.deepStrictEqual(marks(fx.drawParticles, SnakeEffects.PARTICLE_LIFE), []);
+  assert.strictEqual(fx.active(SnakeEffects.PARTICLE_LIFE), false);
+});
+
+test('new obstacles pop in around their cell', ()=>{
+  const fx = SnakeEffects.createEffects();
+  fx.spawn(2, 2, 0);
+  const [area] = marks(fx.drawBoard, 0);
+  assert.ok(area.x <= 20 && area.y <= 20 && area.x + area.w >= 30 && area.y + area.h >= 30);
+  assert.deepStrictEqual(marks(fx.drawBoard, SnakeEffects.SPAWN_TIME), []);
+});
+
+test('a dissolve goes from the tail and gives off particles', ()=>{
+  const fx = SnakeEffects.createEffects();
+  const cells = [{ x: 5, y: 1 }, { x: 4, y: 1 }, { x: 3, y: 1 }];
+  const time = fx.dissolve('p1', cells, '#0f0', 100);
+  assert.strictEqual(time, SnakeEffects.DISSOLVE_STEP * 3);
+  assert.strictEqual(fx.dissolved('p1', 100), 1);
+  assert.strictEqual(fx.dissolved('p1', 100 + SnakeEffects.DISSOLVE_STEP), 2);
+  assert.strictEqual(fx.dissolved('p1', 100 + time), 3);
+  assert.strictEqual(fx.dissolved('nobody', 100), 0);
+  assert.strictEqual(marks(fx.drawParticles, 101).length, 4, 'the tail segment bursts first');
+});
+
+test('long snakes dissolve within the cap', ()=>{
+  const fx = SnakeEffects.createEffects();
+  const cells = Array.from({ length: 200 }, (_, i)=>({ x: i % 20, y: Math.floor(i / 20) }));
+  assert.ok(fx.dissolve('p1', cells, '#0f0', 0) <= SnakeEffects.MAX_DISSOLVE);
+  assert.strictEqual(fx.dissolved('p1', SnakeEffects.MAX_DISSOLVE), cells.length);
+});
+
+test('reduced motion stops everything', ()=>{
+  const fx = SnakeEffects.createEffects();
+  fx.burst(1, 1, '#f00', 0);
+  fx.shake(5, 0);
+  fx.reduced = true;
+  assert.strictEqual(fx.active(1), false);
+  fx.burst(1, 1, '#f00', 0);
+  fx.shake(5, 0);
+  fx.spawn(1, 1, 0);
+  assert.strictEqual(fx.dissolve('p1', [{ x: 1, y: 1 }], '#0f0', 0), 0);
+  assert.strictEqual(fx.shakeOffset(1), null);
+  assert.strictEqual(fx.active(1), false);
+});
@@ -0,0 +1,329 @@
+/*
+  Engine tests
+  - Collisions (self, obstacle), wrap-around and lethal edges, apple spawning and eating
+  - Rule presets: food growth and the Classic speed curve
+  - Several snakes: head-on and body collisions, and who wins
+  - Power-ups: each effect, timers running out and uncollected ones vanishing
+  - Hazards: where they are on each tick, what they kill, portals and random placement
+  - Determinism: the same seed and inputs give the same game
+  - step() never mutates the state it is given
+
+  Run: node --test test/
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SnakeEngine = require('../assets/js/engine.js');
+
+// A fresh game with the first snake replaced by `body` (head first) heading `dir`, on an
+// otherwise empty board
+function board(options, body, dir){
+  const state = SnakeEngine.createGame(Object.assign({ width: 12, rows: 12, seed: 7 }, options));
+  state.snakes[0] = Object.assign({}, state.snakes[0], { body: body.map(c=> ({ x: c[0], y: c[1] })), dir: SnakeEngine.toDir(dir) });
+  state.apples = [];
+  state.obstacles = [];
+  return state;
+}
+
+// A two-snake game with both bodies replaced; each snake is [body, dir]
+function duel(first, second){
+  const state = board({ players: 2 }, first[0], first[1]);
+  state.snakes[1] = Object.assign({}, state.snakes[1], { body: second[0].map(c=> ({ x: c[0], y: c[1] })), dir: SnakeEngine.toDir(second[1]) });
+  return state;
+}
+
+function deepFreeze(value){
+  if(value && typeof value === 'object' && !Object.isFrozen(value)){
+    Object.freeze(value);
+    Object.keys(value).forEach(k=> deepFreeze(value[k]));
+  }
+  return value;
+}
+
+function isFree(state, p){
+  return !state.snakes.some(sn=> sn.body.some(s=> SnakeEngine.posEq(s, p))) &&
+    !state.obstacles.some(o=> SnakeEngine.posEq(o, p));
+}
+
+test('running into its own body kills the snake', ()=>{
+  // head at (5,5) moving left, body curling round below it
+  const state = board({}, [[5,5],[6,5],[6,6],[5,6],[4,6]], 'left');
+  const next = SnakeEngine.step(state, 'down');
+  assert.strictEqual(next.over, true);
+  assert.strictEqual(next.snakes[0].alive, false);
+  assert.strictEqual(next.snakes[0].cause, 'self');
+  assert.deepStrictEqual(next.events.find(e=> e.type === 'death'), { type: 'death', snake: 0, cause: 'self' });
+});
+
+test('turning back onto the neck is ignored rather than fatal', ()=>{
+  const state = board({}, [[5,5],[4,5],[3,5]], 'right');
+  const next = SnakeEngine.step(state, 'left');
+  assert.strictEqual(next.over, false);
+  assert.deepStrictEqual(next.snakes[0].body[0], { x: 6, y: 5 });
+});
+
+test('running into an obstacle kills the snake', ()=>{
+  const state = board({}, [[5,5],[4,5]], 'right');
+  state.obstacles = [{ x: 6, y: 5 }];
+  const next = SnakeEngine.step(state, null);
+  assert.strictEqual(next.over, true);
+  assert.strictEqual(next.snakes[0].cause, 'obstacle');
+});
+
+test('wrap-around edges carry the head to the other side', ()=>{
+  const right = SnakeEngine.step(board({ rules: 'enhanced' }, [[11,3],[10,3]], 'right'), null);
+  assert.strictEqual(right.over, false);
+  assert.deepStrictEqual(right.snakes[0].body[0], { x: 0, y: 3 });
+  const up = SnakeEngine.step(board({ rules: 'enhanced' }, [[4,0],[4,1]], 'up'), null);
+  assert.deepStrictEqual(up.snakes[0].body[0], { x: 4, y: 11 });
+});
+
+test('lethal edges kill instead of wrapping', ()=>{
+  const next = SnakeEngine.step(board({ rules: 'classic' }, [[11,3],[10,3]], 'right'), null);
+  assert.strictEqual(next.over, true);
+  assert.strictEqual(next.snakes[0].cause, 'wall');
+});
+
+test('apples spawn on free cells inside the border', ()=>{
+  for(let seed=1;seed<=50;seed++){
+    const state = SnakeEngine.createGame({ width: 12, rows: 12, difficulty: 'hard', seed, appleCount: 3 });
+    assert.strictEqual(state.apples.length, 3);
+    state.apples.forEach(a=>{
+      assert.ok(a.x >= 1 && a.x <= 10 && a.y >= 1 && a.y <= 10, `apple at ${a.x},${a.y} for seed ${seed}`);
+      assert.ok(isFree(state, a), `apple on a taken cell for seed ${seed}`);
+    });
+  }
+});
+
+test('eating an apple scores, grows the snake and spawns the next one', ()=>{
+  const state = board({}, [[5,5],[4,5]], 'right');
+  state.apples = [{ x: 6, y: 5, kind: 'apple', color: null, points: 10, growth: 1 }];
+  const next = SnakeEngine.step(state, null);
+  const sn = next.snakes[0];
+  assert.strictEqual(sn.score, 10);
+  assert.strictEqual(sn.eaten, 1);
+  assert.strictEqual(sn.body.length, 3); // the tail stays put while the snake grows
+  assert.ok(next.events.some(e=> e.type === 'eat' && e.x === 6 && e.y === 5));
+  assert.strictEqual(next.apples.length, 1);
+  assert.notDeepStrictEqual(next.apples[0], state.apples[0]);
+  assert.ok(isFree(next, next.apples[0]));
+  assert.strictEqual(SnakeEngine.step(next, null).snakes[0].body.length, 3);
+});
+
+test('bigger foods grow the snake over the next few moves', ()=>{
+  const state = board({ rules: 'classic' }, [[5,5],[4,5]], 'right');
+  state.apples = [{ x: 6, y: 5, kind: 'yellow', color: '#ffd24d', points: 3, growth: 3 }];
+  let next = SnakeEngine.step(state, null);
+  assert.strictEqual(next.snakes[0].score, 3);
+  const lengths = [next.snakes[0].body.length];
+  for(let i=0;i<3;i++){
+    next = SnakeEngine.step(next, null);
+    lengths.push(next.snakes[0].body.length);
+  }
+  assert.deepStrictEqual(lengths, [3, 4, 5, 5]);
+});
+
+test('the Classic speed curve speeds the game up with the score, up to its cap', ()=>{
+  const state = SnakeEngine.createGame({ rules: 'classic', difficulty: 'medium' });
+  const base = SnakeEngine.DIFFICULTIES.medium.tickRate;
+  const withScore = score=> Object.assign({}, state, { snakes: [Object.assign({}, state.snakes[0], { score })] });
+  assert.strictEqual(SnakeEngine.getTickRate(withScore(0)), base);
+  assert.strictEqual(SnakeEngine.getTickRate(withScore(25)), base * 1.5);
+  assert.strictEqual(SnakeEngine.getTickRate(withScore(500)), base * 2);
+  assert.strictEqual(SnakeEngine.getTickRate(SnakeEngine.createGame({ rules: 'enhanced', difficulty: 'medium' })), base);
+});
+
+test('unknown rule presets and broken custom rules are refused', ()=>{
+  assert.throws(()=> SnakeEngine.resolveRules('nope'), /Unknown rule set/);
+  assert.throws(()=> SnakeEngine.resolveRules({ preset: 'classic', walls: 'bouncy' }), /Invalid wall mode/);
+  assert.throws(()=> SnakeEngine.resolveRules({ foods: [] }), /at least one food/);
+  assert.strictEqual(SnakeEngine.resolveRules({ preset: 'classic', walls: 'wrap' }).walls, 'wrap');
+});
+
+test('names inherited from Object.prototype are not presets, difficulties or directions', ()=>{
+  assert.throws(()=> SnakeEngine.resolveRules('toString'), /Unknown rule set: toString/);
+  assert.throws(()=> SnakeEngine.resolveRules('__proto__'), /Unknown rule set/);
+  assert.strictEqual(SnakeEngine.resolveRules({ preset: 'constructor', walls: 'wrap' }).speedCurve, SnakeEngine.RULESETS.enhanced.speedCurve);
+  assert.strictEqual(SnakeEngine.createGame({ difficulty: 'constructor' }).difficulty, 'medium');
+  assert.strictEqual(SnakeEngine.toDir('toString'), null);
+  assert.throws(()=> SnakeEngine.createGame({ hazards: [{ type: 'valueOf' }] }), /Unknown hazard: valueOf/);
+  assert.throws(()=> SnakeEngine.createGame({ powerups: { weights: { hasOwnProperty: 1 } } }), /Unknown power-up/);
+});
+
+test('a full board leaves the apple slot empty', ()=>{
+  // a snake winding over every cell of a 4x4 board but the corner it is about to eat in
+  const cells = [];
+  for(let y=0;y<4;y++){
+    for(let x=0;x<4;x++) cells.push([y % 2 ? 3 - x : x, y]);
+  }
+  const state = board({ width: 4, rows: 4 }, cells.slice(1), 'left');
+  state.apples = [{ x: 0, y: 0, kind: 'apple', color: null, points: 10, growth: 1 }];
+  const next = SnakeEngine.step(state, null);
+  assert.strictEqual(next.over, false);
+  assert.strictEqual(next.snakes[0].body.length, 16);
+  assert.strictEqual(next.apples.length, 0);
+  assert.ok(next.spawnFailures > state.spawnFailures);
+});
+
+test('rival snakes start in opposite corners heading away from the edges', ()=>{
+  const state = SnakeEngine.createGame({ width: 20, rows: 20, players: 2, rules: { preset: 'enhanced', initialLength: 3 } });
+  assert.deepStrictEqual(state.snakes[0].body.map(c=> [c.x, c.y]), [[5,5],[4,5],[3,5]]);
+  assert.deepStrictEqual(state.snakes[1].body.map(c=> [c.x, c.y]), [[15,15],[16,15],[17,15]]);
+  assert.strictEqual(SnakeEngine.createGame({ players: 9 }).snakes.length, SnakeEngine.MAX_PLAYERS);
+});
+
+test('heads meeting on one cell or swapping cells kill both snakes', ()=>{
+  const meet = SnakeEngine.step(duel([[[3,5],[2,5]], 'right'], [[[5,5],[6,5]], 'left']), null);
+  assert.deepStrictEqual(meet.snakes.map(sn=> sn.cause), ['head-on', 'head-on']);
+  assert.deepStrictEqual(meet.events.filter(e=> e.type === 'death').map(e=> e.by), [1, 0]);
+  const swap = SnakeEngine.step(duel([[[3,5],[2,5]], 'right'], [[[4,5],[5,5]], 'left']), null);
+  assert.deepStrictEqual(swap.snakes.map(sn=> sn.cause), ['head-on', 'head-on']);
+  assert.strictEqual(swap.over, true);
+  assert.strictEqual(swap.winner, null); // equal scores are a draw
+});
+
+test('running into a rival kills only the snake that hit it, and the survivor wins', ()=>{
+  const next = SnakeEngine.step(duel([[[3,5],[2,5]], 'right'], [[[4,3],[4,4],[4,5],[4,6]], 'up']), null);
+  assert.strictEqual(next.snakes[0].cause, 'snake');
+  assert.strictEqual(next.snakes[1].alive, true);
+  assert.deepStrictEqual(next.events.find(e=> e.type === 'death'), { type: 'death', snake: 0, cause: 'snake', by: 1 });
+  assert.strictEqual(next.over, true);
+  assert.strictEqual(next.winner, 1);
+});
+
+test('when the last snakes die together the higher score wins', ()=>{
+  const state = duel([[[3,5],[2,5]], 'right'], [[[5,5],[6,5]], 'left']);
+  state.snakes[1].score = 20;
+  assert.strictEqual(SnakeEngine.step(state, null).winner, 1);
+});
+
+test('golden apples score and shrink drops tail segments', ()=>{
+  const state = board({ powerups: true, difficulty: 'medium' }, [[5,5],[4,5],[3,5],[2,5],[1,5]], 'right');
+  state.pickups = [{ x: 6, y: 5, kind: 'golden', expires: 50 }, { x: 6, y: 6, kind: 'shrink', expires: 50 }];
+  const golden = SnakeEngine.step(state, null);
+  assert.strictEqual(golden.snakes[0].score, SnakeEngine.POWERUP_TUNING.medium.goldenPoints);
+  assert.deepStrictEqual(golden.events.find(e=> e.type === 'powerup'), { type: 'powerup', snake: 0, x: 6, y: 5, kind: 'golden' });
+  const shrunk = SnakeEngine.step(golden, 'down');
+  // the golden apple's extra segment arrives on the same move as the shrink
+  assert.strictEqual(shrunk.snakes[0].body.length, 6 - SnakeEngine.POWERUP_TUNING.medium.shrinkBy);
+  assert.strictEqual(shrunk.snakes[0].grow, 0);
+  assert.strictEqual(shrunk.pickups.length, 0);
+});
+
+test('ghosts pass through obstacles until the effect runs out', ()=>{
+  const state = board({ powerups: { durations: { ghost: 2 } } }, [[5,5],[4,5]], 'right');
+  state.pickups = [{ x: 6, y: 5, kind: 'ghost', expires: 50 }];
+  state.obstacles = [{ x: 7, y: 5 }, { x: 9, y: 5 }];
+  const ghost = SnakeEngine.step(state, null);
+  assert.deepStrictEqual(ghost.snakes[0].effects, { ghost: { left: 2, total: 2 } });
+  const through = SnakeEngine.step(ghost, null);
+  assert.strictEqual(through.over, false);
+  const expired = SnakeEngine.step(through, null);
+  assert.ok(expired.events.some(e=> e.type === 'expire' && e.kind === 'ghost'));
+  assert.strictEqual(SnakeEngine.step(expired, null).snakes[0].cause, 'obstacle');
+});
+
+test('slow motion lowers the tick rate and magnets pull apples in', ()=>{
+  const state = board({ powerups: true, difficulty: 'easy', rules: 'enhanced' }, [[5,5],[4,5]], 'right');
+  state.pickups = [{ x: 6, y: 5, kind: 'slow', expires: 50 }, { x: 7, y: 5, kind: 'magnet', expires: 50 }];
+  const base = SnakeEngine.getTickRate(state);
+  const slow = SnakeEngine.step(state, null);
+  assert.strictEqual(SnakeEngine.getTickRate(slow), base * SnakeEngine.POWERUP_TUNING.easy.slowFactor);
+  slow.apples = [{ x: 7, y: 9, kind: 'apple', color: null, points: 10, growth: 1 }];
+  const magnet = SnakeEngine.step(slow, null);
+  assert.deepStrictEqual([magnet.apples[0].x, magnet.apples[0].y], [7, 8]);
+});
+
+test('uncollected power-ups vanish and unknown ones are refused', ()=>{
+  const state = board({ powerups: true }, [[5,5],[4,5]], 'right');
+  state.pickups = [{ x: 1, y: 9, kind: 'golden', expires: 2 }];
+  assert.strictEqual(SnakeEngine.step(state, null).pickups.length, 1);
+  assert.strictEqual(SnakeEngine.step(SnakeEngine.step(state, null), null).pickups.length, 0);
+  assert.throws(()=> SnakeEngine.createGame({ powerups: { weights: { rocket: 1 } } }), /Unknown power-up: rocket/);
+  assert.strictEqual(SnakeEngine.createGame({}).powerups, null);
+});
+
+test('hazards move with the tick alone', ()=>{
+  const patrol = { type: 'patrol', path: [{ x: 1, y: 1 }, { x: 2, y: 1 }, { x: 3, y: 1 }], every: 2 };
+  assert.deepStrictEqual([0, 2, 4, 6, 8, 9].map(t=> SnakeEngine.patrolAt(patrol, t).x), [1, 2, 3, 2, 1, 1]);
+  const blink = { type: 'blink', cells: [], on: 3, off: 4, warn: 2, offset: 1 };
+  assert.deepStrictEqual([0, 1, 2, 3, 4, 5, 6].map(t=> SnakeEngine.blinkPhase(blink, t)), ['on', 'on', 'off', 'off', 'warn', 'warn', 'on']);
+  const grow = { type: 'grow', x: 5, y: 5, max: 2, every: 3, offset: 0 };
+  assert.deepStrictEqual([0, 3, 6, 9, 12].map(t=> SnakeEngine.growRadius(grow, t)), [0, 1, 2, 1, 0]);
+  const state = SnakeEngine.createGame({ hazards: [grow] });
+  assert.strictEqual(SnakeEngine.hazardCells(state, 3).length, 5);
+  assert.strictEqual(SnakeEngine.hazardFootprint(state).length, 13);
+});
+
+test('running into a solid hazard kills, unless the snake is a ghost', ()=>{
+  const wall = { type: 'blink', cells: [{ x: 6, y: 5 }], on: 5, off: 5, warn: 2, offset: 0 };
+  const state = board({ hazards: [wall], powerups: true }, [[5,5],[4,5]], 'right');
+  const next = SnakeEngine.step(state, null);
+  assert.strictEqual(next.snakes[0].cause, 'hazard');
+  assert.deepStrictEqual(next.events.find(e=> e.type === 'death'), { type: 'death', snake: 0, cause: 'hazard', hazard: 'blink' });
+  state.snakes[0].effects = { ghost: { left: 5, total: 5 } };
+  assert.strictEqual(SnakeEngine.step(state, null).over, false);
+  // open on ticks 5-9
+  const open = Object.assign({}, board({ hazards: [wall] }, [[5,5],[4,5]], 'right'), { tick: 5 });
+  assert.strictEqual(SnakeEngine.step(open, null).over, false);
+});
+
+test('a patrol can\'t be dodged by swapping places with it', ()=>{
+  // the block is on (6,5) at tick 0 and steps onto (5,5) on tick 1, as the head moves to (6,5)
+  const patrol = { type: 'patrol', path: [{ x: 6, y: 5 }, { x: 5, y: 5 }], every: 1 };
+  const state = board({ hazards: [patrol] }, [[5,5],[4,5]], 'right');
+  state.tick = 0;
+  assert.strictEqual(SnakeEngine.step(state, null).snakes[0].cause, 'hazard');
+});
+
+test('portals carry the head to the paired cell', ()=>{
+  const portal = { type: 'portal', a: { x: 6, y: 5 }, b: { x: 2, y: 9 } };
+  const next = SnakeEngine.step(board({ hazards: [portal] }, [[5,5],[4,5]], 'right'), null);
+  assert.deepStrictEqual(next.snakes[0].body[0], { x: 2, y: 9 });
+  assert.deepStrictEqual(next.events.find(e=> e.type === 'portal'), { type: 'portal', snake: 0, x: 6, y: 5, to: { x: 2, y: 9 } });
+});
+
+test('random hazards keep clear of the start and leave the apples alone', ()=>{
+  for(let seed=1;seed<=20;seed++){
+    const plain = SnakeEngine.createGame({ difficulty: 'hard', seed });
+    const state = SnakeEngine.createGame({ difficulty: 'hard', seed, hazards: true });
+    assert.deepStrictEqual(state.apples, plain.apples);
+    assert.deepStrictEqual(state.hazards.map(h=> h.type).sort(), ['blink', 'blink', 'grow', 'patrol', 'patrol', 'portal', 'portal']);
+    const head = state.snakes[0].body[0];
+    SnakeEngine.hazardFootprint(state).forEach(c=>{
+      assert.ok(Math.max(Math.abs(c.x - head.x), Math.abs(c.y - head.y)) > 3, `hazard next to the start for seed ${seed}`);
+      assert.ok(!state.apples.some(a=> SnakeEngine.posEq(a, c)), `apple under a hazard for seed ${seed}`);
+    });
+    assert.deepStrictEqual(SnakeEngine.createGame({ difficulty: 'hard', seed, hazards: state.hazards }).hazards, state.hazards);
+  }
+  assert.throws(()=> SnakeEngine.createGame({ hazards: [{ type: 'lava' }] }), /Unknown hazard: lava/);
+});
+
+test('the same seed and inputs give the same game', ()=>{
+  const inputs = ['up', null, 'left', null, null, 'down', 'right', null, 'up', null];
+  function play(seed){
+    let state = SnakeEngine.createGame({ width: 20, rows: 20, difficulty: 'hard', seed, powerups: { chance: 1 }, scoring: true, hazards: true });
+    const states = [state];
+    for(let i=0;i<200 && !state.over;i++){
+      state = SnakeEngine.step(state, inputs[i % inputs.length]);
+      states.push(state);
+    }
+    return states;
+  }
+  assert.deepStrictEqual(play(42), play(42));
+  assert.deepStrictEqual(play('seed'), play('seed'));
+  assert.notDeepStrictEqual(play(42)[0].apples, play(43)[0].apples);
+});
+
+test('step never mutates its input', ()=>{
+  let state = SnakeEngine.createGame({ width: 16, rows: 16, difficulty: 'hard', seed: 3, players: 2, powerups: { chance: 1 }, scoring: true, hazards: true });
+  for(let i=0;i<150 && !state.over;i++){
+    const before = structuredClone(state);
+    deepFreeze(state); // any write to it throws, since the engine runs in strict mode
+    const next = SnakeEngine.step(state, [['up', 'left', 'down', 'right'][i % 4], null]);
+    assert.deepStrictEqual(state, before);
+    assert.notStrictEqual(next, state);
+    state = next;
+  }
+});
@@ -0,0 +1,111 @@
+/*
+  Input layer tests
+  - Keys map to directions and actions, case-insensitively; rebinding refuses clashes
+  - Saved controls load into complete ones
+  - Gamepads steer with the d-pad or the stick past its deadzone, and buttons fire once per press
+  - The turn queue keeps quick zig-zags in order without ever reversing the snake
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SnakeInput = require('../assets/js/input.js');
+
+// An input layer that records what it reports
+function recorded(controls){
+  const seen = [];
+  const input = SnakeInput.createInput(controls, {
+    direction: (dir, player)=> seen.push([dir, player]),
+    action: id=> seen.push([id])
+  });
+  return { input, seen };
+}
+
+// A standard-mapping pad with the given buttons held and stick position
+function pad(index, held, axes){
+  const buttons = [];
+  for(let i=0;i<16;i++) buttons.push({ pressed: (held || []).includes(i) });
+  return { index, connected: true, buttons, axes: axes || [0, 0] };
+}
+
+test('keys report directions and actions', ()=>{
+  const { input, seen } = recorded(null);
+  assert.strictEqual(input.keyDown('ArrowLeft'), true);
+  assert.strictEqual(input.keyDown('W'), true); // Caps Lock or Shift doesn't matter
+  assert.strictEqual(input.keyDown(' '), true);
+  assert.strictEqual(input.keyDown('q'), false);
+  assert.deepStrictEqual(seen, [['left', 0], ['up', 1], ['start']]);
+});
+
+test('rebinding refuses keys another action uses', ()=>{
+  const controls = SnakeInput.defaults();
+  const clash = SnakeInput.rebind(controls, 'pause', 'W');
+  assert.strictEqual(clash.conflict.id, 'up2');
+  assert.strictEqual(clash.controls, controls);
+  const ok = SnakeInput.rebind(controls, 'pause', 'Escape');
+  assert.strictEqual(ok.conflict, null);
+  assert.strictEqual(ok.controls.keys.pause, 'Escape');
+  assert.strictEqual(controls.keys.pause, 'p');
+  assert.throws(()=> SnakeInput.rebind(controls, 'jump', 'j'), /Unknown action: jump/);
+  const { input, seen } = recorded(ok.controls);
+  input.keyDown('Escape');
+  assert.strictEqual(input.keyDown('p'), false);
+  assert.deepStrictEqual(seen, [['pause']]);
+});
+
+test('saved controls load into complete ones', ()=>{
+  const loaded = SnakeInput.loadControls({ keys: { up: 'I', bogus: 'x' }, deadzone: 5 });
+  assert.strictEqual(loaded.keys.up, 'i');
+  assert.strictEqual(loaded.keys.down, 'ArrowDown');
+  assert.strictEqual(loaded.deadzone, SnakeInput.MAX_DEADZONE);
+  assert.strictEqual(loaded.queueDepth, SnakeInput.DEFAULT_QUEUE_DEPTH);
+  assert.strictEqual(SnakeInput.loadControls({ queueDepth: 9 }).queueDepth, SnakeInput.MAX_QUEUE_DEPTH);
+  assert.strictEqual(SnakeInput.loadControls({ queueDepth: 0 }).queueDepth, 1);
+  assert.deepStrictEqual(SnakeInput.loadControls({ keys: { up: 'w' } }).keys, SnakeInput.DEFAULT_KEYS); // clashes with Player 2 up
+  assert.deepStrictEqual(SnakeInput.loadControls('junk'), SnakeInput.defaults());
+  assert.deepStrictEqual(SnakeInput.conflicts({ a: 'x', b: 'y', c: 'x' }), { x: ['a', 'c'] });
+});
+
+test('key labels are readable', ()=>{
+  assert.deepStrictEqual([' ', 'ArrowUp', 'q', 'Tab', null].map(SnakeInput.keyLabel), ['Space', '↑', 'Q', 'Tab', '—']);
+});
+
+test('pads steer with the d-pad, or the stick past its deadzone', ()=>{
+  assert.strictEqual(SnakeInput.padDirection(pad(0, [14], [0.9, 0]), 0.4), 'left');
+  assert.strictEqual(SnakeInput.padDirection(pad(0, [], [0.3, -0.2]), 0.4), null);
+  assert.strictEqual(SnakeInput.padDirection(pad(0, [], [0.3, -0.6]), 0.4), 'up');
+  assert.strictEqual(SnakeInput.padDirection(pad(0, [], [0.7, 0.5]), 0.4), 'right');
+});
+
+test('each pad steers its own player and buttons fire once per press', ()=>{
+  const { input, seen } = recorded(null);
+  input.pollGamepads([pad(0, [12, 9]), null, pad(2, [15])]);
+  input.pollGamepads([pad(0, [12, 9]), null, pad(2, [])]);
+  input.pollGamepads([pad(0, [0]), null, pad(2, [])]);
+  assert.deepStrictEqual(seen, [['up', 0], ['pause'], ['right', 1], ['up', 0], ['start']]);
+});
+
+const UP = { x: 0, y: -1 }, DOWN = { x: 0, y: 1 }, LEFT = { x: -1, y: 0 }, RIGHT = { x: 1, y: 0 };
+
+test('quick zig-zags queue up in order', ()=>{
+  // heading right: up then right again is a legal staircase
+  let queue = SnakeInput.queueTurn([], UP, RIGHT, 3);
+  queue = SnakeInput.queueTurn(queue, RIGHT, RIGHT, 3);
+  assert.deepStrictEqual(queue, [UP, RIGHT]);
+});
+
+test('turns that do nothing or reverse are dropped', ()=>{
+  assert.deepStrictEqual(SnakeInput.queueTurn([], RIGHT, RIGHT, 2), []);
+  assert.deepStrictEqual(SnakeInput.queueTurn([], LEFT, RIGHT, 2), []);
+  // down is fine from right, but not straight after a queued up
+  assert.deepStrictEqual(SnakeInput.queueTurn([UP], DOWN, RIGHT, 2), [UP]);
+  assert.deepStrictEqual(SnakeInput.queueTurn([UP], UP, RIGHT, 2), [UP]);
+});
+
+test('the queue stops at its depth and is never mutated', ()=>{
+  const queue = Object.freeze([UP, LEFT]);
+  assert.strictEqual(SnakeInput.queueTurn(queue, DOWN, RIGHT, 2), queue);
+  const longer = SnakeInput.queueTurn(queue, DOWN, RIGHT, 3);
+  assert.deepStrictEqual(longer, [UP, LEFT, DOWN]);
+  assert.strictEqual(queue.length, 2);
+});
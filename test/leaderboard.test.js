@@ -0,0 +1,81 @@
+/*
+  Leaderboard tests
+  - Entries rank by score with earlier runs ahead on ties, and boards keep their top N
+  - The old flat top-5 list migrates into the legacy board; newer versions are refused
+  - JSON and CSV exports import back to the same boards, and merging skips duplicates
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SnakeLeaderboard = require('../assets/js/leaderboard.js');
+
+const KEY = SnakeLeaderboard.boardKey('endless', 'classic', 'hard');
+
+function withScores(scores){
+  return scores.reduce((data, score, i)=> SnakeLeaderboard.addEntry(data, KEY, { name: `P${i}`, score }).data, SnakeLeaderboard.empty());
+}
+
+test('board keys describe the mode, rules and difficulty', ()=>{
+  assert.strictEqual(KEY, 'endless:classic:hard');
+  assert.strictEqual(SnakeLeaderboard.describeBoard(KEY), 'Endless · Classic · Hard');
+  assert.strictEqual(SnakeLeaderboard.describeBoard(SnakeLeaderboard.boardKey('versus', 'enhanced', 'easy', true)), 'Versus · Enhanced · Easy · Power-ups');
+  assert.strictEqual(SnakeLeaderboard.boardKey('arena', 'classic', 'hard', false, true), 'arena:classic:hard:hazards');
+  assert.strictEqual(SnakeLeaderboard.describeBoard(SnakeLeaderboard.LEGACY_BOARD), 'Older scores (unverified)');
+});
+
+test('entries rank by score and ties keep the earlier run ahead', ()=>{
+  const data = withScores([30, 50, 30]);
+  assert.deepStrictEqual(data.boards[KEY].map(e=> [e.name, e.score]), [['P1', 50], ['P0', 30], ['P2', 30]]);
+  assert.strictEqual(SnakeLeaderboard.rankFor(data, KEY, 30), 4);
+  assert.strictEqual(SnakeLeaderboard.rankFor(data, KEY, 40), 2);
+  const added = SnakeLeaderboard.addEntry(data, KEY, { name: '  Ann  ', score: 40.4, apples: -3 });
+  assert.strictEqual(added.rank, 2);
+  assert.strictEqual(added.entry.name, 'Ann');
+  assert.strictEqual(added.entry.score, 40);
+  assert.strictEqual(added.entry.apples, 0);
+  assert.strictEqual(data.boards[KEY].length, 3); // not mutated
+});
+
+test('boards keep only their top N', ()=>{
+  const data = SnakeLeaderboard.setTopN(withScores([1, 2, 3, 4, 5, 6, 7]), 5);
+  assert.deepStrictEqual(data.boards[KEY].map(e=> e.score), [7, 6, 5, 4, 3]);
+  assert.strictEqual(SnakeLeaderboard.addEntry(data, KEY, { score: 2 }).rank, null);
+  assert.throws(()=> SnakeLeaderboard.setTopN(data, 7), /Top N must be one of/);
+  assert.deepStrictEqual(SnakeLeaderboard.clearBoard(data, KEY).boards, {});
+});
+
+test('stored boards are checked before the top N is cut', ()=>{
+  const raw = JSON.parse(SnakeLeaderboard.serialize(SnakeLeaderboard.setTopN(withScores([1, 2, 3, 4, 5]), 5)));
+  raw.boards[KEY].unshift({ name: 'Forged', score: 99 });
+  const data = SnakeLeaderboard.migrate(raw);
+  assert.strictEqual(data.boards[KEY].length, 6); // migrate sorts but does not trim
+  const checked = SnakeLeaderboard.filter(data, (key, e)=> e.name !== 'Forged');
+  assert.deepStrictEqual(checked.boards[KEY].map(e=> e.score), [5, 4, 3, 2, 1]);
+});
+
+test('the old flat list migrates into the legacy board', ()=>{
+  const data = SnakeLeaderboard.migrate([{ name: 'Old', score: 20 }, null, { name: '', score: 40 }]);
+  assert.deepStrictEqual(data.boards.legacy.map(e=> [e.name, e.score, e.date]), [['Anonymous', 40, null], ['Old', 20, null]]);
+  assert.deepStrictEqual(SnakeLeaderboard.migrate(null), SnakeLeaderboard.empty());
+  assert.throws(()=> SnakeLeaderboard.migrate({ version: SnakeLeaderboard.VERSION + 1 }), /newer than this game/);
+  assert.throws(()=> SnakeLeaderboard.migrate('scores'), /not an object/);
+});
+
+test('JSON and CSV exports import back to the same boards', ()=>{
+  const data = SnakeLeaderboard.addEntry(withScores([10, 20]), 'campaign:enhanced:c1', { name: 'Quote "me", please', score: 5, duration: 12.5, cause: 'self' }).data;
+  assert.deepStrictEqual(SnakeLeaderboard.parse(SnakeLeaderboard.serialize(data)), data);
+  const fromCsv = SnakeLeaderboard.parse(SnakeLeaderboard.toCsv(data));
+  assert.deepStrictEqual(fromCsv.boards, data.boards);
+  assert.throws(()=> SnakeLeaderboard.parse('{"format":'), /not valid JSON/);
+  assert.throws(()=> SnakeLeaderboard.parse('{"format":"snake-level"}'), /Not a snake leaderboard/);
+  assert.throws(()=> SnakeLeaderboard.parse('name,score\nA,1'), /needs board, name and score/);
+});
+
+test('merging skips entries that are already there', ()=>{
+  const data = withScores([10, 20]);
+  const other = SnakeLeaderboard.addEntry(data, KEY, { name: 'New', score: 15 }).data;
+  const merged = SnakeLeaderboard.merge(data, other);
+  assert.deepStrictEqual(merged.boards[KEY].map(e=> e.score), [20, 15, 10]);
+  assert.deepStrictEqual(SnakeLeaderboard.merge(merged, other), merged);
+});
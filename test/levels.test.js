@@ -0,0 +1,89 @@
+/*
+  Level tests
+  - validateLevel() accepts playable maps and explains what is wrong with the rest
+  - serialize()/parse() round trip, with duplicate walls dropped and foreign files refused
+  - The engine and replays use a level's size, walls and start
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SnakeLevels = require('../assets/js/levels.js');
+const SnakeEngine = require('../assets/js/engine.js');
+const SnakeReplay = require('../assets/js/replay.js');
+
+function level(changes){
+  return Object.assign(SnakeLevels.createLevel(12, 10, 'Test'), { walls: [[0,0], [11,9], [3,7]] }, changes);
+}
+
+test('new levels start in the middle heading right', ()=>{
+  const lvl = SnakeLevels.createLevel(20, 16);
+  assert.strictEqual(lvl.name, 'Untitled');
+  assert.deepStrictEqual(lvl.start, { x: 10, y: 8, dir: 'right' });
+  assert.deepStrictEqual(SnakeLevels.validateLevel(lvl), []);
+});
+
+test('hasWall finds wall cells', ()=>{
+  assert.strictEqual(SnakeLevels.hasWall(level(), 3, 7), true);
+  assert.strictEqual(SnakeLevels.hasWall(level(), 7, 3), false);
+});
+
+test('validateLevel refuses maps the snake cannot start on', ()=>{
+  const first = lvl=> SnakeLevels.validateLevel(lvl)[0];
+  assert.match(first(level({ width: SnakeLevels.MIN_SIZE - 1 })), /Grid must be between/);
+  assert.match(first(level({ rows: SnakeLevels.MAX_SIZE + 1 })), /Grid must be between/);
+  assert.match(first(level({ wallMode: 'bouncy' })), /Wall mode/);
+  assert.match(first(level({ walls: [[12, 0]] })), /Walls must be cells inside the grid/);
+  assert.match(first(level({ start: { x: -1, y: 2, dir: 'up' } })), /Start position/);
+  assert.match(first(level({ start: { x: 2, y: 2, dir: 'sideways' } })), /Start direction/);
+  assert.match(first(level({ walls: [[6,5]] })), /Start cell is a wall/);
+  assert.match(first(level({ walls: [[6 + SnakeLevels.SAFE_MOVES, 5]] })), new RegExp(`hits a wall ${SnakeLevels.SAFE_MOVES} moves after`));
+  assert.deepStrictEqual(SnakeLevels.validateLevel(level({ walls: [[7 + SnakeLevels.SAFE_MOVES, 5]] })), []);
+});
+
+test('the first moves may wrap, but not off a lethal edge', ()=>{
+  const start = { x: 10, y: 5, dir: 'right' };
+  assert.deepStrictEqual(SnakeLevels.validateLevel(level({ start })), []);
+  assert.match(SnakeLevels.validateLevel(level({ start, walls: [[0,5]] }))[0], /hits a wall 2 moves after/);
+  assert.match(SnakeLevels.validateLevel(level({ start, wallMode: 'lethal' }))[0], /hits the edge 2 moves after/);
+});
+
+test('a level survives serialize and parse without duplicate walls', ()=>{
+  const lvl = level({ walls: [[2,2], [2,2], [3,3]], extra: 'dropped' });
+  const parsed = SnakeLevels.parse(SnakeLevels.serialize(lvl));
+  assert.deepStrictEqual(parsed.walls, [[2,2], [3,3]]);
+  assert.deepStrictEqual(parsed, SnakeLevels.normalize(lvl));
+  assert.strictEqual('extra' in parsed, false);
+  assert.strictEqual(SnakeLevels.normalize({ name: 'x'.repeat(60) }).name.length, 40);
+});
+
+test('parse refuses files that are not playable levels', ()=>{
+  const text = changes=> JSON.stringify(Object.assign(JSON.parse(SnakeLevels.serialize(level())), changes));
+  assert.throws(()=> SnakeLevels.parse('{'), /not valid JSON/);
+  assert.throws(()=> SnakeLevels.parse(text({ format: 'snake-replay' })), /Not a snake level/);
+  assert.throws(()=> SnakeLevels.parse(text({ version: SnakeLevels.VERSION + 1 })), /newer than this game/);
+  assert.throws(()=> SnakeLevels.parse(text({ walls: [[6,5]] })), /Start cell is a wall/);
+});
+
+test('games on a level use its size, walls and start', ()=>{
+  const lvl = level({ wallMode: 'lethal' });
+  const state = SnakeEngine.createGame({ level: lvl, seed: 4 });
+  assert.strictEqual(state.width, 12);
+  assert.strictEqual(state.rows, 10);
+  assert.deepStrictEqual(state.obstacles, [{ x: 0, y: 0 }, { x: 11, y: 9 }, { x: 3, y: 7 }]);
+  assert.deepStrictEqual(state.snakes[0].body[0], { x: 6, y: 5 });
+  let next = state;
+  for(let i=0;i<5;i++) next = SnakeEngine.step(next, null);
+  assert.strictEqual(next.over, false);
+  assert.strictEqual(SnakeEngine.step(next, null).snakes[0].cause, 'wall'); // the level's lethal edges win
+});
+
+test('replays carry their level and refuse broken ones', ()=>{
+  let state = SnakeEngine.createGame({ level: level(), seed: 4 });
+  const recorder = SnakeReplay.createRecorder(state);
+  for(let i=0;i<40 && !state.over;i++) state = SnakeEngine.step(state, null);
+  const replay = recorder.finish(state);
+  assert.deepStrictEqual(SnakeReplay.simulate(SnakeReplay.parse(SnakeReplay.serialize(replay))), state);
+  const broken = JSON.stringify(Object.assign({}, replay, { level: level({ walls: [[6,5]] }) }));
+  assert.throws(()=> SnakeReplay.parse(broken), /Replay level is invalid: Start cell is a wall/);
+});
@@ -0,0 +1,91 @@
+/*
+  Game loop tests, on a fake frame timer
+  - Whole ticks at the current rate, with the leftover time passed to draw()
+  - Rate changes apply from the next tick; long gaps are capped
+  - A hook that stops the loop ends the frame there
+  - Frame stats average over their window
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SnakeLoop = require('../assets/js/loop.js');
+
+// A frame timer driven by hand: frame(ms) runs the pending callback `ms` after the last one
+function fakeTimer(){
+  let clock = 0, pending = null, nextId = 1;
+  return {
+    request(cb){ pending = { id: nextId++, cb }; return pending.id; },
+    cancel(id){ if(pending && pending.id === id) pending = null; },
+    now: ()=> clock,
+    frame(ms){
+      clock += ms;
+      const p = pending;
+      pending = null;
+      if(p) p.cb(clock);
+    },
+    get waiting(){ return pending !== null; }
+  };
+}
+
+function counted(rate){
+  const calls = { ticks: 0, draws: [] };
+  const hooks = {
+    rate: ()=> rate(calls.ticks),
+    tick: ()=>{ calls.ticks++; },
+    draw: alpha=> calls.draws.push(alpha)
+  };
+  return { calls, hooks };
+}
+
+test('frames advance whole ticks and draw the leftover fraction', ()=>{
+  const timer = fakeTimer();
+  const { calls, hooks } = counted(()=> 10);
+  const loop = SnakeLoop.createLoop(hooks, timer);
+  loop.start();
+  assert.strictEqual(loop.running, true);
+  timer.frame(50);
+  assert.deepStrictEqual([calls.ticks, calls.draws.pop()], [0, 0.5]);
+  timer.frame(75);
+  assert.deepStrictEqual([calls.ticks, calls.draws.pop()], [1, 0.25]);
+  timer.frame(200);
+  assert.strictEqual(calls.ticks, 3);
+});
+
+test('a new rate applies from the next tick without restarting', ()=>{
+  const timer = fakeTimer();
+  const { calls, hooks } = counted(ticks=> ticks < 1 ? 10 : 20);
+  SnakeLoop.createLoop(hooks, timer).start();
+  timer.frame(200); // one tick at 100ms, then two at 50ms
+  assert.strictEqual(calls.ticks, 3);
+});
+
+test('long gaps between frames are capped', ()=>{
+  const timer = fakeTimer();
+  const { calls, hooks } = counted(()=> 100);
+  SnakeLoop.createLoop(hooks, timer).start();
+  timer.frame(60000);
+  assert.strictEqual(calls.ticks, SnakeLoop.MAX_FRAME_TIME / 10);
+});
+
+test('stopping from a hook ends the frame', ()=>{
+  const timer = fakeTimer();
+  const { calls, hooks } = counted(()=> 10);
+  const loop = SnakeLoop.createLoop(Object.assign(hooks, { tick: ()=>{ calls.ticks++; loop.stop(); } }), timer);
+  loop.start();
+  timer.frame(250);
+  assert.strictEqual(calls.ticks, 1);
+  assert.strictEqual(calls.draws.length, 0);
+  assert.strictEqual(loop.running, false);
+  assert.strictEqual(timer.waiting, false);
+});
+
+test('frame stats average the last frames', ()=>{
+  const stats = SnakeLoop.createFrameStats(3);
+  assert.deepStrictEqual(stats.summary(), { fps: 0, frameMs: 0, worstMs: 0, drawMs: 0 });
+  [[0, 4], [10, 2], [30, 3], [50, 1], [70, 2]].forEach(([now, draw])=> stats.frame(now, draw));
+  assert.deepStrictEqual(stats.summary(), { fps: 50, frameMs: 20, worstMs: 20, drawMs: 2 });
+  stats.reset();
+  stats.frame(100, 5);
+  assert.deepStrictEqual(stats.summary(), { fps: 0, frameMs: 0, worstMs: 0, drawMs: 5 });
+});
@@ -0,0 +1,58 @@
+/*
+  Music tests
+  - Tempo and intensity follow the game within their ranges
+  - Notes come from the scale, in the right octave, and voices join in as intensity rises
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SnakeMusic = require('../assets/js/music.js');
+
+function near(actual, expected){
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+test('tempo follows the tick rate within the playable range', ()=>{
+  assert.strictEqual(SnakeMusic.tempoFor(10), 120);
+  assert.strictEqual(SnakeMusic.tempoFor(1), SnakeMusic.MIN_BPM);
+  assert.strictEqual(SnakeMusic.tempoFor(100), SnakeMusic.MAX_BPM);
+});
+
+test('intensity grows with score and length up to 1', ()=>{
+  assert.strictEqual(SnakeMusic.intensityFor(0, 0), 0);
+  near(SnakeMusic.intensityFor(300, 0), 0.5);
+  near(SnakeMusic.intensityFor(150, 20), 0.5);
+  assert.strictEqual(SnakeMusic.intensityFor(5000, 500), 1);
+});
+
+test('scale degrees wrap into other octaves', ()=>{
+  near(SnakeMusic.noteFrequency('major', 0, 0), 110);
+  near(SnakeMusic.noteFrequency('major', 7, 0), 220);
+  near(SnakeMusic.noteFrequency('major', 0, 1), 220);
+  near(SnakeMusic.noteFrequency('major', -1, 0), 110 * Math.pow(2, -1 / 12));
+  near(SnakeMusic.noteFrequency('minor', 2, 0), 110 * Math.pow(2, 3 / 12));
+  near(SnakeMusic.noteFrequency('nope', 2, 0), SnakeMusic.noteFrequency('dorian', 2, 0));
+});
+
+test('voices join in as the intensity rises', ()=>{
+  const voices = intensity=> [...new Set(SnakeMusic.notesForStep(0, intensity, 'major').map(n=> n.voice))];
+  assert.deepStrictEqual(voices(0), ['pad', 'bass']);
+  assert.deepStrictEqual(voices(0.6), ['pad', 'bass', 'kick', 'lead']);
+  assert.deepStrictEqual(SnakeMusic.notesForStep(4, 1, 'major').map(n=> n.voice), ['kick', 'lead', 'snare']);
+  SnakeMusic.notesForStep(0, 1, 'major').forEach(n=> assert.ok(n.velocity > 0 && n.velocity <= 1));
+});
+
+test('each bar plays the next chord of the progression', ()=>{
+  const bass = step=> SnakeMusic.notesForStep(step, 0, 'major').find(n=> n.voice === 'bass').freq;
+  SnakeMusic.PROGRESSION.forEach((degree, bar)=>{
+    near(bass(bar * 16), SnakeMusic.noteFrequency('major', degree, 0));
+  });
+  near(bass(SnakeMusic.PROGRESSION.length * 16), bass(0));
+  const pad = SnakeMusic.notesForStep(16, 0, 'major').filter(n=> n.voice === 'pad');
+  assert.deepStrictEqual(pad.map(n=> n.freq), [5, 7, 9].map(d=> SnakeMusic.noteFrequency('major', d, 1)));
+});
+
+test('unknown sound effects are refused', ()=>{
+  assert.throws(()=> SnakeMusic.createSfx({}, {}).play('boing'), /Unknown sound effect: boing/);
+});
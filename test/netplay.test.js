@@ -0,0 +1,68 @@
+/*
+  Netplay tests
+  - Predicted turns show straight away and survive reconciliation with older snapshots
+  - A snapshot that disagrees with the prediction wins, with unacknowledged inputs replayed on top
+  - Prediction never runs more than MAX_LEAD ticks ahead of the server
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SnakeEngine = require('../assets/js/engine.js');
+const SnakeNetplay = require('../assets/js/netplay.js');
+
+function start(){
+  return SnakeEngine.createGame({ width: 20, rows: 20, players: 2, seed: 11 });
+}
+
+// The server's view: applies the inputs it has received, one per tick, for slot 0
+function serverSteps(state, dirs){
+  return dirs.reduce((s, dir)=> SnakeEngine.step(s, [dir, null]), state);
+}
+
+test('a turn is predicted on the next local tick', ()=>{
+  const predictor = SnakeNetplay.createPredictor(start(), 0);
+  predictor.input('up');
+  assert.strictEqual(predictor.queued, 'up');
+  assert.strictEqual(predictor.waiting, 1);
+  const state = predictor.advance();
+  assert.deepStrictEqual(state.snakes[0].dir, SnakeEngine.DIRECTIONS.up);
+  assert.strictEqual(predictor.queued, null);
+  assert.strictEqual(predictor.waiting, 0);
+  assert.strictEqual(predictor.pending, 1);
+});
+
+test('snapshots that have not seen an input yet keep it predicted', ()=>{
+  const s0 = start();
+  const predictor = SnakeNetplay.createPredictor(s0, 0);
+  predictor.advance();
+  predictor.input('down');
+  predictor.advance();
+  const predicted = predictor.state;
+  // the server ticked once without the input, then applied it on its second tick
+  const state = predictor.reconcile(serverSteps(s0, [null]), 0);
+  assert.deepStrictEqual(state, predicted);
+  assert.strictEqual(predictor.pending, 1);
+  predictor.reconcile(serverSteps(s0, [null, 'down']), 1);
+  assert.deepStrictEqual(predictor.state, predicted);
+  assert.strictEqual(predictor.pending, 0);
+});
+
+test('the server wins when the prediction was wrong', ()=>{
+  const s0 = start();
+  const predictor = SnakeNetplay.createPredictor(s0, 0);
+  predictor.advance();
+  predictor.advance();
+  // the rival turned, which the client could not know
+  const server = SnakeEngine.step(SnakeEngine.step(s0, [null, 'up']), null);
+  assert.deepStrictEqual(predictor.reconcile(server, 0), server);
+  assert.deepStrictEqual(predictor.state.snakes[1].dir, SnakeEngine.DIRECTIONS.up);
+});
+
+test('prediction stops MAX_LEAD ticks ahead of the last snapshot', ()=>{
+  const predictor = SnakeNetplay.createPredictor(start(), 1);
+  for(let i=0;i<SnakeNetplay.MAX_LEAD + 3;i++) predictor.advance();
+  assert.strictEqual(predictor.state.tick, SnakeNetplay.MAX_LEAD);
+  predictor.reconcile(serverSteps(start(), [null]), 0);
+  assert.strictEqual(predictor.advance().tick, SnakeNetplay.MAX_LEAD + 1);
+});
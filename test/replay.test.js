@@ -0,0 +1,72 @@
+/*
+  Replay tests
+  - A recorded game re-simulates to exactly the state it ended in, also after a JSON round trip
+  - Players seek backwards and forwards to the same states as a fresh simulation
+  - parse() refuses broken or foreign files with a readable message
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SnakeEngine = require('../assets/js/engine.js');
+const SnakeReplay = require('../assets/js/replay.js');
+
+const TURNS = ['up', 'left', 'down', 'right'];
+
+// Play a game with a turn every 5 ticks, recording it; returns the final state and its replay
+function playRecorded(options, ticks){
+  let state = SnakeEngine.createGame(Object.assign({ width: 16, rows: 16, seed: 9 }, options));
+  const recorder = SnakeReplay.createRecorder(state);
+  while(!state.over && state.tick < ticks){
+    const dir = state.tick % 5 === 0 ? TURNS[(state.tick / 5) % 4] : null;
+    if(dir) recorder.record(state.tick, SnakeEngine.toDir(dir));
+    state = SnakeEngine.step(state, dir);
+  }
+  return { state, replay: recorder.finish(state) };
+}
+
+test('a replay re-simulates to the state the game ended in', ()=>{
+  const { state, replay } = playRecorded({ difficulty: 'hard' }, 300);
+  assert.strictEqual(replay.ticks, state.tick);
+  assert.deepStrictEqual(SnakeReplay.simulate(replay), state);
+  const parsed = SnakeReplay.parse(SnakeReplay.serialize(replay));
+  assert.deepStrictEqual(SnakeReplay.simulate(parsed), state);
+});
+
+test('custom rules survive the round trip', ()=>{
+  const rules = { preset: 'classic', walls: 'wrap', speedCurve: null };
+  const { state, replay } = playRecorded({ rules }, 200);
+  assert.deepStrictEqual(SnakeReplay.simulate(SnakeReplay.parse(JSON.stringify(replay))), state);
+});
+
+test('only the last direction recorded for a tick is kept', ()=>{
+  const recorder = SnakeReplay.createRecorder(SnakeEngine.createGame());
+  recorder.record(3, SnakeEngine.toDir('up'));
+  recorder.record(3, SnakeEngine.toDir('down'));
+  recorder.record(7, SnakeEngine.toDir('left'));
+  assert.deepStrictEqual(recorder.finish(SnakeEngine.createGame()).inputs, [[3, 'd'], [7, 'l']]);
+});
+
+test('players seek to the same states as a fresh simulation', ()=>{
+  const { replay } = playRecorded({}, 400);
+  const player = SnakeReplay.createPlayer(replay);
+  [250, 40, 0, replay.ticks, 120, 119].forEach(tick=>{
+    assert.deepStrictEqual(player.seek(tick), SnakeReplay.simulate(replay, tick), `seek to ${tick}`);
+  });
+  player.seek(10);
+  assert.deepStrictEqual(player.stepForward(), SnakeReplay.simulate(replay, 11));
+  player.seek(replay.ticks);
+  assert.strictEqual(player.atEnd(), true);
+});
+
+test('parse refuses files that are not replays', ()=>{
+  const { replay } = playRecorded({}, 50);
+  const broken = changes=> JSON.stringify(Object.assign({}, replay, changes));
+  assert.throws(()=> SnakeReplay.parse('{'), /not valid JSON/);
+  assert.throws(()=> SnakeReplay.parse(broken({ format: 'snake-level' })), /Not a snake replay/);
+  assert.throws(()=> SnakeReplay.parse(broken({ version: SnakeReplay.VERSION + 1 })), /newer than this game/);
+  assert.throws(()=> SnakeReplay.parse(broken({ width: 2 })), /grid size/);
+  assert.throws(()=> SnakeReplay.parse(broken({ ticks: -1 })), /invalid length/);
+  assert.throws(()=> SnakeReplay.parse(broken({ inputs: [[1, 'x']] })), /malformed inputs/);
+  assert.throws(()=> SnakeReplay.parse(broken({ rules: 'nope' })), /Unknown rule set/);
+});
@@ -0,0 +1,90 @@
+/*
+  Online room tests
+  - Creating and joining rooms by code, with late or surplus joiners made spectators
+  - Ready-up starts the countdown and un-readying cancels it
+  - Rooms close when their last member leaves; bad messages get an error reply
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLobby, cleanSettings } = require('../server/rooms.js');
+
+// Stand-in for a WebSocket connection that keeps what it was sent
+function fakeConn(){
+  return { sent: [], send(text){ this.sent.push(JSON.parse(text)); } };
+}
+function last(conn, type){
+  return conn.sent.filter(m=> m.type === type).pop();
+}
+
+test('settings fall back to defaults', ()=>{
+  assert.deepStrictEqual(cleanSettings({ difficulty: 'hard', rules: 'classic', powerups: true, hazards: true }), { difficulty: 'hard', rules: 'classic', powerups: true, hazards: true });
+  assert.deepStrictEqual(cleanSettings({ difficulty: 'insane', rules: 'nope', powerups: 'yes' }), { difficulty: 'medium', rules: 'enhanced', powerups: false, hazards: false });
+  assert.deepStrictEqual(cleanSettings(null), { difficulty: 'medium', rules: 'enhanced', powerups: false, hazards: false });
+  assert.deepStrictEqual(cleanSettings({ difficulty: 'toString', rules: '__proto__' }), { difficulty: 'medium', rules: 'enhanced', powerups: false, hazards: false });
+});
+
+test('players create and join rooms by code', ()=>{
+  const lobby = createLobby();
+  const host = fakeConn(), guest = fakeConn();
+  lobby.receive(host, JSON.stringify({ type: 'create', name: '  Host  ', settings: { difficulty: 'easy' } }));
+  const { code } = last(host, 'joined');
+  assert.match(code, /^[A-Z2-9]{4}$/);
+  lobby.receive(guest, JSON.stringify({ type: 'join', code: code.toLowerCase() }));
+  assert.deepStrictEqual(last(guest, 'joined'), { type: 'joined', code, id: 2, spectator: false });
+  const room = last(host, 'room').room;
+  assert.deepStrictEqual(room.players.map(p=> p.name), ['Host', 'Player 2']);
+  assert.deepStrictEqual(room.settings, { difficulty: 'easy', rules: 'enhanced', powerups: false, hazards: false });
+  lobby.leave(host);
+  lobby.leave(guest);
+  assert.strictEqual(lobby.rooms.size, 0);
+});
+
+test('full rooms take newcomers as spectators', ()=>{
+  const lobby = createLobby();
+  const conns = [fakeConn(), fakeConn(), fakeConn(), fakeConn(), fakeConn()];
+  lobby.receive(conns[0], JSON.stringify({ type: 'create' }));
+  const { code } = last(conns[0], 'joined');
+  conns.slice(1).forEach(c=> lobby.receive(c, JSON.stringify({ type: 'join', code })));
+  assert.deepStrictEqual(conns.map(c=> last(c, 'joined').spectator), [false, false, false, false, true]);
+  assert.strictEqual(last(conns[0], 'room').room.spectators, 1);
+  conns.forEach(c=> lobby.leave(c));
+});
+
+test('everyone ready starts the countdown, and un-readying cancels it', ()=>{
+  const lobby = createLobby();
+  const host = fakeConn(), guest = fakeConn();
+  lobby.receive(host, JSON.stringify({ type: 'create' }));
+  lobby.receive(guest, JSON.stringify({ type: 'join', code: last(host, 'joined').code }));
+  lobby.receive(host, JSON.stringify({ type: 'ready', ready: true }));
+  assert.strictEqual(last(host, 'room').room.status, 'lobby');
+  lobby.receive(guest, JSON.stringify({ type: 'ready', ready: true }));
+  assert.strictEqual(last(host, 'room').room.status, 'countdown');
+  assert.deepStrictEqual(last(guest, 'countdown'), { type: 'countdown', value: 3 });
+  lobby.receive(guest, JSON.stringify({ type: 'ready', ready: false }));
+  assert.deepStrictEqual(last(host, 'countdown'), { type: 'countdown', value: null });
+  assert.strictEqual(last(host, 'room').room.status, 'lobby');
+  lobby.leave(host);
+  lobby.leave(guest);
+});
+
+test('bad messages get an error reply', ()=>{
+  const lobby = createLobby();
+  const conn = fakeConn();
+  lobby.receive(conn, '{');
+  assert.strictEqual(last(conn, 'error').message, 'Messages must be JSON');
+  lobby.receive(conn, JSON.stringify({ type: 'ready', ready: true }));
+  assert.strictEqual(last(conn, 'error').message, 'Create or join a room first');
+  lobby.receive(conn, 'null');
+  assert.strictEqual(last(conn, 'error').message, 'Messages must be JSON objects');
+  lobby.receive(conn, JSON.stringify({ type: 'join', code: 'zzzz' }));
+  assert.strictEqual(last(conn, 'error').message, 'No room with code ZZZZ');
+  lobby.receive(conn, JSON.stringify({ type: 'join', code: { toUpperCase: 1 } }));
+  assert.strictEqual(last(conn, 'error').message, 'No room with code ');
+  lobby.receive(conn, JSON.stringify({ type: 'create' }));
+  lobby.receive(conn, JSON.stringify({ type: 'dance' }));
+  assert.strictEqual(last(conn, 'error').message, 'Unknown message type: dance');
+  lobby.leave(conn);
+  assert.strictEqual(lobby.rooms.size, 0);
+});
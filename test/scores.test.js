@@ -0,0 +1,171 @@
+/*
+  Score server tests
+  - Verified submissions are stored with the re-simulated stats; the rest get the reason back
+  - A run is stored once per board, and overlong replays or uploads are refused unread
+  - The REST endpoints list boards without replays and answer bad requests with 400/405/413
+  - Hostile replays get a 422 and leave the server running
+  - A saved file is re-verified when the server starts
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const SnakeEngine = require('../assets/js/engine.js');
+const SnakeReplay = require('../assets/js/replay.js');
+const SnakeBots = require('../assets/js/bots.js');
+const SnakeVerify = require('../assets/js/verify.js');
+const { createScoreStore, handleScores } = require('../server/scores.js');
+
+const BOARD = 'endless:classic:easy';
+
+// A recorded Classic game: a bot chases apples, then runs straight on until it crashes
+function playRun(seed){
+  let state = SnakeEngine.createGame({ rules: 'classic', difficulty: 'easy', seed });
+  const recorder = SnakeReplay.createRecorder(state);
+  const bot = SnakeBots.create('greedy');
+  while(!state.over){
+    const turn = state.tick < 150 ? SnakeEngine.toDir(bot.decide(state, 0)) : null;
+    if(turn && !SnakeEngine.posEq(turn, state.snakes[0].dir)) recorder.record(state.tick, turn);
+    state = SnakeEngine.step(state, turn);
+  }
+  return { name: 'Ann', score: state.snakes[0].score, player: 0, replay: recorder.finish(state) };
+}
+
+// Serve a store on a free port for the length of one test
+async function withServer(store, fn){
+  const server = http.createServer((req, res)=>{
+    if(!handleScores(store, req, res)){
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise(resolve=> server.listen(0, '127.0.0.1', resolve));
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise(resolve=> server.close(resolve));
+  }
+}
+
+function request(url, method, body){
+  return new Promise((resolve, reject)=>{
+    const req = http.request(url, { method, headers: { 'Content-Type': 'application/json' } }, (res)=>{
+      const chunks = [];
+      res.on('data', c=> chunks.push(c));
+      res.on('end', ()=>{
+        const text = Buffer.concat(chunks).toString('utf8');
+        resolve({ status: res.statusCode, body: text ? JSON.parse(text) : null });
+      });
+    });
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body));
+  });
+}
+
+const entry = playRun(3);
+
+test('verified scores are stored with the replay\'s stats', ()=>{
+  const store = createScoreStore();
+  const result = store.submit(BOARD, Object.assign({}, entry, { apples: null, date: '1999-01-01T00:00:00.000Z' }));
+  assert.strictEqual(result.ok, true, result.reason);
+  assert.strictEqual(result.rank, 1);
+  assert.strictEqual(result.entry.score, entry.score);
+  assert.ok(result.entry.apples > 0);
+  assert.notStrictEqual(result.entry.date, '1999-01-01T00:00:00.000Z');
+  assert.strictEqual(store.list(BOARD).length, 1);
+});
+
+test('scores the replay does not reproduce are refused', ()=>{
+  const store = createScoreStore();
+  assert.match(store.submit(BOARD, Object.assign({}, entry, { score: entry.score + 1 })).reason, /Score doesn't match/);
+  assert.strictEqual(store.submit('legacy', entry).reason, 'Unknown board');
+  assert.match(store.submit('endless:classic:hard', entry).reason, /played on/);
+  assert.deepStrictEqual(store.data.boards, {});
+});
+
+test('a run can be stored only once per board', ()=>{
+  const store = createScoreStore();
+  assert.strictEqual(store.submit(BOARD, entry).ok, true);
+  const copied = Object.assign({}, entry, { name: 'Bob' });
+  assert.strictEqual(store.submit(BOARD, copied).reason, 'This run has already been submitted');
+  assert.strictEqual(store.submit(BOARD, playRun(4)).ok, true);
+  assert.strictEqual(store.list(BOARD).length, 2);
+});
+
+test('a run that did not make the board can be sent again', ()=>{
+  const store = createScoreStore();
+  const runs = [];
+  for(let seed=10;runs.length<51;seed++) runs.push(playRun(seed));
+  runs.sort((a, b)=> b.score - a.score);
+  const lowest = runs.pop();
+  runs.forEach(run=> assert.strictEqual(store.submit(BOARD, run).ok, true));
+  assert.strictEqual(store.submit(BOARD, lowest).rank, null);
+  assert.strictEqual(store.submit(BOARD, lowest).ok, true);
+});
+
+test('overlong replays are refused before they are simulated', ()=>{
+  const store = createScoreStore();
+  const long = Object.assign({}, entry.replay, { ticks: SnakeVerify.MAX_TICKS + 1 });
+  assert.strictEqual(store.submit(BOARD, Object.assign({}, entry, { replay: long })).reason, 'Replay is too long to verify');
+  const inputs = Array.from({ length: 10001 }, (_, i)=> [i, i % 2 ? 'u' : 'l']);
+  const busy = Object.assign({}, entry.replay, { ticks: 20000, inputs });
+  assert.strictEqual(store.submit(BOARD, Object.assign({}, entry, { replay: busy })).reason, 'Replay has more than 10000 inputs');
+});
+
+test('the REST endpoints submit and list scores', async ()=>{
+  await withServer(createScoreStore(), async (base)=>{
+    const posted = await request(`${base}/api/scores`, 'POST', { board: BOARD, entry });
+    assert.strictEqual(posted.status, 201);
+    assert.strictEqual(posted.body.rank, 1);
+    assert.strictEqual(posted.body.entry.replay, undefined);
+    const refused = await request(`${base}/api/scores`, 'POST', { board: BOARD, entry: Object.assign({}, entry, { score: 1 }) });
+    assert.strictEqual(refused.status, 422);
+    assert.match(refused.body.error, /Score doesn't match/);
+    const all = await request(`${base}/api/scores`, 'GET');
+    assert.deepStrictEqual(all.body.boards.map(b=> [b.board, b.name, b.entries.length]), [[BOARD, 'Endless · Classic · Easy', 1]]);
+    const one = await request(`${base}/api/scores/${encodeURIComponent(BOARD)}?replays=1`, 'GET');
+    assert.deepStrictEqual(one.body.entries[0].replay, entry.replay);
+  });
+});
+
+test('bad requests are answered with an error', async ()=>{
+  await withServer(createScoreStore(), async (base)=>{
+    assert.deepStrictEqual(await request(`${base}/api/scores`, 'POST', '{'), { status: 400, body: { error: 'Body must be JSON' } });
+    assert.deepStrictEqual(await request(`${base}/api/scores`, 'POST', { board: BOARD }), { status: 400, body: { error: 'Expected { board, entry }' } });
+    assert.strictEqual((await request(`${base}/api/scores/${BOARD}`, 'POST', {})).status, 405);
+    assert.strictEqual((await request(`${base}/api/scores/%E0`, 'GET')).status, 400);
+    assert.strictEqual((await request(`${base}/api/elsewhere`, 'GET')).status, 404);
+    const huge = await request(`${base}/api/scores`, 'POST', ' '.repeat(1024 * 1024 + 1));
+    assert.deepStrictEqual(huge, { status: 413, body: { error: 'Submission is too large' } });
+  });
+});
+
+test('hostile replays are refused without taking the server down', async ()=>{
+  await withServer(createScoreStore(), async (base)=>{
+    const hostile = [{ rules: 'toString' }, { difficulty: 'constructor' }, { seed: { toString: 1 } }];
+    for(const changes of hostile){
+      const replay = Object.assign({}, entry.replay, changes);
+      const posted = await request(`${base}/api/scores`, 'POST', { board: BOARD, entry: Object.assign({}, entry, { replay }) });
+      assert.strictEqual(posted.status, 422, JSON.stringify(changes));
+    }
+    assert.strictEqual((await request(`${base}/api/scores`, 'POST', { board: BOARD, entry })).status, 201);
+  });
+});
+
+test('saved scores are checked again when the server starts', ()=>{
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snake-scores-'));
+  try {
+    const file = path.join(dir, 'scores.json');
+    createScoreStore(file).submit(BOARD, entry);
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    saved.boards[BOARD].push(Object.assign({}, saved.boards[BOARD][0], { id: 'forged', score: 999 }));
+    fs.writeFileSync(file, JSON.stringify(saved));
+    assert.deepStrictEqual(createScoreStore(file).list(BOARD).map(e=> e.score), [entry.score]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,86 @@
+/*
+  Scoring tests
+  - Combos, quick routes, length and difficulty multipliers each add their share of an apple's points
+  - A game's breakdown always adds up to its score
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SnakeScoring = require('../assets/js/scoring.js');
+const SnakeEngine = require('../assets/js/engine.js');
+const SnakeBots = require('../assets/js/bots.js');
+
+const APPLE = { x: 10, y: 5, points: 10 };
+
+// The bits of engine state award() reads: the tick, board size, difficulty and tuning
+function stateAt(tick, difficulty, scoring){
+  return { tick, width: 20, rows: 20, difficulty: difficulty || 'easy', scoring: SnakeScoring.resolve(scoring || true) };
+}
+function snake(length, combo, lastEat){
+  return { body: new Array(length).fill({ x: 0, y: 0 }), combo, lastEat };
+}
+function sum(parts){
+  return Object.keys(parts).reduce((total, p)=> total + parts[p], 0);
+}
+
+test('resolve merges overrides with the defaults', ()=>{
+  assert.strictEqual(SnakeScoring.resolve(false), null);
+  const tuning = SnakeScoring.resolve({ maxCombo: 3, difficulty: { hard: 4 } });
+  assert.strictEqual(tuning.maxCombo, 3);
+  assert.deepStrictEqual(tuning.difficulty, { easy: 1, medium: 1.5, hard: 4 });
+  assert.strictEqual(SnakeScoring.DEFAULTS.difficulty.hard, 2);
+});
+
+test('a slow first apple scores its plain points on Easy', ()=>{
+  const award = SnakeScoring.award(stateAt(100), snake(3, 0, { tick: 0, x: 5, y: 5 }), APPLE, false);
+  assert.deepStrictEqual(award, { points: 10, combo: 1, quick: false, parts: { base: 10, difficulty: 0, length: 0, combo: 0, quick: 0 } });
+});
+
+test('quick routes and combos add their bonuses', ()=>{
+  // 5 cells away, reached in 6 ticks: within 5 * 1.5 + 3
+  const quick = SnakeScoring.award(stateAt(6), snake(3, 0, { tick: 0, x: 5, y: 5 }), APPLE, false);
+  assert.strictEqual(quick.quick, true);
+  assert.strictEqual(quick.parts.quick, SnakeScoring.DEFAULTS.quickBonus);
+  const combo = SnakeScoring.award(stateAt(40), snake(3, 2, { tick: 20, x: 10, y: 0 }), APPLE, false);
+  assert.strictEqual(combo.combo, 3);
+  assert.strictEqual(combo.parts.combo, 20);
+  const capped = SnakeScoring.award(stateAt(40), snake(3, 5, { tick: 20, x: 10, y: 0 }), APPLE, false);
+  assert.strictEqual(capped.combo, SnakeScoring.DEFAULTS.maxCombo);
+  const broken = SnakeScoring.award(stateAt(100), snake(3, 4, { tick: 20, x: 10, y: 0 }), APPLE, false);
+  assert.strictEqual(broken.combo, 1);
+});
+
+test('wrapping boards measure routes the short way round', ()=>{
+  // 2 cells apart across the edge, 18 the long way: 10 ticks is only quick for the long way
+  const from = { tick: 0, x: 19, y: 5 };
+  assert.strictEqual(SnakeScoring.award(stateAt(10), snake(3, 0, from), { x: 1, y: 5, points: 10 }, true).quick, false);
+  assert.strictEqual(SnakeScoring.award(stateAt(10), snake(3, 0, from), { x: 1, y: 5, points: 10 }, false).quick, true);
+});
+
+test('difficulty and length multipliers round to whole points', ()=>{
+  assert.strictEqual(SnakeScoring.lengthMultiplier(SnakeScoring.DEFAULTS, 9), 1);
+  assert.strictEqual(SnakeScoring.lengthMultiplier(SnakeScoring.DEFAULTS, 25), 1.2);
+  assert.strictEqual(SnakeScoring.lengthMultiplier(SnakeScoring.DEFAULTS, 500), 2);
+  const award = SnakeScoring.award(stateAt(100, 'medium'), snake(25, 0, { tick: 0, x: 5, y: 5 }), { x: 10, y: 5, points: 3 }, false);
+  assert.deepStrictEqual(award.parts, { base: 3, difficulty: 2, length: 1, combo: 0, quick: 0 });
+  assert.strictEqual(award.points, sum(award.parts));
+});
+
+test('breakdowns are added up without being changed', ()=>{
+  const empty = SnakeScoring.emptyBreakdown();
+  assert.deepStrictEqual(Object.keys(empty), SnakeScoring.PARTS);
+  const next = SnakeScoring.addParts(empty, { base: 10, quick: 5 });
+  assert.strictEqual(sum(empty), 0);
+  assert.strictEqual(SnakeScoring.addParts(next, { base: 3 }).base, 13);
+});
+
+test('a game\'s breakdown adds up to its score', ()=>{
+  let state = SnakeEngine.createGame({ width: 16, rows: 16, difficulty: 'hard', seed: 2, scoring: true, powerups: { chance: 1 } });
+  const bot = SnakeBots.create('smart');
+  while(!state.over && state.tick < 1500) state = SnakeEngine.step(state, bot.decide(state, 0));
+  const sn = state.snakes[0];
+  assert.ok(sn.eaten > 5);
+  assert.strictEqual(sum(sn.breakdown), sn.score);
+  assert.ok(sn.breakdown.difficulty > 0);
+});
@@ -0,0 +1,59 @@
+/*
+  Simulator tests
+  - Command line parsing and its errors
+  - A small run is deterministic and its CSV has one column per header
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const simulate = require('../tools/simulate.js');
+
+test('options are parsed and checked', ()=>{
+  const opts = simulate.parseArgs(['--games', '3', '--difficulties', 'easy,hard', '--bot', 'auto', '--format', 'csv', '--games-csv']);
+  assert.strictEqual(opts.games, 3);
+  assert.deepStrictEqual(opts.difficulties, ['easy', 'hard']);
+  assert.strictEqual(opts.bot, 'auto');
+  assert.strictEqual(opts.gamesCsv, true);
+  assert.strictEqual(simulate.parseArgs([]).games, 200);
+  assert.strictEqual(simulate.parseArgs(['--powerups']).powerups, true);
+  assert.strictEqual(simulate.parseArgs(['--scoring']).scoring, true);
+  assert.strictEqual(simulate.parseArgs(['--hazards']).hazards, true);
+  assert.throws(()=> simulate.parseArgs(['--games']), /--games needs a value/);
+  assert.throws(()=> simulate.parseArgs(['--games', 'lots']), /--games must be a whole number/);
+  assert.throws(()=> simulate.parseArgs(['--games', '0']), /--games must be a whole number of at least 1/);
+  assert.throws(()=> simulate.parseArgs(['--max-ticks', '0']), /at least 1/);
+  assert.throws(()=> simulate.parseArgs(['--difficulties', 'easy,insane']), /Unknown difficulty: insane/);
+  assert.throws(()=> simulate.parseArgs(['--bot', 'nope']), /Unknown bot: nope/);
+  assert.throws(()=> simulate.parseArgs(['--size', '4']), /at least 6/);
+  assert.throws(()=> simulate.parseArgs(['--format', 'xml']), /json or csv/);
+  assert.throws(()=> simulate.parseArgs(['--rules', 'nope']), /Unknown rule set/);
+  assert.throws(()=> simulate.parseArgs(['--fast']), /Unknown option: --fast/);
+});
+
+test('a run is deterministic and reports every game', ()=>{
+  const opts = simulate.parseArgs(['--games', '2', '--difficulties', 'easy,medium', '--size', '12', '--bot', 'greedy', '--max-ticks', '300']);
+  const report = simulate.run(opts);
+  assert.strictEqual(report.games.length, 4);
+  assert.deepStrictEqual(report.summaries.map(s=> [s.difficulty, s.games]), [['easy', 2], ['medium', 2]]);
+  assert.deepStrictEqual(simulate.run(opts).games, report.games);
+  report.games.forEach(g=> assert.ok(g.ticks <= 300));
+  const summary = report.summaries[0];
+  assert.strictEqual(Object.values(summary.causes).reduce((a, b)=> a + b, 0), 2);
+});
+
+test('CSV reports have a value for every column', ()=>{
+  const report = simulate.run(simulate.parseArgs(['--games', '2', '--difficulties', 'easy', '--size', '10', '--max-ticks', '200']));
+  [false, true].forEach(perGame=>{
+    const lines = simulate.toCsv(report, perGame).trim().split('\n');
+    assert.strictEqual(lines.length, perGame ? 3 : 2);
+    const width = lines[0].split(',').length;
+    lines.forEach(line=> assert.strictEqual(line.split(',').length, width));
+  });
+});
+
+test('rule sets without random obstacles leave their settings blank', ()=>{
+  const report = simulate.run(simulate.parseArgs(['--games', '1', '--difficulties', 'hard', '--rules', 'classic', '--size', '10', '--max-ticks', '50']));
+  const [header, row] = simulate.toCsv(report, false).trim().split('\n').map(line=> line.split(','));
+  assert.deepStrictEqual(['startObstacles', 'obstacleChance', 'obstacleOnEatChance'].map(col=> row[header.indexOf(col)]), ['', '', '']);
+});
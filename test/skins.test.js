@@ -0,0 +1,93 @@
+/*
+  Skin tests
+  - Unlocks follow best scores per player, and locked skins can't be chosen
+  - Saved settings of any shape load into something usable
+  - Sheet tiles: heads, straights, corners and tails turned the right way, across wrapped edges too
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SnakeSkins = require('../assets/js/skins.js');
+
+const QUARTER = Math.PI / 2;
+
+// A 2D context that only records which drawing calls it got
+function fakeGraphics(){
+  const calls = [];
+  const g = new Proxy({}, {
+    get(target, name){
+      if(name in target) return target[name];
+      return (...args)=>{ calls.push(name); };
+    }
+  });
+  return { g, calls };
+}
+
+test('unlocks follow the best score and are new only once', ()=>{
+  const empty = SnakeSkins.emptySettings();
+  assert.deepStrictEqual(SnakeSkins.available(empty, 0).map(s=> s.id), ['classic', 'striped']);
+  const first = SnakeSkins.unlock(empty, 0, 320, '2026-01-01');
+  assert.deepStrictEqual(first.unlocked.map(s=> s.id), ['scales', 'retro']);
+  assert.strictEqual(first.settings.players[0].unlocked.retro, '2026-01-01');
+  assert.deepStrictEqual(empty.players[0].unlocked, {}, 'settings are not mutated');
+  assert.deepStrictEqual(first.settings.players[1].unlocked, {}, 'the other player keeps their own');
+  assert.deepStrictEqual(SnakeSkins.unlock(first.settings, 0, 320).unlocked, []);
+  assert.deepStrictEqual(SnakeSkins.unlock(first.settings, 0, 600).unlocked.map(s=> s.id), ['rainbow']);
+  assert.deepStrictEqual(SnakeSkins.unlock(empty, 5, 600).unlocked, []);
+});
+
+test('only available skins can be selected', ()=>{
+  const empty = SnakeSkins.emptySettings();
+  assert.strictEqual(SnakeSkins.select(empty, 0, 'rainbow'), empty);
+  assert.strictEqual(SnakeSkins.select(empty, 0, 'plaid'), empty);
+  assert.strictEqual(SnakeSkins.select(empty, 1, 'striped').players[1].skin, 'striped');
+  const { settings } = SnakeSkins.unlock(empty, 0, 500);
+  assert.strictEqual(SnakeSkins.select(settings, 0, 'rainbow').players[0].skin, 'rainbow');
+});
+
+test('loadSettings drops unknown skins and locked choices', ()=>{
+  assert.deepStrictEqual(SnakeSkins.loadSettings(null), SnakeSkins.emptySettings());
+  const settings = SnakeSkins.loadSettings({ players: [
+    { skin: 'scales', unlocked: { scales: '2026-01-01', plaid: 'x', classic: 'x' } },
+    { skin: 'rainbow', unlocked: {} },
+    { skin: 'striped' }
+  ] });
+  assert.strictEqual(settings.players.length, SnakeSkins.PLAYERS);
+  assert.deepStrictEqual(settings.players[0], { skin: 'scales', unlocked: { scales: '2026-01-01' } });
+  assert.strictEqual(settings.players[1].skin, SnakeSkins.DEFAULT_SKIN);
+});
+
+test('segmentTiles lays straights along the body', ()=>{
+  const tiles = SnakeSkins.segmentTiles([{ x: 5, y: 5 }, { x: 4, y: 5 }, { x: 3, y: 5 }], { x: 1, y: 0 }, 10, 10);
+  assert.deepStrictEqual(tiles, [
+    { tile: 'head', angle: 0 }, { tile: 'straight', angle: 0 }, { tile: 'tail', angle: 0 }
+  ]);
+});
+
+test('segmentTiles turns corners to join their neighbours', ()=>{
+  // heading up, then the body runs down and off to the left
+  const tiles = SnakeSkins.segmentTiles([{ x: 5, y: 5 }, { x: 5, y: 6 }, { x: 4, y: 6 }], { x: 0, y: -1 }, 10, 10);
+  assert.strictEqual(tiles[0].angle, -QUARTER);
+  assert.deepStrictEqual(tiles[1], { tile: 'corner', angle: QUARTER });
+  assert.deepStrictEqual(tiles[2], { tile: 'tail', angle: 0 });
+});
+
+test('segmentTiles links across wrapped edges and not through portals', ()=>{
+  const wrapped = SnakeSkins.segmentTiles([{ x: 0, y: 5 }, { x: 9, y: 5 }], { x: 1, y: 0 }, 10, 10);
+  assert.deepStrictEqual(wrapped[1], { tile: 'tail', angle: 0 });
+  const jumped = SnakeSkins.segmentTiles([{ x: 0, y: 0 }, { x: 5, y: 5 }, { x: 5, y: 6 }], { x: 1, y: 0 }, 10, 10);
+  assert.deepStrictEqual(jumped[1], { tile: 'straight', angle: QUARTER });
+});
+
+test('sheet skins draw a tile per segment once their image is loaded', ()=>{
+  const points = [{ x: 2, y: 2 }, { x: 1, y: 2 }, { x: 0, y: 2 }];
+  const o = { skin: 'retro', size: 10, head: '#28a745', tail: '#149331', dir: { x: 1, y: 0 }, time: 0, width: 10, rows: 10 };
+  const waiting = fakeGraphics();
+  SnakeSkins.drawSnake(waiting.g, points, o);
+  assert.strictEqual(waiting.calls.filter(c=> c === 'drawImage').length, 0);
+  assert.ok(waiting.calls.includes('stroke'), 'drawn as classic meanwhile');
+  const loaded = fakeGraphics();
+  SnakeSkins.drawSnake(loaded.g, points, Object.assign({}, o, { sheet: { height: 16 } }));
+  assert.strictEqual(loaded.calls.filter(c=> c === 'drawImage').length, points.length);
+});
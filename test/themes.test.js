@@ -0,0 +1,70 @@
+/*
+  Theme tests
+  - Built-ins are complete and valid
+  - Shared themes round-trip through JSON and bad ones are refused with a readable message
+  - Saved settings of any shape load into something usable
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SnakeThemes = require('../assets/js/themes.js');
+
+test('every built-in theme sets every color', ()=>{
+  SnakeThemes.BUILTINS.forEach(theme=>{
+    assert.deepStrictEqual(SnakeThemes.validateTheme(theme), [], theme.id);
+  });
+  assert.ok(SnakeThemes.builtin(SnakeThemes.DEFAULT_THEME));
+  assert.strictEqual(SnakeThemes.builtin('plaid'), null);
+});
+
+test('validateTheme names the bad colors', ()=>{
+  const colors = Object.assign({}, SnakeThemes.builtin('dark').colors, { apple: 'red', text: '#fff' });
+  assert.deepStrictEqual(SnakeThemes.validateTheme({ name: 'Mine', colors }), ['Colors must be #rrggbb values: Apple, Text']);
+  assert.deepStrictEqual(SnakeThemes.validateTheme({ name: ' ', colors }).slice(0, 1), ['Theme needs a name']);
+  assert.deepStrictEqual(SnakeThemes.validateTheme(null), ['Theme must be an object']);
+});
+
+test('normalize fills missing colors from classic', ()=>{
+  const theme = SnakeThemes.normalize({ id: 'x', name: 'Partial', colors: { apple: '#ABCDEF', grid: 'nope' } });
+  assert.strictEqual(theme.colors.apple, '#abcdef');
+  assert.strictEqual(theme.colors.grid, SnakeThemes.builtin('classic').colors.grid);
+  assert.strictEqual(theme.dark, false);
+});
+
+test('a custom theme survives the JSON round trip with a fresh id', ()=>{
+  const custom = SnakeThemes.createCustom(SnakeThemes.builtin('neon'));
+  assert.strictEqual(custom.name, 'Neon (custom)');
+  assert.strictEqual(custom.dark, true);
+  const parsed = SnakeThemes.parse(SnakeThemes.serialize(custom));
+  assert.deepStrictEqual(parsed.colors, custom.colors);
+  assert.strictEqual(parsed.name, custom.name);
+  assert.notStrictEqual(parsed.id, 'neon');
+});
+
+test('parse refuses files that are not themes', ()=>{
+  const good = JSON.parse(SnakeThemes.serialize(SnakeThemes.builtin('dark')));
+  const broken = changes=> JSON.stringify(Object.assign({}, good, changes));
+  assert.throws(()=> SnakeThemes.parse('{'), /not valid JSON/);
+  assert.throws(()=> SnakeThemes.parse(broken({ format: 'snake-level' })), /Not a snake theme/);
+  assert.throws(()=> SnakeThemes.parse(broken({ version: SnakeThemes.VERSION + 1 })), /newer than this game/);
+  assert.throws(()=> SnakeThemes.parse(broken({ colors: {} })), /Colors must be/);
+});
+
+test('loadSettings keeps valid custom themes and a known active one', ()=>{
+  assert.deepStrictEqual(SnakeThemes.loadSettings('junk'), { version: SnakeThemes.VERSION, active: 'classic', custom: [] });
+  const mine = { id: 'theme-mine', name: 'Mine', colors: {} };
+  const settings = SnakeThemes.loadSettings({ active: 'theme-mine', custom: [mine, { id: 'dark', name: 'Fake dark' }, 7] });
+  assert.deepStrictEqual(settings.custom.map(t=> t.id), ['theme-mine']);
+  assert.strictEqual(settings.active, 'theme-mine');
+  assert.strictEqual(SnakeThemes.find(settings, 'theme-mine').name, 'Mine');
+  assert.strictEqual(SnakeThemes.loadSettings({ active: 'gone' }).active, 'classic');
+  const many = Array.from({ length: 30 }, (_, i)=>({ id: `t${i}`, name: `T${i}` }));
+  assert.strictEqual(SnakeThemes.loadSettings({ custom: many }).custom.length, SnakeThemes.MAX_CUSTOM);
+});
+
+test('mix blends between two colors', ()=>{
+  assert.strictEqual(SnakeThemes.mix('#000000', '#ffffff', 0), 'rgb(0,0,0)');
+  assert.strictEqual(SnakeThemes.mix('#000000', '#ffffff', 1), 'rgb(255,255,255)');
+  assert.strictEqual(SnakeThemes.mix('#ff0000', '#0000ff', 0.5), 'rgb(128,0,128)');
+});
@@ -0,0 +1,106 @@
+/*
+  Score verification tests
+  - A replay that reproduces the claimed score and stats is accepted for its board
+  - Wrong scores or stats, other boards, unfinished games and unranked settings are rejected
+  - Hostile replays (inherited names, broken hazards) come back as rejections, never as errors
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SnakeEngine = require('../assets/js/engine.js');
+const SnakeReplay = require('../assets/js/replay.js');
+const SnakeBots = require('../assets/js/bots.js');
+const SnakeLevels = require('../assets/js/levels.js');
+const SnakeVerify = require('../assets/js/verify.js');
+
+const BOARD = 'endless:classic:easy';
+
+// A recorded Classic game: a bot chases apples, then runs straight on until it crashes
+function playRun(options, stopAt){
+  let state = SnakeEngine.createGame(Object.assign({ rules: 'classic', difficulty: 'easy', seed: 3 }, options));
+  const recorder = SnakeReplay.createRecorder(state);
+  const bot = SnakeBots.create('greedy');
+  while(!state.over && state.tick !== stopAt){
+    const turn = state.tick < 150 ? SnakeEngine.toDir(bot.decide(state, 0)) : null;
+    if(turn && !SnakeEngine.posEq(turn, state.snakes[0].dir)) recorder.record(state.tick, turn);
+    state = SnakeEngine.step(state, turn);
+  }
+  return { state, replay: recorder.finish(state) };
+}
+
+function entryFor(run, changes){
+  const sn = run.state.snakes[0];
+  return Object.assign({ name: 'Ann', score: sn.score, apples: sn.eaten, player: 0, replay: run.replay }, changes);
+}
+
+const run = playRun();
+
+test('a replay that reproduces the score is accepted', ()=>{
+  assert.ok(run.state.snakes[0].score > 0);
+  const result = SnakeVerify.verifyEntry(entryFor(run), BOARD);
+  assert.strictEqual(result.ok, true, result.reason);
+  assert.strictEqual(result.stats.score, run.state.snakes[0].score);
+  assert.strictEqual(result.stats.ticks, run.state.tick);
+  assert.strictEqual(SnakeVerify.verifyEntry(entryFor(run, { duration: result.stats.duration, maxLength: result.stats.maxLength })).ok, true);
+  assert.strictEqual(SnakeVerify.verifyEntry(entryFor(run, { replay: JSON.stringify(run.replay) }), BOARD).ok, true);
+});
+
+test('claims the replay does not back up are rejected', ()=>{
+  const score = run.state.snakes[0].score;
+  const reason = changes=> SnakeVerify.verifyEntry(entryFor(run, changes), BOARD).reason;
+  assert.strictEqual(reason({ score: score + 10 }), `Score doesn't match the replay (claimed ${score + 10}, replay gives ${score})`);
+  assert.match(reason({ apples: 99 }), /Apples eaten don't match/);
+  assert.match(reason({ maxLength: 1 }), /Max length doesn't match/);
+  assert.match(reason({ duration: 9999 }), /Duration doesn't match/);
+  assert.match(reason({ player: 1 }), /no player 2/);
+  assert.strictEqual(reason({ replay: null }), 'No replay attached');
+  assert.match(reason({ replay: '{' }), /not valid JSON/);
+});
+
+test('replays are only ranked on the board they were played on', ()=>{
+  assert.match(SnakeVerify.verifyEntry(entryFor(run), 'endless:classic:hard').reason, /played on Endless · Classic · Easy/);
+  const unfinished = playRun({}, 40);
+  assert.strictEqual(SnakeVerify.verifyEntry(entryFor(unfinished), BOARD).reason, 'Replay stops before the game is over');
+  const tooLong = Object.assign({}, run.replay, { ticks: SnakeVerify.MAX_TICKS + 1 });
+  assert.strictEqual(SnakeVerify.verifyEntry(entryFor(run, { replay: tooLong }), BOARD).reason, 'Replay is too long to verify');
+});
+
+test('replays with custom settings are not ranked', ()=>{
+  const custom = [
+    { rules: { preset: 'classic', walls: 'wrap' } },
+    { width: 12, rows: 12 },
+    { tickRate: 30 },
+    { appleCount: 3 },
+    { players: 3 },
+    { powerups: { chance: 1 } },
+    { scoring: { maxCombo: 50 } },
+    { hazards: { portals: 5 } },
+    { level: SnakeLevels.createLevel(20, 20, 'Open field') }
+  ];
+  custom.forEach(options=>{
+    const replay = playRun(options, 20).replay;
+    assert.strictEqual(SnakeVerify.boardFor(SnakeReplay.parse(replay)), null, JSON.stringify(options));
+  });
+  assert.strictEqual(SnakeVerify.boardFor(SnakeReplay.parse(run.replay)), BOARD);
+  assert.strictEqual(SnakeVerify.boardFor(SnakeReplay.parse(playRun({ players: 2 }, 20).replay)), 'versus:classic:easy');
+  assert.strictEqual(SnakeVerify.boardFor(SnakeReplay.parse(playRun({ powerups: true }, 20).replay)), 'endless:classic:easy:powerups');
+  assert.strictEqual(SnakeVerify.boardFor(SnakeReplay.parse(playRun({ hazards: true }, 20).replay)), 'endless:classic:easy:hazards');
+});
+
+test('hostile replays are rejected rather than thrown', ()=>{
+  const hostile = [
+    [{ rules: 'toString' }, /Unknown rule set: toString/],
+    [{ rules: '__proto__' }, /Unknown rule set/],
+    [{ rules: 7 }, /Unknown rule set: 7/],
+    [{ difficulty: 'constructor' }, /not ranked/],
+    [{ inputs: [[3, 'toString']] }, /malformed inputs/],
+    [{ powerups: { weights: { hasOwnProperty: 1 } } }, /invalid power-up settings/],
+    [{ hazards: [{ type: 'valueOf' }] }, /invalid hazards/],
+    [{ seed: { toString: 1 } }, /could not be simulated/]
+  ];
+  hostile.forEach(([changes, reason])=>{
+    const replay = Object.assign({}, run.replay, changes);
+    assert.match(SnakeVerify.verifyEntry(entryFor(run, { replay }), BOARD).reason, reason, JSON.stringify(changes));
+  });
+});
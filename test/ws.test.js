@@ -0,0 +1,117 @@
+/*
+  WebSocket tests
+  - Handshake key and frame encoding follow RFC 6455
+  - The parser handles frames split across chunks and refuses unmasked or oversized ones
+  - A connection on a stand-in socket emits messages, answers pings and closes
+  - Nothing sent after a close frame reaches the lobby, so it can't leave rooms behind
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const ws = require('../server/ws.js');
+const { createLobby } = require('../server/rooms.js');
+
+// A masked client frame, as a browser would send it
+function clientFrame(opcode, text, fin){
+  const data = Buffer.from(text);
+  const mask = Buffer.from([1, 2, 3, 4]);
+  const header = data.length < 126 ? Buffer.from([(fin === false ? 0 : 0x80) | opcode, 0x80 | data.length])
+    : Buffer.from([(fin === false ? 0 : 0x80) | opcode, 0x80 | 126, data.length >> 8, data.length & 0xff]);
+  return Buffer.concat([header, mask, data.map((b, i)=> b ^ mask[i % 4])]);
+}
+
+// Stand-in for a net.Socket that records what the server writes to it
+function fakeSocket(){
+  const socket = new EventEmitter();
+  socket.written = [];
+  socket.destroyed = false;
+  socket.write = (data)=> socket.written.push(Buffer.from(data));
+  socket.end = (data)=>{ if(data) socket.written.push(Buffer.from(data)); };
+  socket.destroy = ()=>{ socket.destroyed = true; };
+  socket.setNoDelay = ()=>{};
+  return socket;
+}
+
+function connect(){
+  const socket = fakeSocket();
+  let conn = null;
+  ws.handleUpgrade({ headers: { upgrade: 'websocket', 'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==', 'sec-websocket-version': '13' } }, socket, c=>{ conn = c; });
+  return { socket, conn };
+}
+
+test('the accept key matches the RFC example', ()=>{
+  assert.strictEqual(ws.acceptKey('dGhlIHNhbXBsZSBub25jZQ=='), 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+});
+
+test('frames get the right length header', ()=>{
+  assert.deepStrictEqual([...ws.encodeFrame(0x1, 'hi')], [0x81, 2, 0x68, 0x69]);
+  assert.deepStrictEqual([...ws.encodeFrame(0x1, 'x'.repeat(300)).subarray(0, 4)], [0x81, 126, 1, 44]);
+  assert.deepStrictEqual([...ws.encodeFrame(0x1, 'x'.repeat(70000)).subarray(0, 10)], [0x81, 127, 0, 0, 0, 0, 0, 1, 0x11, 0x70]);
+});
+
+test('the parser waits for whole frames and unmasks them', ()=>{
+  const frames = [];
+  const push = ws.createFrameParser((fin, opcode, payload)=> frames.push([fin, opcode, payload.toString()]));
+  const data = Buffer.concat([clientFrame(0x1, 'hello'), clientFrame(0x1, 'y'.repeat(200), false)]);
+  push(data.subarray(0, 3));
+  assert.strictEqual(frames.length, 0);
+  push(data.subarray(3, 12));
+  push(data.subarray(12));
+  assert.deepStrictEqual(frames, [[true, 1, 'hello'], [false, 1, 'y'.repeat(200)]]);
+});
+
+test('the parser refuses unmasked and oversized frames', ()=>{
+  const push = ws.createFrameParser(()=>{});
+  assert.throws(()=> push(ws.encodeFrame(0x1, 'hi')), /must be masked/);
+  const huge = Buffer.from([0x81, 0x80 | 127, 0, 0, 0, 0, 0, 2, 0, 0]);
+  assert.throws(()=> ws.createFrameParser(()=>{})(huge), /too large/);
+});
+
+test('bad handshakes are refused', ()=>{
+  const socket = fakeSocket();
+  ws.handleUpgrade({ headers: { upgrade: 'websocket' } }, socket, ()=> assert.fail('connected'));
+  assert.match(socket.written[0].toString(), /^HTTP\/1.1 400/);
+});
+
+test('connections emit messages, answer pings and close', ()=>{
+  const { socket, conn } = connect();
+  assert.match(socket.written[0].toString(), /Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK\+xOo=/);
+  const messages = [];
+  let closed = false;
+  conn.on('message', m=> messages.push(m));
+  conn.on('close', ()=>{ closed = true; });
+  socket.emit('data', Buffer.concat([clientFrame(0x1, 'he', false), clientFrame(0x9, 'p'), clientFrame(0x0, 'llo')]));
+  assert.deepStrictEqual(messages, ['hello']);
+  assert.deepStrictEqual([...socket.written[1]], [0x8A, 1, 0x70]); // pong with the ping's payload
+  conn.send('hi');
+  assert.deepStrictEqual([...socket.written[2]], [0x81, 2, 0x68, 0x69]);
+  socket.emit('data', clientFrame(0x8, ''));
+  assert.strictEqual(closed, true);
+  assert.strictEqual(socket.destroyed, true);
+});
+
+test('protocol errors close the connection', ()=>{
+  const { socket, conn } = connect();
+  let closed = false;
+  conn.on('close', ()=>{ closed = true; });
+  socket.emit('data', clientFrame(0x0, 'stray'));
+  assert.strictEqual(closed, true);
+  const reply = socket.written[socket.written.length - 1];
+  assert.strictEqual(reply[0], 0x88);
+  assert.strictEqual(reply.readUInt16BE(2), 1002);
+});
+
+test('frames after a close are dropped', ()=>{
+  const { socket, conn } = connect();
+  const lobby = createLobby();
+  conn.on('message', (text)=> lobby.receive(conn, text));
+  conn.on('close', ()=> lobby.leave(conn));
+  const written = socket.written.length;
+  socket.emit('data', Buffer.concat([clientFrame(0x8, ''), clientFrame(0x1, JSON.stringify({ type: 'create' })), clientFrame(0x9, 'p')]));
+  socket.emit('data', clientFrame(0x1, JSON.stringify({ type: 'create' })));
+  assert.strictEqual(lobby.rooms.size, 0);
+  assert.strictEqual(socket.written.length, written + 1, 'only the close frame is sent back');
+  assert.strictEqual(socket.written[written][0], 0x88);
+});
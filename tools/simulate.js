@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+/*
+  Headless balance simulator
+  - Plays bot-controlled games for each difficulty and seed with the real engine
+  - Reports average score, survival ticks, death causes, failed apple spawns, power-ups collected
+    and the longest combo
+  - Prints JSON (default) or CSV so reports can be diffed between revisions
+
+  Usage: node tools/simulate.js [options]
+    --games N          games per difficulty (default 200); seeds run from --seed upwards
+    --seed N           first seed (default 1)
+    --difficulties a,b difficulties to run (default: all)
+    --rules NAME       rule set preset (default enhanced)
+    --size N           board width and height in cells (default 28)
+    --bot NAME         bot strategy, or "auto" to match each difficulty (default smart)
+    --max-ticks N      stop a game that is still going after N ticks (default 5000)
+    --powerups         turn power-ups on, with each difficulty's tuning
+    --hazards          add each difficulty's moving hazards and portals
+    --scoring          score with the game's combo, quick-route, length and difficulty rules
+    --format json|csv  report format (default json)
+    --games-csv        with --format csv, one row per game instead of per difficulty
+    --out FILE         write the report to FILE instead of stdout
+*/
+'use strict';
+
+const fs = require('fs');
+const SnakeEngine = require('../assets/js/engine.js');
+const SnakeBots = require('../assets/js/bots.js');
+const SnakeScoring = require('../assets/js/scoring.js');
+
+const DEFAULTS = { games: 200, seed: 1, difficulties: Object.keys(SnakeEngine.DIFFICULTIES), rules: 'enhanced', size: 28, bot: 'smart', maxTicks: 5000, powerups: false, hazards: false, scoring: false, format: 'json', gamesCsv: false, out: null };
+
+function parseArgs(argv){
+  const opts = Object.assign({}, DEFAULTS);
+  for(let i=0;i<argv.length;i++){
+    const arg = argv[i];
+    const value = ()=>{
+      if(i+1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    const int = (min)=>{
+      const n = parseInt(value(), 10);
+      if(!Number.isInteger(n) || n < (min || 0)) throw new Error(min ? `${arg} must be a whole number of at least ${min}` : `${arg} must be a whole number`);
+      return n;
+    };
+    if(arg === '--games') opts.games = int(1);
+    else if(arg === '--seed') opts.seed = int();
+    else if(arg === '--difficulties') opts.difficulties = value().split(',');
+    else if(arg === '--rules') opts.rules = value();
+    else if(arg === '--size') opts.size = int();
+    else if(arg === '--bot') opts.bot = value();
+    else if(arg === '--max-ticks') opts.maxTicks = int(1);
+    else if(arg === '--powerups') opts.powerups = true;
+    else if(arg === '--hazards') opts.hazards = true;
+    else if(arg === '--scoring') opts.scoring = true;
+    else if(arg === '--format') opts.format = value();
+    else if(arg === '--games-csv') opts.gamesCsv = true;
+    else if(arg === '--out') opts.out = value();
+    else if(arg === '--help' || arg === '-h') opts.help = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  opts.difficulties.forEach(d=>{
+    if(!SnakeEngine.isKey(SnakeEngine.DIFFICULTIES, d)) throw new Error(`Unknown difficulty: ${d}`);
+  });
+  if(opts.bot !== 'auto' && !SnakeBots.NAMES.includes(opts.bot)) throw new Error(`Unknown bot: ${opts.bot}`);
+  if(opts.size < 6) throw new Error('--size must be at least 6');
+  if(opts.format !== 'json' && opts.format !== 'csv') throw new Error('--format must be json or csv');
+  SnakeEngine.resolveRules(opts.rules); // throws on unknown presets
+  return opts;
+}
+
+// Play one game to the end (or the tick limit) and summarise it
+function playGame(difficulty, seed, opts){
+  const bot = opts.bot === 'auto' ? SnakeBots.forDifficulty(difficulty) : SnakeBots.create(opts.bot);
+  let state = SnakeEngine.createGame({ width: opts.size, rows: opts.size, difficulty, seed, rules: opts.rules, powerups: opts.powerups, hazards: opts.hazards, scoring: opts.scoring });
+  let starvedTicks = 0; // ticks that ended with fewer apples on the board than there should be
+  let powerups = 0;
+  let maxCombo = 0;
+  let seconds = 0; // the rate changes during a game (speed curve, slow motion), so add up every tick
+  while(!state.over && state.tick < opts.maxTicks){
+    seconds += 1 / SnakeEngine.getTickRate(state);
+    state = SnakeEngine.step(state, bot.decide(state, 0));
+    if(state.apples.length < state.appleCount) starvedTicks++;
+    powerups += state.events.filter(e=>e.type === 'powerup').length;
+    state.events.forEach(e=>{ if(e.type === 'eat' && e.combo) maxCombo = Math.max(maxCombo, e.combo); });
+  }
+  const sn = state.snakes[0];
+  return {
+    difficulty, seed, bot: bot.name,
+    score: sn.score,
+    apples: sn.eaten,
+    length: sn.body.length,
+    ticks: state.tick,
+    seconds: +seconds.toFixed(2),
+    cause: sn.alive ? 'timeout' : sn.cause,
+    obstacles: state.obstacles.length,
+    spawnFailures: state.spawnFailures,
+    starvedTicks,
+    powerups,
+    maxCombo
+  };
+}
+
+function mean(list, key){
+  return list.length ? +(list.reduce((sum, g)=> sum + g[key], 0) / list.length).toFixed(2) : 0;
+}
+function median(list, key){
+  if(!list.length) return 0;
+  const sorted = list.map(g=>g[key]).sort((a, b)=> a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid-1] + sorted[mid]) / 2;
+}
+
+// Aggregate the games of one difficulty, alongside the settings that produced them
+function summarize(difficulty, games, opts){
+  const causes = {};
+  games.forEach(g=>{ causes[g.cause] = (causes[g.cause] || 0) + 1; });
+  const settings = Object.assign({}, SnakeEngine.DIFFICULTIES[difficulty]);
+  if(opts.powerups) settings.powerups = SnakeEngine.POWERUP_TUNING[difficulty];
+  if(opts.hazards) settings.hazards = SnakeEngine.HAZARD_TUNING[difficulty];
+  if(opts.scoring) settings.scoring = SnakeScoring.resolve(true);
+  return {
+    difficulty,
+    settings,
+    games: games.length,
+    avgScore: mean(games, 'score'),
+    medianScore: median(games, 'score'),
+    maxScore: Math.max.apply(null, games.map(g=>g.score)),
+    avgApples: mean(games, 'apples'),
+    avgTicks: mean(games, 'ticks'),
+    avgSeconds: mean(games, 'seconds'),
+    causes,
+    spawnFailures: games.reduce((sum, g)=> sum + g.spawnFailures, 0),
+    gamesWithSpawnFailures: games.filter(g=>g.spawnFailures > 0).length,
+    starvedTicks: games.reduce((sum, g)=> sum + g.starvedTicks, 0),
+    avgPowerups: mean(games, 'powerups'),
+    avgMaxCombo: mean(games, 'maxCombo')
+  };
+}
+
+function run(opts, onProgress){
+  const started = Date.now();
+  const games = [];
+  const summaries = opts.difficulties.map(difficulty=>{
+    const list = [];
+    for(let i=0;i<opts.games;i++){
+      list.push(playGame(difficulty, opts.seed + i, opts));
+      if(onProgress) onProgress(difficulty, i+1, opts.games);
+    }
+    games.push.apply(games, list);
+    return summarize(difficulty, list, opts);
+  });
+  return {
+    generated: new Date().toISOString(),
+    options: { games: opts.games, seed: opts.seed, rules: opts.rules, size: opts.size, bot: opts.bot, maxTicks: opts.maxTicks, powerups: opts.powerups, hazards: opts.hazards, scoring: opts.scoring },
+    durationMs: Date.now() - started,
+    summaries,
+    games
+  };
+}
+
+const CAUSES = ['self', 'obstacle', 'hazard', 'wall', 'snake', 'head-on', 'timeout'];
+function csvRow(values){
+  return values.map(v=> /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : v).join(',');
+}
+function toCsv(report, perGame){
+  if(perGame){
+    const cols = ['difficulty', 'seed', 'bot', 'score', 'apples', 'length', 'ticks', 'seconds', 'cause', 'obstacles', 'spawnFailures', 'starvedTicks', 'powerups', 'maxCombo'];
+    return [cols.join(',')].concat(report.games.map(g=> csvRow(cols.map(c=>g[c])))).join('\n') + '\n';
+  }
+  const cols = ['difficulty', 'tickRate', 'startObstacles', 'obstacleChance', 'obstacleOnEatChance', 'games', 'avgScore', 'medianScore', 'maxScore', 'avgApples', 'avgTicks', 'avgSeconds']
+    .concat(CAUSES.map(c=>`deaths_${c}`), ['spawnFailures', 'gamesWithSpawnFailures', 'starvedTicks', 'avgPowerups', 'avgMaxCombo']);
+  // rule sets without random obstacles leave the obstacle settings blank rather than list unused ones
+  const obstacles = SnakeEngine.resolveRules(report.options.rules).obstacles;
+  const rows = report.summaries.map(s=>{
+    const obstacleSettings = obstacles ? [s.settings.obstacles, s.settings.obstacleChance, s.settings.obstacleOnEatChance] : ['', '', ''];
+    return csvRow([s.difficulty, s.settings.tickRate].concat(obstacleSettings, [
+      s.games, s.avgScore, s.medianScore, s.maxScore, s.avgApples, s.avgTicks, s.avgSeconds
+    ], CAUSES.map(c=>s.causes[c] || 0), [s.spawnFailures, s.gamesWithSpawnFailures, s.starvedTicks, s.avgPowerups, s.avgMaxCombo]));
+  });
+  return [cols.join(',')].concat(rows).join('\n') + '\n';
+}
+
+function main(){
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch(e){
+    console.error(e.message);
+    process.exitCode = 1;
+    return;
+  }
+  if(opts.help){
+    console.log(fs.readFileSync(__filename, 'utf8').split('*/')[0].split('Usage:')[1].trim().replace(/^ {4}/gm, '  '));
+    return;
+  }
+  const report = run(opts, (difficulty, done, total)=>{
+    if(process.stderr.isTTY) process.stderr.write(`\r${difficulty}: ${done}/${total}   `);
+  });
+  if(process.stderr.isTTY) process.stderr.write('\n');
+  const text = opts.format === 'csv' ? toCsv(report, opts.gamesCsv) : JSON.stringify(report, null, 2) + '\n';
+  if(opts.out) fs.writeFileSync(opts.out, text);
+  else process.stdout.write(text);
+}
+
+if(require.main === module) main();
+
+module.exports = { parseArgs, playGame, summarize, run, toCsv };